@@ -0,0 +1,50 @@
+import bcrypt from "bcrypt";
+import { passwordResetMail, verificationMail } from "../mail/templates.js";
+import { issueOneTimeToken } from "./tokens.js";
+
+export const VERIFY_EMAIL_PURPOSE = "verify_email";
+export const RESET_PASSWORD_PURPOSE = "reset_password";
+export const LINK_INTENT_PURPOSE = "link_intent";
+
+// OAuth callbacks redirect with this code instead of a token; the frontend
+// swaps it at /auth/exchange
+export const OAUTH_CODE_PURPOSE = "oauth_code";
+export const OAUTH_CODE_SECONDS = 60;
+
+const VERIFY_EMAIL_SECONDS = 24 * 60 * 60;
+const RESET_PASSWORD_SECONDS = 60 * 60;
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Error message for a new password, or null when it will do.
+export function checkNewPassword(pass) {
+    if (typeof pass !== "string" || pass.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+export function hashPassword(pass) {
+    return bcrypt.hash(pass, 12);
+}
+
+export async function sendVerificationMail({ db, mailer, appUrl }, user) {
+    const token = await issueOneTimeToken(db, {
+        userId: user.id,
+        purpose: VERIFY_EMAIL_PURPOSE,
+        ttlSeconds: VERIFY_EMAIL_SECONDS,
+        data: { mail: user.mail },
+    });
+    const link = `${appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+    await mailer.send({ to: user.mail, ...verificationMail({ name: user.name, link }) });
+}
+
+export async function sendPasswordResetMail({ db, mailer, appUrl }, user) {
+    const token = await issueOneTimeToken(db, {
+        userId: user.id,
+        purpose: RESET_PASSWORD_PURPOSE,
+        ttlSeconds: RESET_PASSWORD_SECONDS,
+    });
+    const link = `${appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+    await mailer.send({ to: user.mail, ...passwordResetMail({ name: user.name, link }) });
+}
@@ -0,0 +1,52 @@
+// Decides which account an outside sign-in belongs to.
+//
+// Accounts are only ever matched by (provider, subject). An email match
+// alone is not enough: someone could have signed up with that address
+// without owning it. The exceptions are accounts from before identities
+// existed (`legacy_oauth`), which could only have been made through that
+// provider in the first place.
+//
+// Returns { user } or { error } with one of:
+//   email_unverified   the provider hasn't verified the address
+//   account_exists     a different account uses the address; sign in to it
+//                      and link the provider from there
+//   identity_in_use    (linking) the identity belongs to another account
+export async function resolveOAuthSignIn(db, { provider, subject, email, emailVerified, name, linkUserId }) {
+    const existing = await db.identities.find(provider, subject);
+
+    if (linkUserId != null) {
+        if (existing && existing.user_id !== linkUserId) return { error: "identity_in_use" };
+        if (!existing) await db.identities.link({ userId: linkUserId, provider, subject, email });
+        return { user: await db.users.findById(linkUserId) };
+    }
+
+    if (existing) {
+        const user = await db.users.findById(existing.user_id);
+        if (user) return { user };
+    }
+
+    if (!email || !emailVerified) return { error: "email_unverified" };
+
+    const byMail = await db.users.findByMail(email);
+    if (byMail) {
+        const identities = await db.identities.listByUser(byMail.id);
+        if (!byMail.legacy_oauth || identities.length) return { error: "account_exists" };
+        await db.identities.link({ userId: byMail.id, provider, subject, email });
+        await db.users.update(byMail.id, { legacy_oauth: false });
+        return { user: byMail };
+    }
+
+    const user = await db.users.create({ mail: email, name, pass: null, emailVerified: true });
+    await db.identities.link({ userId: user.id, provider, subject, email });
+    return { user };
+}
+
+// Ways a user can sign in: "local" when they have a password, plus each
+// linked provider.
+export async function signInMethods(db, user) {
+    const identities = await db.identities.listByUser(user.id);
+    return [
+        ...(user.pass ? [{ provider: "local", email: user.mail }] : []),
+        ...identities.map((i) => ({ provider: i.provider, email: i.email, linkedAt: i.crt_tm })),
+    ];
+}
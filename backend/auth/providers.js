@@ -0,0 +1,222 @@
+// Outside sign-in providers. Any OpenID Connect provider works from its
+// issuer URL; plain OAuth 2 providers (GitHub) name their endpoints instead.
+
+// Defaults for well-known providers; every field can be overridden from env.
+export const PROVIDER_PRESETS = {
+    google: {
+        label: "Google",
+        issuer: "https://accounts.google.com",
+    },
+    // Use the tenant's issuer (https://login.microsoftonline.com/<tenant>/v2.0)
+    // for a single school. Microsoft doesn't say whether `email` is verified,
+    // so new accounts need AUTH_MICROSOFT_TRUST_EMAIL=true.
+    microsoft: {
+        label: "Microsoft",
+        issuer: "https://login.microsoftonline.com/common/v2.0",
+    },
+    github: {
+        label: "GitHub",
+        authorizationUrl: "https://github.com/login/oauth/authorize",
+        tokenUrl: "https://github.com/login/oauth/access_token",
+        userinfoUrl: "https://api.github.com/user",
+        emailsUrl: "https://api.github.com/user/emails",
+        scope: "read:user user:email",
+        claims: { subject: "id", name: "name" },
+    },
+};
+
+const DEFAULT_SCOPE = "openid email profile";
+
+const DEFAULT_CLAIMS = {
+    subject: "sub",
+    email: "email",
+    emailVerified: "email_verified",
+    name: "name",
+};
+
+// Paths the /auth routes already use.
+const RESERVED_IDS = new Set([
+    "exchange", "refresh", "failure", "providers", "identities", "link",
+    "verify-email", "resend-verification", "forgot-password", "reset-password",
+    "change-password", "set-password",
+]);
+
+const DISCOVERY_TIMEOUT_MS = 10000;
+
+function envKey(id) {
+    return `AUTH_${id.toUpperCase().replace(/[^A-Z0-9]/g, "_")}`;
+}
+
+function listOf(value) {
+    return String(value || "").split(",").map((s) => s.trim().toLowerCase()).filter(Boolean);
+}
+
+// AUTH_PROVIDERS lists the enabled ids. Google is also enabled by the older
+// GOOGLE_CLIENT_ID / GOOGLE_CLIENT_SECRET / GOOGLE_CALLBACK_URL variables.
+function enabledIds(env) {
+    const ids = listOf(env.AUTH_PROVIDERS);
+    if (env.GOOGLE_CLIENT_ID && !ids.includes("google")) ids.push("google");
+    return ids;
+}
+
+// Reads the per-deployment settings. For each id in AUTH_PROVIDERS, with
+// <ID> the id in capitals:
+//   AUTH_<ID>_CLIENT_ID, AUTH_<ID>_CLIENT_SECRET, AUTH_<ID>_ISSUER,
+//   AUTH_<ID>_AUTHORIZATION_URL, AUTH_<ID>_TOKEN_URL, AUTH_<ID>_USERINFO_URL,
+//   AUTH_<ID>_SCOPE, AUTH_<ID>_CALLBACK_URL, AUTH_<ID>_LABEL,
+//   AUTH_<ID>_SUBJECT_CLAIM, AUTH_<ID>_EMAIL_CLAIM,
+//   AUTH_<ID>_EMAIL_VERIFIED_CLAIM, AUTH_<ID>_NAME_CLAIM,
+//   AUTH_<ID>_TRUST_EMAIL, AUTH_<ID>_ALLOWED_DOMAINS
+export function loadProviderConfigs(env = process.env) {
+    return enabledIds(env).map((id) => {
+        if (!/^[a-z0-9][a-z0-9-]*$/.test(id) || RESERVED_IDS.has(id)) {
+            throw new Error(`Invalid sign-in provider id "${id}" in AUTH_PROVIDERS`);
+        }
+        const preset = PROVIDER_PRESETS[id] || {};
+        const key = envKey(id);
+        const legacy = id === "google"
+            ? { clientId: env.GOOGLE_CLIENT_ID, clientSecret: env.GOOGLE_CLIENT_SECRET, callbackUrl: env.GOOGLE_CALLBACK_URL }
+            : {};
+        const claims = { ...DEFAULT_CLAIMS, ...preset.claims };
+
+        return {
+            id,
+            label: env[`${key}_LABEL`] || preset.label || id,
+            clientId: env[`${key}_CLIENT_ID`] || legacy.clientId,
+            clientSecret: env[`${key}_CLIENT_SECRET`] || legacy.clientSecret,
+            issuer: env[`${key}_ISSUER`] || preset.issuer,
+            authorizationUrl: env[`${key}_AUTHORIZATION_URL`] || preset.authorizationUrl,
+            tokenUrl: env[`${key}_TOKEN_URL`] || preset.tokenUrl,
+            userinfoUrl: env[`${key}_USERINFO_URL`] || preset.userinfoUrl,
+            emailsUrl: preset.emailsUrl,
+            scope: env[`${key}_SCOPE`] || preset.scope || DEFAULT_SCOPE,
+            // Relative URLs are resolved against the incoming request.
+            callbackUrl: env[`${key}_CALLBACK_URL`] || legacy.callbackUrl || `/auth/${id}/callback`,
+            claims: {
+                subject: env[`${key}_SUBJECT_CLAIM`] || claims.subject,
+                email: env[`${key}_EMAIL_CLAIM`] || claims.email,
+                emailVerified: env[`${key}_EMAIL_VERIFIED_CLAIM`] || claims.emailVerified,
+                name: env[`${key}_NAME_CLAIM`] || claims.name,
+            },
+            trustEmail: env[`${key}_TRUST_EMAIL`] === "true",
+            allowedDomains: listOf(env[`${key}_ALLOWED_DOMAINS`]),
+        };
+    });
+}
+
+// Env vars the enabled providers still need before the server can start.
+export function missingAuthEnv(env = process.env) {
+    const missing = [];
+    for (const config of loadProviderConfigs(env)) {
+        const key = envKey(config.id);
+        if (!config.clientId) missing.push(`${key}_CLIENT_ID`);
+        if (!config.clientSecret) missing.push(`${key}_CLIENT_SECRET`);
+        if (!config.issuer && !(config.authorizationUrl && config.tokenUrl)) missing.push(`${key}_ISSUER`);
+    }
+    return missing;
+}
+
+// Reads a claim by name; dotted names reach into nested objects.
+function claimValue(claims, name) {
+    return String(name).split(".").reduce((v, part) => (v == null ? undefined : v[part]), claims);
+}
+
+function decodeJwtPayload(token) {
+    try {
+        return JSON.parse(Buffer.from(String(token).split(".")[1], "base64url").toString("utf8"));
+    } catch {
+        return null;
+    }
+}
+
+async function fetchJson(url, headers = {}) {
+    const res = await fetch(url, {
+        headers: { Accept: "application/json", "User-Agent": "qzizz", ...headers },
+        signal: AbortSignal.timeout(DISCOVERY_TIMEOUT_MS),
+    });
+    if (!res.ok) throw new Error(`${url} answered ${res.status}`);
+    return res.json();
+}
+
+// Whether the domain of `email` is one the provider allows.
+export function domainAllowed(config, email) {
+    if (!config.allowedDomains.length) return true;
+    const domain = String(email || "").split("@").pop().toLowerCase();
+    return Boolean(email) && config.allowedDomains.includes(domain);
+}
+
+export function createProviderRegistry(configs = loadProviderConfigs()) {
+    const byId = new Map(configs.map((c) => [c.id, c]));
+    const discovered = new Map();
+
+    return {
+        ids() {
+            return [...byId.keys()];
+        },
+
+        list() {
+            return configs.map(({ id, label }) => ({ id, label }));
+        },
+
+        get(id) {
+            return byId.get(id) || null;
+        },
+
+        // Authorization, token and userinfo endpoints, from the issuer's
+        // discovery document unless configured. Fetched once per provider.
+        endpoints(id) {
+            const config = byId.get(id);
+            if (!discovered.has(id)) {
+                const pending = (async () => {
+                    let doc = {};
+                    if (config.issuer && !(config.authorizationUrl && config.tokenUrl)) {
+                        doc = await fetchJson(`${config.issuer.replace(/\/$/, "")}/.well-known/openid-configuration`);
+                    }
+                    return {
+                        authorizationUrl: config.authorizationUrl || doc.authorization_endpoint,
+                        tokenUrl: config.tokenUrl || doc.token_endpoint,
+                        userinfoUrl: config.userinfoUrl || doc.userinfo_endpoint || null,
+                    };
+                })();
+                // A failed lookup is retried on the next sign-in
+                pending.catch(() => discovered.delete(id));
+                discovered.set(id, pending);
+            }
+            return discovered.get(id);
+        },
+
+        // Maps what the provider says about the user to
+        // { subject, email, emailVerified, name }. `params` is the token
+        // response; its id_token came straight from the provider over TLS.
+        async profile(id, accessToken, params = {}) {
+            const config = byId.get(id);
+            const { userinfoUrl } = await this.endpoints(id);
+            const claims = {
+                ...(params.id_token ? decodeJwtPayload(params.id_token) : null),
+                ...(userinfoUrl ? await fetchJson(userinfoUrl, { Authorization: `Bearer ${accessToken}` }) : null),
+            };
+
+            const subject = claimValue(claims, config.claims.subject);
+            let email = claimValue(claims, config.claims.email) || null;
+            const verifiedClaim = claimValue(claims, config.claims.emailVerified);
+            let emailVerified = config.trustEmail || verifiedClaim === true || verifiedClaim === "true";
+
+            if (config.emailsUrl && !emailVerified) {
+                const emails = await fetchJson(config.emailsUrl, { Authorization: `Bearer ${accessToken}` });
+                const verified = (Array.isArray(emails) ? emails : []).filter((e) => e.verified);
+                const chosen = verified.find((e) => e.primary) || verified[0];
+                if (chosen) {
+                    email = chosen.email;
+                    emailVerified = true;
+                }
+            }
+
+            return {
+                subject: subject == null ? null : String(subject),
+                email: email ? String(email) : null,
+                emailVerified: Boolean(email) && emailVerified,
+                name: String(claimValue(claims, config.claims.name) || claims.login || ""),
+            };
+        },
+    };
+}
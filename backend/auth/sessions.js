@@ -0,0 +1,100 @@
+import jwt from "jsonwebtoken";
+import { hashToken, randomToken } from "./tokens.js";
+
+export class AuthError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "AuthError";
+    }
+}
+
+// Short-lived access tokens (JWTs carrying the session id) plus rotating
+// refresh tokens, one session per signed-in device.
+//
+// Refresh tokens look like `<sessionId>.<secret>`. Every refresh swaps in a
+// new one; presenting the token it replaced means it was copied, so the
+// whole session is revoked.
+export function createSessionService({ db, secret, accessTtl = "15m", refreshDays = 30 }) {
+    const refreshExpiry = () => new Date(Date.now() + refreshDays * 86400000).toISOString();
+
+    function accessToken(user, sessionId) {
+        return jwt.sign({ id: user.id, mail: user.mail, sid: sessionId }, secret, { expiresIn: accessTtl });
+    }
+
+    function tokenPair(user, sessionId, refreshSecret) {
+        const token = accessToken(user, sessionId);
+        return {
+            token,
+            refreshToken: `${sessionId}.${refreshSecret}`,
+            expiresIn: jwt.decode(token).exp - Math.floor(Date.now() / 1000),
+        };
+    }
+
+    return {
+        // `client` is { userAgent, ip } for the "my sessions" list.
+        async issue(user, client = {}) {
+            const refreshSecret = randomToken();
+            const session = await db.authSessions.create({
+                userId: user.id,
+                refreshHash: hashToken(refreshSecret),
+                userAgent: client.userAgent,
+                ip: client.ip,
+                expiresAt: refreshExpiry(),
+            });
+            return tokenPair(user, session.id, refreshSecret);
+        },
+
+        async refresh(refreshToken) {
+            const [id, refreshSecret] = String(refreshToken || "").split(".");
+            const session = id && refreshSecret ? await db.authSessions.findById(Number(id)) : null;
+            if (!session || session.revoked_at || new Date(session.expires_at).getTime() <= Date.now()) {
+                throw new AuthError("Invalid refresh token");
+            }
+
+            const presented = hashToken(refreshSecret);
+            if (presented !== session.refresh_hash) {
+                if (presented === session.previous_hash) {
+                    await db.authSessions.revoke(session.id);
+                    console.error(`Refresh token reused for session ${session.id}; session revoked`);
+                }
+                throw new AuthError("Invalid refresh token");
+            }
+
+            const nextSecret = randomToken();
+            const rotated = await db.authSessions.rotate(session.id, presented, hashToken(nextSecret), refreshExpiry());
+            if (!rotated) throw new AuthError("Invalid refresh token");
+
+            const user = await db.users.findById(session.user_id);
+            if (!user) throw new AuthError("Invalid refresh token");
+            return tokenPair(user, session.id, nextSecret);
+        },
+
+        // Checks signature and expiry, then that the session hasn't been
+        // signed out. Resolves to the token's claims.
+        async verify(token) {
+            let claims;
+            try {
+                claims = jwt.verify(token, secret);
+            } catch {
+                throw new AuthError("Invalid or expired token");
+            }
+            const session = claims.sid ? await db.authSessions.findById(claims.sid) : null;
+            if (!session || session.revoked_at || session.user_id !== claims.id) {
+                throw new AuthError("Session has been signed out");
+            }
+            return claims;
+        },
+
+        // Logout with only a refresh token: it has to be the current one.
+        async signOut(refreshToken) {
+            const [id, refreshSecret] = String(refreshToken || "").split(".");
+            const session = id && refreshSecret ? await db.authSessions.findById(Number(id)) : null;
+            if (!session || hashToken(refreshSecret) !== session.refresh_hash) return null;
+            return db.authSessions.revoke(session.id);
+        },
+
+        revoke(sessionId, userId) {
+            return db.authSessions.revoke(sessionId, userId);
+        },
+    };
+}
@@ -0,0 +1,28 @@
+import crypto from "node:crypto";
+
+export function randomToken(bytes = 32) {
+    return crypto.randomBytes(bytes).toString("base64url");
+}
+
+export function hashToken(token) {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Issues a single-use token for `purpose` and returns it in the clear; only
+// the hash is stored.
+export async function issueOneTimeToken(db, { userId, purpose, ttlSeconds, data }) {
+    const token = randomToken();
+    await db.authTokens.create({
+        userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+        data,
+    });
+    return token;
+}
+
+export function consumeOneTimeToken(db, purpose, token) {
+    if (typeof token !== "string" || !token) return Promise.resolve(null);
+    return db.authTokens.consume(purpose, hashToken(token));
+}
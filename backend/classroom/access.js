@@ -0,0 +1,68 @@
+import { CLASSROOM_ROLES } from "../db/repositories/classroomMembers.js";
+import { generateJoinCode } from "../quiz/access.js";
+
+export { CLASSROOM_ROLES };
+
+export const ROLE_NAMES = Object.values(CLASSROOM_ROLES);
+
+const MAX_NAME_LENGTH = 120;
+
+// Checks { name, section } for a new classroom (or a patch when `partial`).
+export function normalizeClassroomInput(input = {}, { partial = false } = {}) {
+    const errors = [];
+    const classroom = {};
+
+    if (!partial || input.name !== undefined) {
+        const name = typeof input.name === "string" ? input.name.trim() : "";
+        if (!name || name.length > MAX_NAME_LENGTH) {
+            errors.push({ path: "name", message: `name must be 1-${MAX_NAME_LENGTH} characters` });
+        }
+        classroom.name = name;
+    }
+    if (input.section !== undefined) {
+        const section = input.section === null ? "" : String(input.section).trim();
+        if (section.length > MAX_NAME_LENGTH) {
+            errors.push({ path: "section", message: `section must be at most ${MAX_NAME_LENGTH} characters` });
+        }
+        classroom.section = section || null;
+    }
+    return { classroom, errors };
+}
+
+export async function freshClassroomCode(db) {
+    for (let i = 0; i < 10; i++) {
+        const code = generateJoinCode();
+        if (!(await db.classrooms.findByJoinCode(code))) return code;
+    }
+    throw new Error("Could not find a free classroom code");
+}
+
+// The user's role in the classroom, or null for outsiders.
+export async function roleIn(db, classroomId, userId) {
+    if (classroomId == null) return null;
+    const member = await db.classroomMembers.find(classroomId, userId);
+    return member ? member.role : null;
+}
+
+// Error message when `user` can't put quizzes in the classroom (only its
+// teachers can), or null when they can or `classroomId` is null.
+export async function checkQuizClassroom(db, classroomId, user) {
+    if (classroomId == null) return null;
+    const id = Number(classroomId);
+    if (!Number.isInteger(id) || (await roleIn(db, id, user.id)) !== CLASSROOM_ROLES.TEACHER) {
+        return "classroomId must be a classroom you teach";
+    }
+    return null;
+}
+
+// Classroom quizzes are only for the classroom's members (and the host).
+export async function canPlayQuiz(db, quiz, user) {
+    if (quiz.classroom_id == null || quiz.created_mail === user.mail) return true;
+    return (await roleIn(db, quiz.classroom_id, user.id)) !== null;
+}
+
+// The host, or any teacher of the quiz's classroom.
+export async function canManageQuiz(db, quiz, user) {
+    if (quiz.created_mail === user.mail) return true;
+    return (await roleIn(db, quiz.classroom_id, user.id)) === CLASSROOM_ROLES.TEACHER;
+}
@@ -0,0 +1,49 @@
+import { QUIZ_STATUS } from "../db/repositories/quizzes.js";
+import { CLASSROOM_ROLES } from "./access.js";
+
+// Gradebook for a classroom: every student against every published quiz,
+// using the attempt that counts on each quiz's leaderboard.
+export async function classroomResults(db, classroomId) {
+    const quizzes = (await db.quizzes.listByClassroom(classroomId))
+        .filter((q) => q.status !== QUIZ_STATUS.DRAFT);
+    const members = await db.classroomMembers.listByClassroom(classroomId, CLASSROOM_ROLES.STUDENT);
+    const users = new Map((await db.users.listByIds(members.map((m) => m.user_id))).map((u) => [u.id, u]));
+    const standings = await Promise.all(quizzes.map((q) => db.standings.listRanked(q.id)));
+    const byQuiz = standings.map((entries) => new Map(entries.map((e) => [e.id, e])));
+
+    const students = members.map((m) => {
+        const user = users.get(m.user_id) || {};
+        const results = byQuiz.map((entries, i) => {
+            const entry = entries.get(m.user_id);
+            if (!entry) return null;
+            return {
+                quizId: quizzes[i].id,
+                score: entry.score,
+                points: entry.points,
+                position: entry.position,
+                attempt: entry.attempt,
+                submittedAt: entry.submitted_at,
+            };
+        });
+        const taken = results.filter(Boolean);
+        return {
+            id: m.user_id,
+            name: user.name ?? null,
+            mail: user.mail ?? null,
+            completed: taken.length,
+            totalPoints: taken.reduce((sum, r) => sum + Number(r.points || 0), 0),
+            results,
+        };
+    });
+
+    return {
+        quizzes: quizzes.map((q, i) => ({
+            id: q.id,
+            title: q.title,
+            status: q.status,
+            closed: q.closed,
+            completed: standings[i].length,
+        })),
+        students,
+    };
+}
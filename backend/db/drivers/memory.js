@@ -0,0 +1,94 @@
+import { matches } from "../filters.js";
+
+// In-process store. Handy for local development and tests: nothing to
+// install, nothing to clean up, and every restart starts from empty tables.
+// Node runs our handlers on one thread, so each call here is atomic.
+export function createMemoryDriver() {
+    const tables = new Map();
+    const sequences = new Map();
+
+    function table(name) {
+        if (!tables.has(name)) tables.set(name, []);
+        return tables.get(name);
+    }
+
+    function nextId(name) {
+        const id = (sequences.get(name) || 0) + 1;
+        sequences.set(name, id);
+        return id;
+    }
+
+    function clone(row) {
+        return row ? structuredClone(row) : row;
+    }
+
+    function sortRows(rows, order) {
+        if (!order) return rows;
+        const orders = Array.isArray(order) ? order : [order];
+        return rows.sort((a, b) => {
+            for (const { column, ascending = true } of orders) {
+                if (a[column] === b[column]) continue;
+                if (a[column] == null) return 1;
+                if (b[column] == null) return -1;
+                const cmp = a[column] < b[column] ? -1 : 1;
+                return ascending ? cmp : -cmp;
+            }
+            return 0;
+        });
+    }
+
+    return {
+        name: "memory",
+
+        async insert(name, row) {
+            const stored = { ...clone(row) };
+            if (stored.id == null) stored.id = nextId(name);
+            table(name).push(stored);
+            return clone(stored);
+        },
+
+        async select(name, { where, order, limit } = {}) {
+            let rows = table(name).filter((r) => matches(r, where));
+            rows = sortRows(rows, order);
+            if (limit != null) rows = rows.slice(0, limit);
+            return rows.map(clone);
+        },
+
+        async selectOne(name, where) {
+            const row = table(name).find((r) => matches(r, where));
+            return clone(row) || null;
+        },
+
+        async update(name, where, patch) {
+            const updated = [];
+            for (const row of table(name)) {
+                if (matches(row, where)) {
+                    Object.assign(row, clone(patch));
+                    updated.push(clone(row));
+                }
+            }
+            return updated;
+        },
+
+        async upsert(name, row, onConflict = ["id"], { ignoreDuplicates = false } = {}) {
+            const key = Object.fromEntries(onConflict.map((c) => [c, row[c]]));
+            const existing = table(name).find((r) => matches(r, key));
+            if (existing) {
+                if (!ignoreDuplicates) Object.assign(existing, clone(row));
+                return clone(existing);
+            }
+            return this.insert(name, row);
+        },
+
+        async remove(name, where) {
+            const rows = table(name);
+            const removed = [];
+            for (let i = rows.length - 1; i >= 0; i--) {
+                if (matches(rows[i], where)) removed.unshift(...rows.splice(i, 1));
+            }
+            return removed;
+        },
+
+        async close() {},
+    };
+}
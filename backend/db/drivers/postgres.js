@@ -0,0 +1,133 @@
+import pg from "pg";
+import { splitCondition } from "../filters.js";
+
+// Supabase creates ids as int8; keep them numbers like the other drivers do.
+pg.types.setTypeParser(20, (v) => parseInt(v, 10));
+// NUMERIC columns (fractional scores) come back as strings otherwise.
+pg.types.setTypeParser(1700, (v) => parseFloat(v));
+
+const SQL_OPS = { eq: "=", neq: "<>", lt: "<", lte: "<=", gt: ">", gte: ">=" };
+
+function ident(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// pg turns JS arrays into Postgres arrays; our json/jsonb columns want JSON.
+function toParam(value) {
+    if (value === undefined) return null;
+    if (value !== null && typeof value === "object" && !(value instanceof Date) && !Buffer.isBuffer(value)) {
+        return JSON.stringify(value);
+    }
+    return value;
+}
+
+function buildWhere(where = {}, params) {
+    const clauses = [];
+    for (const [column, condition] of Object.entries(where)) {
+        const { op, value } = splitCondition(condition);
+        if (op === "in") {
+            if (!value.length) {
+                clauses.push("false");
+                continue;
+            }
+            params.push(value);
+            clauses.push(`${ident(column)} = ANY($${params.length})`);
+        } else if (value === null && (op === "eq" || op === "neq")) {
+            clauses.push(`${ident(column)} IS ${op === "eq" ? "" : "NOT "}NULL`);
+        } else {
+            params.push(toParam(value));
+            clauses.push(`${ident(column)} ${SQL_OPS[op]} $${params.length}`);
+        }
+    }
+    return clauses.length ? ` WHERE ${clauses.join(" AND ")}` : "";
+}
+
+function buildOrder(order) {
+    if (!order) return "";
+    const orders = Array.isArray(order) ? order : [order];
+    return " ORDER BY " + orders
+        .map(({ column, ascending = true }) => `${ident(column)} ${ascending ? "ASC" : "DESC"} NULLS LAST`)
+        .join(", ");
+}
+
+// Plain Postgres through `pg`. Expects the tables from db/migrations to exist
+// (run `npm run migrate`).
+export function createPostgresDriver({ connectionString, ssl } = {}) {
+    if (!connectionString) {
+        throw new Error("DATABASE_URL is required for the postgres driver");
+    }
+    const pool = new pg.Pool({ connectionString, ssl });
+
+    async function query(text, params) {
+        const { rows } = await pool.query(text, params);
+        return rows;
+    }
+
+    return {
+        name: "postgres",
+        pool,
+        query,
+
+        async insert(table, row) {
+            const columns = Object.keys(row);
+            const params = columns.map((c) => toParam(row[c]));
+            const placeholders = columns.map((_, i) => `$${i + 1}`);
+            const [inserted] = await query(
+                `INSERT INTO ${ident(table)} (${columns.map(ident).join(", ")}) VALUES (${placeholders.join(", ")}) RETURNING *`,
+                params
+            );
+            return inserted;
+        },
+
+        async select(table, { where, order, limit } = {}) {
+            const params = [];
+            let sql = `SELECT * FROM ${ident(table)}${buildWhere(where, params)}${buildOrder(order)}`;
+            if (limit != null) {
+                params.push(limit);
+                sql += ` LIMIT $${params.length}`;
+            }
+            return query(sql, params);
+        },
+
+        async selectOne(table, where) {
+            const [row] = await this.select(table, { where, limit: 1 });
+            return row || null;
+        },
+
+        async update(table, where, patch) {
+            const columns = Object.keys(patch);
+            const params = columns.map((c) => toParam(patch[c]));
+            const sets = columns.map((c, i) => `${ident(c)} = $${i + 1}`);
+            return query(
+                `UPDATE ${ident(table)} SET ${sets.join(", ")}${buildWhere(where, params)} RETURNING *`,
+                params
+            );
+        },
+
+        // With ignoreDuplicates an existing row is returned untouched.
+        async upsert(table, row, onConflict = ["id"], { ignoreDuplicates = false } = {}) {
+            const columns = Object.keys(row);
+            const params = columns.map((c) => toParam(row[c]));
+            const placeholders = columns.map((_, i) => `$${i + 1}`);
+            const updates = columns
+                .filter((c) => !onConflict.includes(c))
+                .map((c) => `${ident(c)} = EXCLUDED.${ident(c)}`);
+            const action = updates.length && !ignoreDuplicates ? `DO UPDATE SET ${updates.join(", ")}` : "DO NOTHING";
+            const [stored] = await query(
+                `INSERT INTO ${ident(table)} (${columns.map(ident).join(", ")}) VALUES (${placeholders.join(", ")}) ` +
+                `ON CONFLICT (${onConflict.map(ident).join(", ")}) ${action} RETURNING *`,
+                params
+            );
+            return stored || this.selectOne(table, Object.fromEntries(onConflict.map((c) => [c, row[c]])));
+        },
+
+        async remove(table, where) {
+            const params = [];
+            return query(`DELETE FROM ${ident(table)}${buildWhere(where, params)} RETURNING *`, params);
+        },
+
+        async close() {
+            await pool.end();
+        },
+    };
+}
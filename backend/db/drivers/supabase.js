@@ -0,0 +1,71 @@
+import { createClient } from "@supabase/supabase-js";
+import { splitCondition } from "../filters.js";
+
+function applyWhere(query, where = {}) {
+    for (const [column, condition] of Object.entries(where)) {
+        const { op, value } = splitCondition(condition);
+        if (value === null && op === "eq") query = query.is(column, null);
+        else if (value === null && op === "neq") query = query.not(column, "is", null);
+        else query = query[op](column, value);
+    }
+    return query;
+}
+
+function applyOrder(query, order) {
+    if (!order) return query;
+    for (const { column, ascending = true } of Array.isArray(order) ? order : [order]) {
+        query = query.order(column, { ascending });
+    }
+    return query;
+}
+
+function unwrap({ data, error }) {
+    if (error) throw error;
+    return data;
+}
+
+// The hosted Supabase project the app has always used.
+export function createSupabaseDriver({ url, serviceRoleKey } = {}) {
+    if (!url || !serviceRoleKey) {
+        throw new Error("SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required for the supabase driver");
+    }
+    const supabase = createClient(url, serviceRoleKey);
+
+    return {
+        name: "supabase",
+        client: supabase,
+
+        async insert(table, row) {
+            return unwrap(await supabase.from(table).insert(row).select().single());
+        },
+
+        async select(table, { where, order, limit } = {}) {
+            let query = applyOrder(applyWhere(supabase.from(table).select("*"), where), order);
+            if (limit != null) query = query.limit(limit);
+            return unwrap(await query);
+        },
+
+        async selectOne(table, where) {
+            return unwrap(await applyWhere(supabase.from(table).select("*"), where).limit(1).maybeSingle());
+        },
+
+        async update(table, where, patch) {
+            return unwrap(await applyWhere(supabase.from(table).update(patch), where).select());
+        },
+
+        async upsert(table, row, onConflict = ["id"], { ignoreDuplicates = false } = {}) {
+            const stored = unwrap(await supabase
+                .from(table)
+                .upsert(row, { onConflict: onConflict.join(","), ignoreDuplicates })
+                .select()
+                .maybeSingle());
+            return stored || this.selectOne(table, Object.fromEntries(onConflict.map((c) => [c, row[c]])));
+        },
+
+        async remove(table, where) {
+            return unwrap(await applyWhere(supabase.from(table).delete(), where).select());
+        },
+
+        async close() {},
+    };
+}
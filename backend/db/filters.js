@@ -0,0 +1,55 @@
+// Shared helpers for the `where` objects every driver accepts.
+//
+// A filter maps a column to either a plain value (equality) or an object
+// with one operator: { lt }, { lte }, { gt }, { gte }, { neq }, { in: [] }.
+// `null` matches rows where the column is null.
+
+export const OPERATORS = ["lt", "lte", "gt", "gte", "neq", "in"];
+
+export function splitCondition(value) {
+    if (value !== null && typeof value === "object" && !Array.isArray(value) && !(value instanceof Date)) {
+        const [op] = Object.keys(value);
+        if (OPERATORS.includes(op)) {
+            return { op, value: value[op] };
+        }
+    }
+    return { op: "eq", value };
+}
+
+function comparable(v) {
+    if (v instanceof Date) return v.getTime();
+    if (typeof v === "string" && /^\d{4}-\d{2}-\d{2}T/.test(v)) return Date.parse(v);
+    return v;
+}
+
+export function matches(row, where = {}) {
+    for (const [column, condition] of Object.entries(where)) {
+        const { op, value } = splitCondition(condition);
+        const actual = comparable(row[column]);
+        const expected = comparable(value);
+        switch (op) {
+            case "eq":
+                if (expected === null ? actual != null : actual != expected) return false;
+                break;
+            case "neq":
+                if (expected === null ? actual == null : actual == expected) return false;
+                break;
+            case "lt":
+                if (!(actual < expected)) return false;
+                break;
+            case "lte":
+                if (!(actual <= expected)) return false;
+                break;
+            case "gt":
+                if (!(actual > expected)) return false;
+                break;
+            case "gte":
+                if (!(actual >= expected)) return false;
+                break;
+            case "in":
+                if (!value.some((v) => v == row[column])) return false;
+                break;
+        }
+    }
+    return true;
+}
@@ -0,0 +1,70 @@
+import { createMemoryDriver } from "./drivers/memory.js";
+import { createPostgresDriver } from "./drivers/postgres.js";
+import { createSupabaseDriver } from "./drivers/supabase.js";
+import { createUserRepository } from "./repositories/users.js";
+import { createQuizRepository } from "./repositories/quizzes.js";
+import { createResultRepository } from "./repositories/results.js";
+import { createParticipantRepository } from "./repositories/participants.js";
+import { createStandingRepository } from "./repositories/standings.js";
+import { createInviteRepository } from "./repositories/invites.js";
+import { createAuthSessionRepository } from "./repositories/authSessions.js";
+import { createAuthTokenRepository } from "./repositories/authTokens.js";
+import { createIdentityRepository } from "./repositories/identities.js";
+import { createRateLimitRepository } from "./repositories/rateLimits.js";
+import { createClassroomRepository } from "./repositories/classrooms.js";
+import { createClassroomMemberRepository } from "./repositories/classroomMembers.js";
+import { createClassroomInvitationRepository } from "./repositories/classroomInvitations.js";
+import { createQuestionBankRepository } from "./repositories/bank.js";
+import { createReviewCardRepository } from "./repositories/reviewCards.js";
+import { createPracticeSessionRepository } from "./repositories/practiceSessions.js";
+
+export const DRIVERS = ["supabase", "postgres", "memory"];
+
+// Env vars each driver needs on top of the common ones.
+export const DRIVER_ENV = {
+    supabase: ["SUPABASE_URL", "SUPABASE_SERVICE_ROLE_KEY"],
+    postgres: ["DATABASE_URL"],
+    memory: [],
+};
+
+export function createStore(driver = "supabase", env = process.env) {
+    switch (driver) {
+        case "supabase":
+            return createSupabaseDriver({
+                url: env.SUPABASE_URL,
+                serviceRoleKey: env.SUPABASE_SERVICE_ROLE_KEY,
+            });
+        case "postgres":
+            return createPostgresDriver({
+                connectionString: env.DATABASE_URL,
+                ssl: env.DATABASE_SSL === "true" ? { rejectUnauthorized: false } : undefined,
+            });
+        case "memory":
+            return createMemoryDriver();
+        default:
+            throw new Error(`Unknown DB_DRIVER "${driver}" (expected one of: ${DRIVERS.join(", ")})`);
+    }
+}
+
+// Everything the routes talk to, built on top of one store.
+export function createRepositories(store) {
+    return {
+        store,
+        users: createUserRepository(store),
+        quizzes: createQuizRepository(store),
+        results: createResultRepository(store),
+        participants: createParticipantRepository(store),
+        standings: createStandingRepository(store),
+        invites: createInviteRepository(store),
+        authSessions: createAuthSessionRepository(store),
+        authTokens: createAuthTokenRepository(store),
+        identities: createIdentityRepository(store),
+        rateLimits: createRateLimitRepository(store),
+        classrooms: createClassroomRepository(store),
+        classroomMembers: createClassroomMemberRepository(store),
+        classroomInvitations: createClassroomInvitationRepository(store),
+        bank: createQuestionBankRepository(store),
+        reviewCards: createReviewCardRepository(store),
+        practiceSessions: createPracticeSessionRepository(store),
+    };
+}
@@ -0,0 +1,51 @@
+// Applies db/migrations/*.sql in order to DATABASE_URL, once each.
+// Supabase users can paste the same files into the SQL editor instead.
+import "dotenv/config";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import pg from "pg";
+
+const dir = path.join(path.dirname(fileURLToPath(import.meta.url)), "migrations");
+
+if (!process.env.DATABASE_URL) {
+    console.error("Missing env var: DATABASE_URL");
+    process.exit(1);
+}
+
+const client = new pg.Client({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.DATABASE_SSL === "true" ? { rejectUnauthorized: false } : undefined,
+});
+
+try {
+    await client.connect();
+    await client.query(`CREATE TABLE IF NOT EXISTS "schema_migrations" (
+        "name" TEXT PRIMARY KEY,
+        "applied_at" TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`);
+
+    const { rows } = await client.query(`SELECT "name" FROM "schema_migrations"`);
+    const applied = new Set(rows.map((r) => r.name));
+    const files = (await fs.readdir(dir)).filter((f) => f.endsWith(".sql")).sort();
+
+    for (const file of files) {
+        if (applied.has(file)) continue;
+        const sql = await fs.readFile(path.join(dir, file), "utf8");
+        await client.query("BEGIN");
+        try {
+            await client.query(sql);
+            await client.query(`INSERT INTO "schema_migrations" ("name") VALUES ($1)`, [file]);
+            await client.query("COMMIT");
+            console.log(`Applied ${file}`);
+        } catch (e) {
+            await client.query("ROLLBACK");
+            throw new Error(`${file}: ${e.message}`);
+        }
+    }
+} catch (e) {
+    console.error("Migration failed:", e.message);
+    process.exitCode = 1;
+} finally {
+    await client.end();
+}
@@ -0,0 +1,41 @@
+-- Base tables, matching the original Supabase project.
+
+CREATE TABLE IF NOT EXISTS "userinfo" (
+    "id" BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    "mail" TEXT NOT NULL UNIQUE,
+    "name" TEXT NOT NULL DEFAULT '',
+    "pass" TEXT,
+    "accr_tm" TIMESTAMPTZ NOT NULL DEFAULT now(),
+    "lstlogin_tm" TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS "activeQuizes" (
+    "id" BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    "title" TEXT NOT NULL,
+    "created_mail" TEXT NOT NULL,
+    "questions" JSONB NOT NULL DEFAULT '[]',
+    "answers" JSONB NOT NULL DEFAULT '[]',
+    "joined_ppl" JSONB NOT NULL DEFAULT '[]',
+    "completed_ppl" JSONB NOT NULL DEFAULT '[]',
+    "closed" BOOLEAN NOT NULL DEFAULT false,
+    "crt_tm" TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS "activeQuizes_created_mail_idx" ON "activeQuizes" ("created_mail");
+
+CREATE TABLE IF NOT EXISTS "quizResults" (
+    "id" BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    "quiz_id" BIGINT NOT NULL REFERENCES "activeQuizes" ("id") ON DELETE CASCADE,
+    "quiz_title" TEXT,
+    "user_mail" TEXT NOT NULL,
+    "user_id" BIGINT NOT NULL REFERENCES "userinfo" ("id") ON DELETE CASCADE,
+    "score" INTEGER NOT NULL DEFAULT 0,
+    "total_questions" INTEGER NOT NULL DEFAULT 0,
+    "points" INTEGER NOT NULL DEFAULT 0,
+    "time_taken" INTEGER NOT NULL DEFAULT 0,
+    "given_answer" JSONB,
+    "submitted_at" TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS "quizResults_user_id_idx" ON "quizResults" ("user_id");
+CREATE INDEX IF NOT EXISTS "quizResults_quiz_id_idx" ON "quizResults" ("quiz_id");
@@ -0,0 +1,6 @@
+-- Draft quizzes: only published ones can be joined.
+
+ALTER TABLE "activeQuizes" ADD COLUMN IF NOT EXISTS "status" TEXT NOT NULL DEFAULT 'published';
+ALTER TABLE "activeQuizes" ADD COLUMN IF NOT EXISTS "published_tm" TIMESTAMPTZ;
+
+UPDATE "activeQuizes" SET "published_tm" = "crt_tm" WHERE "published_tm" IS NULL AND "status" = 'published';
@@ -0,0 +1,3 @@
+-- Multi-select questions give partial credit, so scores can be fractional.
+
+ALTER TABLE "quizResults" ALTER COLUMN "score" TYPE NUMERIC(10, 2);
@@ -0,0 +1,5 @@
+-- Per-quiz scoring policy and the per-result breakdown it produces.
+
+ALTER TABLE "activeQuizes" ADD COLUMN IF NOT EXISTS "scoring" JSONB NOT NULL DEFAULT '{"policy": "flat", "points": 10}';
+ALTER TABLE "quizResults" ADD COLUMN IF NOT EXISTS "breakdown" JSONB;
+ALTER TABLE "quizResults" ALTER COLUMN "points" TYPE NUMERIC(10, 2);
@@ -0,0 +1,11 @@
+-- Per-quiz settings (time limits, ...) and server-recorded start times.
+
+ALTER TABLE "activeQuizes" ADD COLUMN IF NOT EXISTS "settings" JSONB NOT NULL DEFAULT '{}';
+
+CREATE TABLE IF NOT EXISTS "quizParticipants" (
+    "id" BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    "quiz_id" BIGINT NOT NULL REFERENCES "activeQuizes" ("id") ON DELETE CASCADE,
+    "user_id" BIGINT NOT NULL REFERENCES "userinfo" ("id") ON DELETE CASCADE,
+    "started_at" TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE ("quiz_id", "user_id")
+);
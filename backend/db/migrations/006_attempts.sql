@@ -0,0 +1,24 @@
+-- Numbered attempts and idempotent submissions.
+
+ALTER TABLE "quizResults" ADD COLUMN IF NOT EXISTS "attempt_no" INTEGER;
+ALTER TABLE "quizResults" ADD COLUMN IF NOT EXISTS "submission_key" TEXT;
+ALTER TABLE "quizResults" ADD COLUMN IF NOT EXISTS "seconds_late" INTEGER NOT NULL DEFAULT 0;
+
+-- Resubmissions used to pile up as extra rows; number them as attempts.
+UPDATE "quizResults" r SET "attempt_no" = n.rn
+FROM (
+    SELECT "id", row_number() OVER (PARTITION BY "quiz_id", "user_id" ORDER BY "submitted_at", "id") AS rn
+    FROM "quizResults"
+) n
+WHERE r."id" = n."id" AND r."attempt_no" IS NULL;
+
+UPDATE "quizResults" SET "submission_key" = 'legacy-' || "id" WHERE "submission_key" IS NULL;
+
+ALTER TABLE "quizResults" ALTER COLUMN "attempt_no" SET NOT NULL;
+ALTER TABLE "quizResults" ALTER COLUMN "attempt_no" SET DEFAULT 1;
+ALTER TABLE "quizResults" ALTER COLUMN "submission_key" SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS "quizResults_attempt_key" ON "quizResults" ("quiz_id", "user_id", "attempt_no");
+CREATE UNIQUE INDEX IF NOT EXISTS "quizResults_submission_key" ON "quizResults" ("quiz_id", "user_id", "submission_key");
+
+ALTER TABLE "quizParticipants" ADD COLUMN IF NOT EXISTS "finished_at" TIMESTAMPTZ;
@@ -0,0 +1,50 @@
+-- Participants and standings as their own rows instead of JSON arrays on
+-- the quiz, so concurrent joins and submissions can't overwrite each other.
+
+ALTER TABLE "quizParticipants" ADD COLUMN IF NOT EXISTS "joined_at" TIMESTAMPTZ;
+ALTER TABLE "quizParticipants" ALTER COLUMN "started_at" DROP NOT NULL;
+ALTER TABLE "quizParticipants" ALTER COLUMN "started_at" DROP DEFAULT;
+UPDATE "quizParticipants" SET "joined_at" = "started_at" WHERE "joined_at" IS NULL;
+ALTER TABLE "quizParticipants" ALTER COLUMN "joined_at" SET DEFAULT now();
+
+INSERT INTO "quizParticipants" ("quiz_id", "user_id", "joined_at")
+SELECT q."id", j.value::BIGINT, q."crt_tm"
+FROM "activeQuizes" q
+CROSS JOIN LATERAL jsonb_array_elements_text(q."joined_ppl") j
+WHERE j.value ~ '^[0-9]+$'
+  AND EXISTS (SELECT 1 FROM "userinfo" u WHERE u."id" = j.value::BIGINT)
+ON CONFLICT ("quiz_id", "user_id") DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS "quizStandings" (
+    "id" BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    "quiz_id" BIGINT NOT NULL REFERENCES "activeQuizes" ("id") ON DELETE CASCADE,
+    "user_id" BIGINT NOT NULL REFERENCES "userinfo" ("id") ON DELETE CASCADE,
+    "name" TEXT NOT NULL DEFAULT '',
+    "score" NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    "points" NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    "time_taken" INTEGER,
+    "submitted_at" TIMESTAMPTZ NOT NULL DEFAULT now(),
+    "attempt" INTEGER NOT NULL DEFAULT 1,
+    UNIQUE ("quiz_id", "user_id")
+);
+
+CREATE INDEX IF NOT EXISTS "quizStandings_rank_idx"
+    ON "quizStandings" ("quiz_id", "points" DESC, "time_taken", "submitted_at");
+
+INSERT INTO "quizStandings" ("quiz_id", "user_id", "name", "score", "points", "time_taken", "submitted_at", "attempt")
+SELECT
+    q."id",
+    (e->>'id')::BIGINT,
+    COALESCE(e->>'name', ''),
+    COALESCE((e->>'score')::NUMERIC, 0),
+    COALESCE((e->>'points')::NUMERIC, (e->>'score')::NUMERIC, 0),
+    (e->>'time_taken')::INTEGER,
+    COALESCE((e->>'submitted_at')::TIMESTAMPTZ, q."crt_tm"),
+    COALESCE((e->>'attempt')::INTEGER, 1)
+FROM "activeQuizes" q
+CROSS JOIN LATERAL jsonb_array_elements(q."completed_ppl") e
+WHERE EXISTS (SELECT 1 FROM "userinfo" u WHERE u."id" = (e->>'id')::BIGINT)
+ON CONFLICT ("quiz_id", "user_id") DO NOTHING;
+
+ALTER TABLE "activeQuizes" DROP COLUMN IF EXISTS "joined_ppl";
+ALTER TABLE "activeQuizes" DROP COLUMN IF EXISTS "completed_ppl";
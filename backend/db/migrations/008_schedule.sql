@@ -0,0 +1,14 @@
+-- Per-quiz open/close windows, replacing the hourly job that closed every
+-- quiz an hour after publishing.
+
+ALTER TABLE "activeQuizes" ADD COLUMN IF NOT EXISTS "opens_at" TIMESTAMPTZ;
+ALTER TABLE "activeQuizes" ADD COLUMN IF NOT EXISTS "closes_at" TIMESTAMPTZ;
+ALTER TABLE "activeQuizes" ADD COLUMN IF NOT EXISTS "duration_minutes" INTEGER;
+ALTER TABLE "activeQuizes" ADD COLUMN IF NOT EXISTS "closed_tm" TIMESTAMPTZ;
+
+-- Quizzes that are open now keep the one hour they were published with.
+UPDATE "activeQuizes"
+SET "opens_at" = "published_tm", "closes_at" = "published_tm" + INTERVAL '1 hour'
+WHERE "status" = 'published' AND NOT "closed" AND "closes_at" IS NULL AND "published_tm" IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS "activeQuizes_pending_idx" ON "activeQuizes" ("status", "closed");
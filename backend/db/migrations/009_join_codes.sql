@@ -0,0 +1,26 @@
+-- Readable join codes kept apart from the internal id, and invite links.
+
+ALTER TABLE "activeQuizes" ADD COLUMN IF NOT EXISTS "join_code" TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS "activeQuizes_join_code_key" ON "activeQuizes" ("join_code");
+
+-- Six characters without 0/O/1/I/L, like quiz/access.js generates. The
+-- reference to the outer row makes Postgres draw a new code per quiz.
+UPDATE "activeQuizes" q SET "join_code" = (
+    SELECT string_agg(substr('ABCDEFGHJKMNPQRSTUVWXYZ23456789', 1 + floor(random() * 31)::INT, 1), '')
+    FROM generate_series(1, 6)
+    WHERE q."id" IS NOT NULL
+)
+WHERE q."status" <> 'draft' AND q."join_code" IS NULL;
+
+CREATE TABLE IF NOT EXISTS "quizInvites" (
+    "id" BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    "quiz_id" BIGINT NOT NULL REFERENCES "activeQuizes" ("id") ON DELETE CASCADE,
+    "created_by" TEXT NOT NULL,
+    "expires_at" TIMESTAMPTZ,
+    "max_uses" INTEGER,
+    "uses" INTEGER NOT NULL DEFAULT 0,
+    "revoked_at" TIMESTAMPTZ,
+    "crt_tm" TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS "quizInvites_quiz_id_idx" ON "quizInvites" ("quiz_id");
@@ -0,0 +1,29 @@
+-- Refresh-token sessions (one per device) and single-use auth tokens.
+
+CREATE TABLE IF NOT EXISTS "authSessions" (
+    "id" BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    "user_id" BIGINT NOT NULL REFERENCES "userinfo" ("id") ON DELETE CASCADE,
+    "refresh_hash" TEXT NOT NULL,
+    "previous_hash" TEXT,
+    "user_agent" TEXT NOT NULL DEFAULT '',
+    "ip" TEXT NOT NULL DEFAULT '',
+    "crt_tm" TIMESTAMPTZ NOT NULL DEFAULT now(),
+    "last_used_at" TIMESTAMPTZ NOT NULL DEFAULT now(),
+    "expires_at" TIMESTAMPTZ NOT NULL,
+    "revoked_at" TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS "authSessions_user_id_idx" ON "authSessions" ("user_id");
+
+CREATE TABLE IF NOT EXISTS "authTokens" (
+    "id" BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    "user_id" BIGINT NOT NULL REFERENCES "userinfo" ("id") ON DELETE CASCADE,
+    "purpose" TEXT NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "data" JSONB,
+    "expires_at" TIMESTAMPTZ NOT NULL,
+    "used_at" TIMESTAMPTZ,
+    "crt_tm" TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "authTokens_token_key" ON "authTokens" ("purpose", "token_hash");
@@ -0,0 +1,7 @@
+-- Email verification for local accounts. Google already verified the
+-- addresses of accounts created through it.
+
+ALTER TABLE "userinfo" ADD COLUMN IF NOT EXISTS "email_verified_at" TIMESTAMPTZ;
+
+UPDATE "userinfo" SET "email_verified_at" = "accr_tm"
+WHERE "email_verified_at" IS NULL AND "pass" = 'google-auth';
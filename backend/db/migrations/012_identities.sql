@@ -0,0 +1,19 @@
+-- Linked sign-in identities. Google accounts used to be marked with the
+-- placeholder password 'google-auth'; they become password-less accounts and
+-- get their Google identity linked on their next Google sign-in (see
+-- auth/identities.js).
+
+CREATE TABLE IF NOT EXISTS "userIdentities" (
+    "id" BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    "user_id" BIGINT NOT NULL REFERENCES "userinfo" ("id") ON DELETE CASCADE,
+    "provider" TEXT NOT NULL,
+    "subject" TEXT NOT NULL,
+    "email" TEXT,
+    "crt_tm" TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE ("provider", "subject")
+);
+
+CREATE INDEX IF NOT EXISTS "userIdentities_user_id_idx" ON "userIdentities" ("user_id");
+
+ALTER TABLE "userinfo" ADD COLUMN IF NOT EXISTS "legacy_oauth" BOOLEAN NOT NULL DEFAULT false;
+UPDATE "userinfo" SET "pass" = NULL, "legacy_oauth" = true WHERE "pass" = 'google-auth';
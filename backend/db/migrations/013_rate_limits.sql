@@ -0,0 +1,11 @@
+-- Counters for rate limits, lockouts and quotas when RATE_LIMIT_STORE=database,
+-- shared by every server instance. Rows past "reset_at" are stale and get
+-- swept now and then.
+
+CREATE TABLE IF NOT EXISTS "rateLimits" (
+    "key" TEXT PRIMARY KEY,
+    "count" INTEGER NOT NULL DEFAULT 0,
+    "reset_at" TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS "rateLimits_reset_at_idx" ON "rateLimits" ("reset_at");
@@ -0,0 +1,41 @@
+-- Classrooms: teachers and students, invitations by mail, and quizzes that
+-- only a classroom's members can join.
+
+CREATE TABLE IF NOT EXISTS "classrooms" (
+    "id" BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    "name" TEXT NOT NULL,
+    "section" TEXT,
+    "join_code" TEXT UNIQUE,
+    "created_by" BIGINT REFERENCES "userinfo" ("id") ON DELETE SET NULL,
+    "crt_tm" TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS "classroomMembers" (
+    "id" BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    "classroom_id" BIGINT NOT NULL REFERENCES "classrooms" ("id") ON DELETE CASCADE,
+    "user_id" BIGINT NOT NULL REFERENCES "userinfo" ("id") ON DELETE CASCADE,
+    "role" TEXT NOT NULL CHECK ("role" IN ('teacher', 'student')),
+    "crt_tm" TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE ("classroom_id", "user_id")
+);
+
+CREATE INDEX IF NOT EXISTS "classroomMembers_user_id_idx" ON "classroomMembers" ("user_id");
+
+CREATE TABLE IF NOT EXISTS "classroomInvitations" (
+    "id" BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    "classroom_id" BIGINT NOT NULL REFERENCES "classrooms" ("id") ON DELETE CASCADE,
+    "mail" TEXT NOT NULL,
+    "role" TEXT NOT NULL CHECK ("role" IN ('teacher', 'student')),
+    "token_hash" TEXT NOT NULL UNIQUE,
+    "invited_by" BIGINT REFERENCES "userinfo" ("id") ON DELETE SET NULL,
+    "expires_at" TIMESTAMPTZ NOT NULL,
+    "accepted_at" TIMESTAMPTZ,
+    "revoked_at" TIMESTAMPTZ,
+    "crt_tm" TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS "classroomInvitations_classroom_id_idx" ON "classroomInvitations" ("classroom_id");
+
+-- A classroom with quizzes can't be deleted; move or delete them first.
+ALTER TABLE "activeQuizes" ADD COLUMN IF NOT EXISTS "classroom_id" BIGINT REFERENCES "classrooms" ("id") ON DELETE RESTRICT;
+CREATE INDEX IF NOT EXISTS "activeQuizes_classroom_id_idx" ON "activeQuizes" ("classroom_id");
@@ -0,0 +1,20 @@
+-- Personal question bank, and which bank entry each quiz question came from.
+
+CREATE TABLE IF NOT EXISTS "questionBank" (
+    "id" BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    "owner_id" BIGINT NOT NULL REFERENCES "userinfo" ("id") ON DELETE CASCADE,
+    "question" JSONB NOT NULL,
+    "fingerprint" TEXT NOT NULL,
+    "tags" JSONB NOT NULL DEFAULT '[]',
+    "difficulty" TEXT CHECK ("difficulty" IN ('easy', 'medium', 'hard')),
+    "source" TEXT NOT NULL,
+    "times_used" INTEGER NOT NULL DEFAULT 0,
+    "last_used_at" TIMESTAMPTZ,
+    "times_answered" INTEGER NOT NULL DEFAULT 0,
+    "times_correct" INTEGER NOT NULL DEFAULT 0,
+    "crt_tm" TIMESTAMPTZ NOT NULL DEFAULT now(),
+    "updated_tm" TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE ("owner_id", "fingerprint")
+);
+
+ALTER TABLE "activeQuizes" ADD COLUMN IF NOT EXISTS "bank_refs" JSONB;
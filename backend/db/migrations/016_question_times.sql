@@ -0,0 +1,4 @@
+-- Seconds spent on each question ({ questionId: seconds }) when known: timed
+-- by the server in live sessions, reported by the client in self-paced play.
+
+ALTER TABLE "quizResults" ADD COLUMN IF NOT EXISTS "question_times" JSONB;
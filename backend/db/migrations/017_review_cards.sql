@@ -0,0 +1,22 @@
+-- Personal review decks: questions a player missed, scheduled with SM-2.
+
+CREATE TABLE IF NOT EXISTS "reviewCards" (
+    "id" BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    "user_id" BIGINT NOT NULL REFERENCES "userinfo" ("id") ON DELETE CASCADE,
+    "quiz_id" BIGINT NOT NULL REFERENCES "activeQuizes" ("id") ON DELETE CASCADE,
+    "question_id" INTEGER NOT NULL,
+    "quiz_title" TEXT,
+    "question" JSONB NOT NULL,
+    "answer" JSONB NOT NULL,
+    "ease" DOUBLE PRECISION NOT NULL DEFAULT 2.5,
+    "interval_days" INTEGER NOT NULL DEFAULT 0,
+    "repetitions" INTEGER NOT NULL DEFAULT 0,
+    "lapses" INTEGER NOT NULL DEFAULT 0,
+    "reviews" INTEGER NOT NULL DEFAULT 0,
+    "due_at" TIMESTAMPTZ NOT NULL DEFAULT now(),
+    "last_reviewed_at" TIMESTAMPTZ,
+    "crt_tm" TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE ("user_id", "quiz_id", "question_id")
+);
+
+CREATE INDEX IF NOT EXISTS "reviewCards_user_due" ON "reviewCards" ("user_id", "due_at");
@@ -0,0 +1,21 @@
+-- Solo practice sessions: generated questions, how the learner did on each
+-- concept, and the summary once the session ends.
+
+CREATE TABLE IF NOT EXISTS "practiceSessions" (
+    "id" BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    "user_id" BIGINT NOT NULL REFERENCES "userinfo" ("id") ON DELETE CASCADE,
+    "topic" TEXT NOT NULL,
+    "start_level" TEXT NOT NULL CHECK ("start_level" IN ('easy', 'medium', 'hard')),
+    "level" TEXT NOT NULL CHECK ("level" IN ('easy', 'medium', 'hard')),
+    "status" TEXT NOT NULL DEFAULT 'active' CHECK ("status" IN ('active', 'finished')),
+    "items" JSONB NOT NULL DEFAULT '[]',
+    "concepts" JSONB NOT NULL DEFAULT '{}',
+    "streak" INTEGER NOT NULL DEFAULT 0,
+    "version" INTEGER NOT NULL DEFAULT 0,
+    "summary" JSONB,
+    "crt_tm" TIMESTAMPTZ NOT NULL DEFAULT now(),
+    "updated_tm" TIMESTAMPTZ NOT NULL DEFAULT now(),
+    "finished_at" TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS "practiceSessions_user" ON "practiceSessions" ("user_id", "crt_tm");
@@ -0,0 +1,63 @@
+const TABLE = "authSessions";
+
+// One row per signed-in device. The refresh token is only stored hashed;
+// `previous_hash` remembers the one it replaced so a replayed old token can
+// be spotted.
+export function createAuthSessionRepository(store) {
+    return {
+        findById(id) {
+            return store.selectOne(TABLE, { id });
+        },
+
+        listActive(userId) {
+            return store.select(TABLE, {
+                where: { user_id: userId, revoked_at: null, expires_at: { gt: new Date().toISOString() } },
+                order: { column: "last_used_at", ascending: false },
+            });
+        },
+
+        create({ userId, refreshHash, userAgent, ip, expiresAt }) {
+            const now = new Date().toISOString();
+            return store.insert(TABLE, {
+                user_id: userId,
+                refresh_hash: refreshHash,
+                previous_hash: null,
+                user_agent: userAgent || "",
+                ip: ip || "",
+                crt_tm: now,
+                last_used_at: now,
+                expires_at: expiresAt,
+                revoked_at: null,
+            });
+        },
+
+        // Swaps the refresh token only if `currentHash` is still the live one,
+        // so two refreshes racing with the same token can't both win.
+        async rotate(id, currentHash, nextHash, expiresAt) {
+            const [session] = await store.update(
+                TABLE,
+                { id, refresh_hash: currentHash, revoked_at: null },
+                {
+                    refresh_hash: nextHash,
+                    previous_hash: currentHash,
+                    last_used_at: new Date().toISOString(),
+                    expires_at: expiresAt,
+                }
+            );
+            return session || null;
+        },
+
+        async revoke(id, userId) {
+            const where = { id, revoked_at: null };
+            if (userId !== undefined) where.user_id = userId;
+            const [session] = await store.update(TABLE, where, { revoked_at: new Date().toISOString() });
+            return session || null;
+        },
+
+        revokeAllForUser(userId, { except } = {}) {
+            const where = { user_id: userId, revoked_at: null };
+            if (except != null) where.id = { neq: except };
+            return store.update(TABLE, where, { revoked_at: new Date().toISOString() });
+        },
+    };
+}
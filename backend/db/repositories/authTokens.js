@@ -0,0 +1,30 @@
+const TABLE = "authTokens";
+
+// Single-use, short-lived tokens (OAuth hand-over codes and the like),
+// stored hashed and told apart by `purpose`.
+export function createAuthTokenRepository(store) {
+    return {
+        create({ userId, purpose, tokenHash, expiresAt, data = null }) {
+            return store.insert(TABLE, {
+                user_id: userId,
+                purpose,
+                token_hash: tokenHash,
+                data,
+                expires_at: expiresAt,
+                used_at: null,
+                crt_tm: new Date().toISOString(),
+            });
+        },
+
+        // Marks the token used and returns it, or null when it is unknown,
+        // expired or already used. Only one caller can win the update.
+        async consume(purpose, tokenHash) {
+            const [token] = await store.update(
+                TABLE,
+                { purpose, token_hash: tokenHash, used_at: null, expires_at: { gt: new Date().toISOString() } },
+                { used_at: new Date().toISOString() }
+            );
+            return token || null;
+        },
+    };
+}
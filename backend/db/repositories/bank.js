@@ -0,0 +1,80 @@
+const TABLE = "questionBank";
+
+// Each user's saved questions (see quiz/bank.js). Searching and sampling
+// happen on the owner's whole list; banks are personal and stay small.
+export function createQuestionBankRepository(store) {
+    return {
+        findOwned(id, ownerId) {
+            return store.selectOne(TABLE, { id, owner_id: ownerId });
+        },
+
+        listByIds(ids) {
+            if (!ids.length) return Promise.resolve([]);
+            return store.select(TABLE, { where: { id: { in: ids } } });
+        },
+
+        listByOwner(ownerId) {
+            return store.select(TABLE, {
+                where: { owner_id: ownerId },
+                order: [{ column: "crt_tm", ascending: false }, { column: "id", ascending: false }],
+            });
+        },
+
+        // Returns the existing entry when the owner already has one with
+        // this fingerprint.
+        create({ ownerId, question, fingerprint, tags = [], difficulty = null, source }) {
+            const now = new Date().toISOString();
+            return store.upsert(
+                TABLE,
+                {
+                    owner_id: ownerId,
+                    question,
+                    fingerprint,
+                    tags,
+                    difficulty,
+                    source,
+                    times_used: 0,
+                    last_used_at: null,
+                    times_answered: 0,
+                    times_correct: 0,
+                    crt_tm: now,
+                    updated_tm: now,
+                },
+                ["owner_id", "fingerprint"],
+                { ignoreDuplicates: true }
+            );
+        },
+
+        async update(id, ownerId, patch) {
+            const [entry] = await store.update(TABLE, { id, owner_id: ownerId }, { ...patch, updated_tm: new Date().toISOString() });
+            return entry || null;
+        },
+
+        async remove(id, ownerId) {
+            const [entry] = await store.remove(TABLE, { id, owner_id: ownerId });
+            return entry || null;
+        },
+
+        // Adds to the usage counters. The update only matches while the
+        // counters are what we read, so concurrent additions retry.
+        async addStats(id, { used = 0, usedAt, answered = 0, correct = 0 }) {
+            for (let i = 0; i < 5; i++) {
+                const entry = await store.selectOne(TABLE, { id });
+                if (!entry) return null;
+                const patch = {
+                    times_used: entry.times_used + used,
+                    times_answered: entry.times_answered + answered,
+                    times_correct: entry.times_correct + correct,
+                };
+                if (usedAt) patch.last_used_at = usedAt;
+                const [updated] = await store.update(
+                    TABLE,
+                    { id, times_used: entry.times_used, times_answered: entry.times_answered, times_correct: entry.times_correct },
+                    patch
+                );
+                if (updated) return updated;
+            }
+            return null;
+        },
+    };
+}
@@ -0,0 +1,56 @@
+const TABLE = "classroomInvitations";
+
+// Mailed invitations into a classroom. Only the token's hash is stored.
+export function createClassroomInvitationRepository(store) {
+    return {
+        listPending(classroomId) {
+            return store.select(TABLE, {
+                where: {
+                    classroom_id: classroomId,
+                    accepted_at: null,
+                    revoked_at: null,
+                    expires_at: { gt: new Date().toISOString() },
+                },
+                order: { column: "crt_tm", ascending: false },
+            });
+        },
+
+        create({ classroomId, mail, role, tokenHash, invitedBy, expiresAt }) {
+            return store.insert(TABLE, {
+                classroom_id: classroomId,
+                mail,
+                role,
+                token_hash: tokenHash,
+                invited_by: invitedBy,
+                expires_at: expiresAt,
+                accepted_at: null,
+                revoked_at: null,
+                crt_tm: new Date().toISOString(),
+            });
+        },
+
+        findByHash(tokenHash) {
+            return store.selectOne(TABLE, { token_hash: tokenHash });
+        },
+
+        // Marks the invitation accepted; null when it is already used,
+        // revoked or expired. Only one caller can win the update.
+        async accept(id) {
+            const [invitation] = await store.update(
+                TABLE,
+                { id, accepted_at: null, revoked_at: null, expires_at: { gt: new Date().toISOString() } },
+                { accepted_at: new Date().toISOString() }
+            );
+            return invitation || null;
+        },
+
+        async revoke(id, classroomId) {
+            const [invitation] = await store.update(
+                TABLE,
+                { id, classroom_id: classroomId, accepted_at: null, revoked_at: null },
+                { revoked_at: new Date().toISOString() }
+            );
+            return invitation || null;
+        },
+    };
+}
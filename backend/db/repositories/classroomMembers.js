@@ -0,0 +1,42 @@
+const TABLE = "classroomMembers";
+
+export const CLASSROOM_ROLES = { TEACHER: "teacher", STUDENT: "student" };
+
+// One row per (classroom, user) with the user's role there.
+export function createClassroomMemberRepository(store) {
+    return {
+        find(classroomId, userId) {
+            return store.selectOne(TABLE, { classroom_id: classroomId, user_id: userId });
+        },
+
+        listByClassroom(classroomId, role) {
+            const where = { classroom_id: classroomId };
+            if (role) where.role = role;
+            return store.select(TABLE, { where, order: { column: "crt_tm", ascending: true } });
+        },
+
+        listByUser(userId) {
+            return store.select(TABLE, { where: { user_id: userId } });
+        },
+
+        // Returns the existing row when the user is already a member.
+        add(classroomId, userId, role) {
+            return store.upsert(
+                TABLE,
+                { classroom_id: classroomId, user_id: userId, role, crt_tm: new Date().toISOString() },
+                ["classroom_id", "user_id"],
+                { ignoreDuplicates: true }
+            );
+        },
+
+        async setRole(classroomId, userId, role) {
+            const [member] = await store.update(TABLE, { classroom_id: classroomId, user_id: userId }, { role });
+            return member || null;
+        },
+
+        async remove(classroomId, userId) {
+            const [member] = await store.remove(TABLE, { classroom_id: classroomId, user_id: userId });
+            return member || null;
+        },
+    };
+}
@@ -0,0 +1,37 @@
+const TABLE = "classrooms";
+
+export function createClassroomRepository(store) {
+    return {
+        findById(id) {
+            return store.selectOne(TABLE, { id });
+        },
+
+        findByJoinCode(code) {
+            return store.selectOne(TABLE, { join_code: code });
+        },
+
+        listByIds(ids) {
+            if (!ids.length) return Promise.resolve([]);
+            return store.select(TABLE, { where: { id: { in: ids } }, order: { column: "name", ascending: true } });
+        },
+
+        create({ name, section = null, createdBy, joinCode }) {
+            return store.insert(TABLE, {
+                name,
+                section,
+                join_code: joinCode,
+                created_by: createdBy,
+                crt_tm: new Date().toISOString(),
+            });
+        },
+
+        async update(id, patch) {
+            const [classroom] = await store.update(TABLE, { id }, patch);
+            return classroom || null;
+        },
+
+        remove(id) {
+            return store.remove(TABLE, { id });
+        },
+    };
+}
@@ -0,0 +1,33 @@
+const TABLE = "userIdentities";
+
+// Sign-in identities from outside providers: (provider, subject) pairs,
+// where `subject` is the provider's stable user id, never the email.
+export function createIdentityRepository(store) {
+    return {
+        find(provider, subject) {
+            return store.selectOne(TABLE, { provider, subject: String(subject) });
+        },
+
+        listByUser(userId) {
+            return store.select(TABLE, {
+                where: { user_id: userId },
+                order: { column: "crt_tm", ascending: true },
+            });
+        },
+
+        // Returns the row for (provider, subject) — ours if the insert won,
+        // otherwise whoever linked it first.
+        link({ userId, provider, subject, email }) {
+            return store.upsert(
+                TABLE,
+                { user_id: userId, provider, subject: String(subject), email: email || null, crt_tm: new Date().toISOString() },
+                ["provider", "subject"],
+                { ignoreDuplicates: true }
+            );
+        },
+
+        async unlink(userId, provider) {
+            return store.remove(TABLE, { user_id: userId, provider });
+        },
+    };
+}
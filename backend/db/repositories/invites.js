@@ -0,0 +1,47 @@
+const TABLE = "quizInvites";
+
+export function createInviteRepository(store) {
+    return {
+        findById(id) {
+            return store.selectOne(TABLE, { id });
+        },
+
+        listByQuiz(quizId) {
+            return store.select(TABLE, {
+                where: { quiz_id: quizId },
+                order: { column: "crt_tm", ascending: false },
+            });
+        },
+
+        create({ quizId, createdBy, expiresAt = null, maxUses = null }) {
+            return store.insert(TABLE, {
+                quiz_id: quizId,
+                created_by: createdBy,
+                expires_at: expiresAt,
+                max_uses: maxUses,
+                uses: 0,
+                revoked_at: null,
+                crt_tm: new Date().toISOString(),
+            });
+        },
+
+        async revoke(id, quizId) {
+            const [invite] = await store.update(TABLE, { id, quiz_id: quizId }, { revoked_at: new Date().toISOString() });
+            return invite || null;
+        },
+
+        // Counts one use, unless the invite is revoked or used up. The update
+        // only matches while `uses` is still what we read, so two players
+        // can't both take the last use; a lost race reads again and retries.
+        async claimUse(id) {
+            for (let i = 0; i < 5; i++) {
+                const invite = await store.selectOne(TABLE, { id });
+                if (!invite || invite.revoked_at) return null;
+                if (invite.max_uses != null && invite.uses >= invite.max_uses) return null;
+                const [claimed] = await store.update(TABLE, { id, uses: invite.uses }, { uses: invite.uses + 1 });
+                if (claimed) return claimed;
+            }
+            return null;
+        },
+    };
+}
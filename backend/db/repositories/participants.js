@@ -0,0 +1,61 @@
+const TABLE = "quizParticipants";
+
+// One row per (quiz, user): when the player joined and when they first
+// received the questions. Every write touches a single row, so players
+// joining at the same moment can't overwrite each other.
+export function createParticipantRepository(store) {
+    return {
+        find(quizId, userId) {
+            return store.selectOne(TABLE, { quiz_id: quizId, user_id: userId });
+        },
+
+        // Joining twice keeps the original row.
+        join(quizId, userId) {
+            return store.upsert(
+                TABLE,
+                { quiz_id: quizId, user_id: userId, joined_at: new Date().toISOString() },
+                ["quiz_id", "user_id"],
+                { ignoreDuplicates: true }
+            );
+        },
+
+        async listUserIds(quizId) {
+            const rows = await store.select(TABLE, {
+                where: { quiz_id: quizId },
+                order: { column: "joined_at", ascending: true },
+            });
+            return rows.map((row) => row.user_id);
+        },
+
+        // Records the start the first time only; later calls return the
+        // original row, so reloading the quiz doesn't reset the clock.
+        async start(quizId, userId) {
+            await this.join(quizId, userId);
+            const [started] = await store.update(
+                TABLE,
+                { quiz_id: quizId, user_id: userId, started_at: null },
+                { started_at: new Date().toISOString() }
+            );
+            return started || this.find(quizId, userId);
+        },
+
+        // Starts the clock over for another attempt.
+        async restart(quizId, userId) {
+            const [row] = await store.update(
+                TABLE,
+                { quiz_id: quizId, user_id: userId },
+                { started_at: new Date().toISOString(), finished_at: null }
+            );
+            return row || null;
+        },
+
+        async finish(quizId, userId) {
+            const [row] = await store.update(
+                TABLE,
+                { quiz_id: quizId, user_id: userId },
+                { finished_at: new Date().toISOString() }
+            );
+            return row || null;
+        },
+    };
+}
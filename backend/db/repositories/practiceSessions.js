@@ -0,0 +1,50 @@
+const TABLE = "practiceSessions";
+
+// Solo practice sessions (see quiz/practice.js). The question queue and
+// per-concept tallies live in JSONB; `version` guards against two answers
+// to the same question racing each other.
+export function createPracticeSessionRepository(store) {
+    return {
+        findOwned(id, userId) {
+            return store.selectOne(TABLE, { id, user_id: userId });
+        },
+
+        listByUser(userId, limit) {
+            return store.select(TABLE, {
+                where: { user_id: userId },
+                order: [{ column: "crt_tm", ascending: false }, { column: "id", ascending: false }],
+                limit,
+            });
+        },
+
+        create({ userId, topic, level, items }) {
+            const now = new Date().toISOString();
+            return store.insert(TABLE, {
+                user_id: userId,
+                topic,
+                start_level: level,
+                level,
+                status: "active",
+                items,
+                concepts: {},
+                streak: 0,
+                version: 0,
+                summary: null,
+                crt_tm: now,
+                updated_tm: now,
+                finished_at: null,
+            });
+        },
+
+        // Applies `patch` unless the session changed since it was read;
+        // returns the updated session or null.
+        async save(session, patch) {
+            const [updated] = await store.update(
+                TABLE,
+                { id: session.id, user_id: session.user_id, version: session.version },
+                { ...patch, version: session.version + 1, updated_tm: new Date().toISOString() }
+            );
+            return updated || null;
+        },
+    };
+}
@@ -0,0 +1,142 @@
+import { DEFAULT_SCORING } from "../../quiz/scoring.js";
+import { DEFAULT_SETTINGS } from "../../quiz/settings.js";
+
+const TABLE = "activeQuizes";
+
+// Scheduled quizzes are published but wait for their open time.
+export const QUIZ_STATUS = { DRAFT: "draft", SCHEDULED: "scheduled", PUBLISHED: "published" };
+
+export function createQuizRepository(store) {
+    return {
+        findById(id) {
+            return store.selectOne(TABLE, { id });
+        },
+
+        // Open for players: published and not closed.
+        findOpenById(id) {
+            return store.selectOne(TABLE, { id, closed: false, status: QUIZ_STATUS.PUBLISHED });
+        },
+
+        listByIds(ids) {
+            if (!ids.length) return Promise.resolve([]);
+            return store.select(TABLE, { where: { id: { in: ids } } });
+        },
+
+        findByJoinCode(code) {
+            return store.selectOne(TABLE, { join_code: code });
+        },
+
+        findOwned(id, mail) {
+            return store.selectOne(TABLE, { id, created_mail: mail });
+        },
+
+        listByClassroom(classroomId) {
+            return store.select(TABLE, {
+                where: { classroom_id: classroomId },
+                order: { column: "crt_tm", ascending: false },
+            });
+        },
+
+        listByCreator(mail) {
+            return store.select(TABLE, {
+                where: { created_mail: mail },
+                order: { column: "crt_tm", ascending: false },
+            });
+        },
+
+        create({
+            title,
+            createdMail,
+            questions,
+            answers,
+            status = QUIZ_STATUS.DRAFT,
+            scoring = DEFAULT_SCORING,
+            settings = DEFAULT_SETTINGS,
+            schedule = {},
+            classroomId = null,
+            bankRefs = null,
+        }) {
+            const now = new Date().toISOString();
+            return store.insert(TABLE, {
+                title,
+                created_mail: createdMail,
+                questions,
+                answers,
+                closed: false,
+                status,
+                scoring,
+                settings,
+                opens_at: schedule.opensAt ?? null,
+                closes_at: schedule.closesAt ?? null,
+                duration_minutes: schedule.durationMinutes ?? null,
+                classroom_id: classroomId,
+                bank_refs: bankRefs,
+                published_tm: status === QUIZ_STATUS.PUBLISHED ? now : null,
+                crt_tm: now,
+            });
+        },
+
+        async update(id, patch) {
+            const [quiz] = await store.update(TABLE, { id }, patch);
+            return quiz || null;
+        },
+
+        // Only drafts change here; returns null once the quiz is published.
+        async updateDraft(id, patch) {
+            const [quiz] = await store.update(TABLE, { id, status: QUIZ_STATUS.DRAFT }, patch);
+            return quiz || null;
+        },
+
+        // `window` comes from windowFor(): a pending window leaves the quiz
+        // scheduled until open() runs at its open time.
+        async publish(id, mail, window, joinCode) {
+            const [quiz] = await store.update(
+                TABLE,
+                { id, created_mail: mail, status: QUIZ_STATUS.DRAFT },
+                {
+                    join_code: joinCode,
+                    status: window.pending ? QUIZ_STATUS.SCHEDULED : QUIZ_STATUS.PUBLISHED,
+                    published_tm: window.pending ? null : new Date().toISOString(),
+                    opens_at: window.opensAt,
+                    closes_at: window.closesAt,
+                }
+            );
+            return quiz || null;
+        },
+
+        // `null` revokes the code.
+        async setJoinCode(id, mail, joinCode) {
+            const [quiz] = await store.update(TABLE, { id, created_mail: mail }, { join_code: joinCode });
+            return quiz || null;
+        },
+
+        async open(id) {
+            const [quiz] = await store.update(
+                TABLE,
+                { id, status: QUIZ_STATUS.SCHEDULED, closed: false },
+                { status: QUIZ_STATUS.PUBLISHED, published_tm: new Date().toISOString() }
+            );
+            return quiz || null;
+        },
+
+        // Returns the closed quiz, or null when it does not exist, is not
+        // owned by `mail` (when given) or was already closed.
+        async close(id, mail) {
+            const where = { id, closed: false };
+            if (mail !== undefined) where.created_mail = mail;
+            const [quiz] = await store.update(TABLE, where, { closed: true, closed_tm: new Date().toISOString() });
+            return quiz || null;
+        },
+
+        // Quizzes with an open or close event still to come.
+        async listPendingEvents() {
+            const [scheduled, closing] = await Promise.all([
+                store.select(TABLE, { where: { status: QUIZ_STATUS.SCHEDULED, closed: false } }),
+                store.select(TABLE, {
+                    where: { status: QUIZ_STATUS.PUBLISHED, closed: false, closes_at: { neq: null } },
+                }),
+            ]);
+            return [...scheduled, ...closing];
+        },
+    };
+}
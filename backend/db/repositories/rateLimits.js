@@ -0,0 +1,42 @@
+const TABLE = "rateLimits";
+
+// Fixed-window counters keyed by name. Writes are compare-and-set on the
+// previous values, so concurrent servers never lose a hit.
+export function createRateLimitRepository(store) {
+    return {
+        find(key) {
+            return store.selectOne(TABLE, { key });
+        },
+
+        // Returns the row as stored (someone else's if they got there first).
+        start(key, resetAt) {
+            return store.upsert(TABLE, { key, count: 1, reset_at: resetAt }, ["key"], { ignoreDuplicates: true });
+        },
+
+        async bump(row) {
+            const [updated] = await store.update(
+                TABLE,
+                { key: row.key, count: row.count, reset_at: row.reset_at },
+                { count: row.count + 1 }
+            );
+            return updated || null;
+        },
+
+        async restart(row, resetAt) {
+            const [updated] = await store.update(
+                TABLE,
+                { key: row.key, count: row.count, reset_at: row.reset_at },
+                { count: 1, reset_at: resetAt }
+            );
+            return updated || null;
+        },
+
+        remove(key) {
+            return store.remove(TABLE, { key });
+        },
+
+        removeExpired(now = new Date()) {
+            return store.remove(TABLE, { reset_at: { lte: now.toISOString() } });
+        },
+    };
+}
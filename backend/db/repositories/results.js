@@ -0,0 +1,50 @@
+const TABLE = "quizResults";
+
+export function createResultRepository(store) {
+    return {
+        findById(id) {
+            return store.selectOne(TABLE, { id });
+        },
+
+        listByUser(userId) {
+            return store.select(TABLE, {
+                where: { user_id: userId },
+                order: { column: "submitted_at", ascending: false },
+            });
+        },
+
+        listByQuiz(quizId) {
+            return store.select(TABLE, { where: { quiz_id: quizId } });
+        },
+
+        listForQuizUser(quizId, userId) {
+            return store.select(TABLE, {
+                where: { quiz_id: quizId, user_id: userId },
+                order: { column: "attempt_no", ascending: true },
+            });
+        },
+
+        findByKey(quizId, userId, submissionKey) {
+            return store.selectOne(TABLE, { quiz_id: quizId, user_id: userId, submission_key: submissionKey });
+        },
+
+        create(result) {
+            return store.insert(TABLE, {
+                ...result,
+                submitted_at: new Date().toISOString(),
+            });
+        },
+
+        // Claims attempt number `result.attempt_no` for the player. If the
+        // number is already taken the existing row comes back instead, so
+        // callers compare submission keys to see whether they won.
+        claimAttempt(result) {
+            return store.upsert(
+                TABLE,
+                { ...result, submitted_at: new Date().toISOString() },
+                ["quiz_id", "user_id", "attempt_no"],
+                { ignoreDuplicates: true }
+            );
+        },
+    };
+}
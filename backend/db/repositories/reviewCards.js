@@ -0,0 +1,68 @@
+const TABLE = "reviewCards";
+
+// Each user's review deck (see quiz/review.js). A card keeps its own copy
+// of the question and answer key, so later edits to the quiz don't touch it.
+export function createReviewCardRepository(store) {
+    return {
+        findOwned(id, userId) {
+            return store.selectOne(TABLE, { id, user_id: userId });
+        },
+
+        listByUser(userId) {
+            return store.select(TABLE, {
+                where: { user_id: userId },
+                order: [{ column: "due_at", ascending: true }, { column: "id", ascending: true }],
+            });
+        },
+
+        listDue(userId, before, limit) {
+            return store.select(TABLE, {
+                where: { user_id: userId, due_at: { lt: before } },
+                order: [{ column: "due_at", ascending: true }, { column: "id", ascending: true }],
+                limit,
+            });
+        },
+
+        // Returns the existing card when the user already has this question
+        // from this quiz.
+        add({ userId, quizId, questionId, quizTitle, question, answer, dueAt }) {
+            return store.upsert(
+                TABLE,
+                {
+                    user_id: userId,
+                    quiz_id: quizId,
+                    question_id: questionId,
+                    quiz_title: quizTitle,
+                    question,
+                    answer,
+                    ease: 2.5,
+                    interval_days: 0,
+                    repetitions: 0,
+                    lapses: 0,
+                    reviews: 0,
+                    due_at: dueAt,
+                    last_reviewed_at: null,
+                    crt_tm: new Date().toISOString(),
+                },
+                ["user_id", "quiz_id", "question_id"],
+                { ignoreDuplicates: true }
+            );
+        },
+
+        // Saves a review unless another one got in first (`reviews` moved
+        // on); returns the updated card or null.
+        async reschedule(card, schedule) {
+            const [updated] = await store.update(
+                TABLE,
+                { id: card.id, user_id: card.user_id, reviews: card.reviews },
+                { ...schedule, reviews: card.reviews + 1 }
+            );
+            return updated || null;
+        },
+
+        async remove(id, userId) {
+            const [card] = await store.remove(TABLE, { id, user_id: userId });
+            return card || null;
+        },
+    };
+}
@@ -0,0 +1,49 @@
+const TABLE = "quizStandings";
+
+// Leaderboard order: most points, then least time taken, then earliest
+// submission (see comparePlayers() in quiz/answers.js).
+const RANK_ORDER = [
+    { column: "points", ascending: false },
+    { column: "time_taken", ascending: true },
+    { column: "submitted_at", ascending: true },
+    { column: "id", ascending: true },
+];
+
+// One row per (quiz, user): the attempt that counts on the leaderboard.
+export function createStandingRepository(store) {
+    return {
+        // Replaces the player's entry in one statement.
+        record(quizId, { userId, name, score, points, timeTaken, submittedAt, attempt = 1 }) {
+            return store.upsert(
+                TABLE,
+                {
+                    quiz_id: quizId,
+                    user_id: userId,
+                    name,
+                    score,
+                    points,
+                    time_taken: timeTaken,
+                    submitted_at: submittedAt,
+                    attempt,
+                },
+                ["quiz_id", "user_id"]
+            );
+        },
+
+        // Entries in the `completed_ppl` shape, positions counted from the
+        // query order.
+        async listRanked(quizId) {
+            const rows = await store.select(TABLE, { where: { quiz_id: quizId }, order: RANK_ORDER });
+            return rows.map((row, index) => ({
+                id: row.user_id,
+                name: row.name,
+                score: row.score,
+                points: row.points,
+                time_taken: row.time_taken,
+                submitted_at: row.submitted_at,
+                attempt: row.attempt,
+                position: index + 1,
+            }));
+        },
+    };
+}
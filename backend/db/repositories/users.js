@@ -0,0 +1,53 @@
+const TABLE = "userinfo";
+
+export function createUserRepository(store) {
+    return {
+        findById(id) {
+            return store.selectOne(TABLE, { id });
+        },
+
+        findByMail(mail) {
+            return store.selectOne(TABLE, { mail });
+        },
+
+        listByIds(ids) {
+            if (!ids.length) return Promise.resolve([]);
+            return store.select(TABLE, { where: { id: { in: ids } } });
+        },
+
+        // `emailVerified` for accounts whose provider already checked the
+        // address (Google).
+        create({ mail, name, pass, emailVerified = false }) {
+            const now = new Date().toISOString();
+            return store.insert(TABLE, {
+                mail,
+                name: name || "",
+                pass,
+                email_verified_at: emailVerified ? now : null,
+                accr_tm: now,
+                lstlogin_tm: now,
+            });
+        },
+
+        async update(id, patch) {
+            const [user] = await store.update(TABLE, { id }, patch);
+            return user || null;
+        },
+
+        // `null` removes the password (OAuth-only account).
+        async setPassword(id, hash) {
+            const [user] = await store.update(TABLE, { id }, { pass: hash });
+            return user || null;
+        },
+
+        async markVerified(id) {
+            const [user] = await store.update(TABLE, { id, email_verified_at: null }, { email_verified_at: new Date().toISOString() });
+            return user || null;
+        },
+
+        async touchLogin(id) {
+            const [user] = await store.update(TABLE, { id }, { lstlogin_tm: new Date().toISOString() });
+            return user || null;
+        },
+    };
+}
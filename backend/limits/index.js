@@ -0,0 +1,143 @@
+import { createDatabaseLimitStore } from "./stores/database.js";
+import { createMemoryLimitStore } from "./stores/memory.js";
+import { createDailyQuota } from "./quota.js";
+import { createLoginLockout } from "./lockout.js";
+
+export const LIMIT_STORES = ["memory", "database"];
+
+// Fixed-window rules as "<count>/<window>"; each can be changed or turned
+// "off" with RATE_LIMIT_<RULE>, e.g. RATE_LIMIT_LOGIN_IP=50/15m.
+export const DEFAULT_RULES = {
+    login_ip: "20/15m",
+    signup_ip: "5/1h",
+    mail_ip: "5/1h",
+    generate_ip: "30/1h",
+    generate_user: "10/1h",
+};
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+// "15m" -> 900000. Plain numbers are seconds.
+export function parseDuration(value) {
+    const match = /^(\d+)\s*([smhd]?)$/.exec(String(value || "").trim());
+    return match ? Number(match[1]) * UNITS[match[2] || "s"] : null;
+}
+
+function parseRule(value) {
+    if (String(value).trim() === "off") return null;
+    const [count, window] = String(value).split("/");
+    const limit = Number(count);
+    const windowMs = parseDuration(window);
+    if (!Number.isInteger(limit) || limit < 1 || !windowMs) return undefined;
+    return { limit, windowMs };
+}
+
+function numberOr(value, fallback) {
+    const n = Number(value);
+    return value != null && value !== "" && Number.isFinite(n) ? n : fallback;
+}
+
+// Reads the per-deployment settings:
+//   RATE_LIMITS (on by default; "off" turns every limit off), RATE_LIMIT_STORE
+//   RATE_LIMIT_<RULE> for each rule in DEFAULT_RULES
+//   LOGIN_LOCKOUT_AFTER, LOGIN_LOCKOUT_BASE, LOGIN_LOCKOUT_MAX
+//   LLM_DAILY_QUOTA (0 for no quota)
+export function loadLimitConfig(env = process.env) {
+    const rules = {};
+    for (const [name, fallback] of Object.entries(DEFAULT_RULES)) {
+        const raw = env[`RATE_LIMIT_${name.toUpperCase()}`];
+        const rule = raw != null && raw !== "" ? parseRule(raw) : parseRule(fallback);
+        if (rule === undefined) throw new Error(`Invalid RATE_LIMIT_${name.toUpperCase()} "${raw}" (expected <count>/<window>, e.g. 20/15m, or off)`);
+        rules[name] = rule;
+    }
+    return {
+        enabled: env.RATE_LIMITS !== "off",
+        store: env.RATE_LIMIT_STORE || "memory",
+        rules,
+        lockout: {
+            after: numberOr(env.LOGIN_LOCKOUT_AFTER, 5),
+            baseMs: parseDuration(env.LOGIN_LOCKOUT_BASE) || 30 * 1000,
+            maxMs: parseDuration(env.LOGIN_LOCKOUT_MAX) || 15 * 60 * 1000,
+        },
+        dailyGenerations: numberOr(env.LLM_DAILY_QUOTA, 20),
+    };
+}
+
+export function createLimitStore(name, { db }) {
+    switch (name) {
+        case "memory":
+            return createMemoryLimitStore();
+        case "database":
+            return createDatabaseLimitStore({ db });
+        default:
+            throw new Error(`Unknown RATE_LIMIT_STORE "${name}" (expected one of: ${LIMIT_STORES.join(", ")})`);
+    }
+}
+
+// Answers 429 with when to try again, in the body and in Retry-After.
+export function tooManyRequests(res, outcome, error = "Too many requests, try again later", extra = {}) {
+    const retryAfter = Math.max(1, Math.ceil((outcome.resetAt - Date.now()) / 1000));
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({
+        ok: false,
+        error,
+        retryAfter,
+        retryAt: new Date(outcome.resetAt).toISOString(),
+        ...extra,
+    });
+}
+
+// `hit` counts one request against a rule for one caller (an IP, a user id)
+// and says whether it is allowed. `limit` is the same as Express middleware.
+export function createRateLimiter({ db, config = loadLimitConfig() }) {
+    const store = createLimitStore(config.store, { db });
+
+    const sweeper = setInterval(() => {
+        store.sweep().catch((e) => console.error("Failed to sweep rate limits:", e));
+    }, SWEEP_INTERVAL_MS);
+    sweeper.unref();
+
+    async function hit(ruleName, id) {
+        const rule = config.rules[ruleName];
+        if (!config.enabled || !rule || id == null) return { allowed: true };
+        const bucket = await store.increment(`${ruleName}:${id}`, rule.windowMs);
+        return {
+            allowed: bucket.count <= rule.limit,
+            limit: rule.limit,
+            remaining: Math.max(0, rule.limit - bucket.count),
+            resetAt: bucket.resetAt,
+        };
+    }
+
+    function limit(ruleName, keyOf) {
+        return async (req, res, next) => {
+            let outcome;
+            try {
+                outcome = await hit(ruleName, keyOf(req));
+            } catch (e) {
+                // A broken limit store shouldn't take the API down with it
+                console.error(`Rate limit check failed (${ruleName}):`, e);
+                return next();
+            }
+            if (outcome.limit != null) {
+                res.set("RateLimit-Limit", String(outcome.limit));
+                res.set("RateLimit-Remaining", String(outcome.remaining));
+                res.set("RateLimit-Reset", String(Math.max(0, Math.ceil((outcome.resetAt - Date.now()) / 1000))));
+            }
+            if (!outcome.allowed) return tooManyRequests(res, outcome);
+            next();
+        };
+    }
+
+    return {
+        store: store.name,
+        hit,
+        limit,
+        lockout: createLoginLockout({ store, enabled: config.enabled, ...config.lockout }),
+        quota: createDailyQuota({ store, limit: config.enabled ? config.dailyGenerations : 0 }),
+        stop() {
+            clearInterval(sweeper);
+        },
+    };
+}
@@ -0,0 +1,40 @@
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+function accountKey(mail) {
+    return String(mail || "").trim().toLowerCase();
+}
+
+// Progressive lockout for password sign-in. After `after` failed attempts
+// on an account the next ones wait `baseMs`, then twice that, and so on up
+// to `maxMs`. A successful sign-in clears the count; otherwise it is
+// forgotten a day after the first failure.
+//
+// Failures are counted per address whether or not the account exists, so
+// lockouts don't reveal which addresses are registered.
+export function createLoginLockout({ store, enabled = true, after = 5, baseMs = 30 * 1000, maxMs = 15 * 60 * 1000 }) {
+    return {
+        // { resetAt } while the account is locked, otherwise null.
+        async check(mail) {
+            if (!enabled) return null;
+            return store.get(`login_lock:${accountKey(mail)}`);
+        },
+
+        async fail(mail) {
+            if (!enabled) return null;
+            const key = accountKey(mail);
+            const { count } = await store.increment(`login_fail:${key}`, FAILURE_WINDOW_MS);
+            if (count < after) return null;
+
+            const lockMs = Math.min(maxMs, baseMs * 2 ** (count - after));
+            await store.reset(`login_lock:${key}`);
+            return store.increment(`login_lock:${key}`, lockMs);
+        },
+
+        async succeed(mail) {
+            if (!enabled) return;
+            const key = accountKey(mail);
+            await store.reset(`login_fail:${key}`);
+            await store.reset(`login_lock:${key}`);
+        },
+    };
+}
@@ -0,0 +1,41 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function today(now) {
+    return new Date(now).toISOString().slice(0, 10);
+}
+
+function nextMidnight(now) {
+    return Math.floor(now / DAY_MS) * DAY_MS + DAY_MS;
+}
+
+// How many LLM generations each user may run per UTC day. A `limit` of 0
+// means no quota.
+export function createDailyQuota({ store, limit }) {
+    function view(count, resetAt) {
+        return {
+            limit,
+            used: Math.min(count, limit),
+            remaining: Math.max(0, limit - count),
+            resetsAt: new Date(resetAt).toISOString(),
+        };
+    }
+
+    return {
+        // Counts one generation; { allowed, resetAt, quota }.
+        async consume(userId) {
+            if (!limit) return { allowed: true, quota: null };
+            const now = Date.now();
+            const resetAt = nextMidnight(now);
+            const bucket = await store.increment(`llm:${userId}:${today(now)}`, resetAt - now);
+            return { allowed: bucket.count <= limit, resetAt: bucket.resetAt, quota: view(bucket.count, bucket.resetAt) };
+        },
+
+        // Today's usage without counting anything; null when there is no quota.
+        async peek(userId) {
+            if (!limit) return null;
+            const now = Date.now();
+            const bucket = await store.get(`llm:${userId}:${today(now)}`);
+            return view(bucket ? bucket.count : 0, bucket ? bucket.resetAt : nextMidnight(now));
+        },
+    };
+}
@@ -0,0 +1,50 @@
+// Counters in the app database (the `rateLimits` table), shared by every
+// server instance.
+const MAX_TRIES = 5;
+
+function toBucket(row) {
+    return { count: row.count, resetAt: new Date(row.reset_at).getTime() };
+}
+
+export function createDatabaseLimitStore({ db }) {
+    const repo = db.rateLimits;
+
+    return {
+        name: "database",
+
+        async increment(key, windowMs) {
+            let row;
+            for (let i = 0; i < MAX_TRIES; i++) {
+                const now = Date.now();
+                const resetAt = new Date(now + windowMs).toISOString();
+                row = await repo.find(key);
+
+                let won;
+                if (!row) {
+                    const stored = await repo.start(key, resetAt);
+                    won = stored.count === 1 && new Date(stored.reset_at).toISOString() === resetAt ? stored : null;
+                } else if (new Date(row.reset_at).getTime() <= now) {
+                    won = await repo.restart(row, resetAt);
+                } else {
+                    won = await repo.bump(row);
+                }
+                if (won) return toBucket(won);
+            }
+            // Lost every race: count the hit anyway rather than let it through
+            return row ? { ...toBucket(row), count: row.count + 1 } : { count: 1, resetAt: Date.now() + windowMs };
+        },
+
+        async get(key) {
+            const row = await repo.find(key);
+            return row && new Date(row.reset_at).getTime() > Date.now() ? toBucket(row) : null;
+        },
+
+        async reset(key) {
+            await repo.remove(key);
+        },
+
+        async sweep() {
+            await repo.removeExpired();
+        },
+    };
+}
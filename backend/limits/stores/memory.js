@@ -0,0 +1,36 @@
+// Counters in the server process: right for a single instance, and every
+// restart starts from zero.
+export function createMemoryLimitStore() {
+    const buckets = new Map();
+
+    return {
+        name: "memory",
+
+        async increment(key, windowMs) {
+            const now = Date.now();
+            let bucket = buckets.get(key);
+            if (!bucket || bucket.resetAt <= now) {
+                bucket = { count: 0, resetAt: now + windowMs };
+                buckets.set(key, bucket);
+            }
+            bucket.count += 1;
+            return { ...bucket };
+        },
+
+        async get(key) {
+            const bucket = buckets.get(key);
+            return bucket && bucket.resetAt > Date.now() ? { ...bucket } : null;
+        },
+
+        async reset(key) {
+            buckets.delete(key);
+        },
+
+        async sweep() {
+            const now = Date.now();
+            for (const [key, bucket] of buckets) {
+                if (bucket.resetAt <= now) buckets.delete(key);
+            }
+        },
+    };
+}
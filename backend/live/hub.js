@@ -0,0 +1,387 @@
+import { findQuizForPlayer } from "../quiz/access.js";
+import { recordAttempt, syncLeaderboard } from "../quiz/attempts.js";
+import { finalizeQuiz } from "../quiz/lifecycle.js";
+import { rankPlayers } from "../quiz/answers.js";
+import { answerIndex, gradeQuestion, gradeSubmission } from "../quiz/grading.js";
+import { scoreSubmission } from "../quiz/scoring.js";
+import { resolveSettings } from "../quiz/settings.js";
+import { questionType } from "../quiz/types.js";
+
+export const DEFAULT_QUESTION_SECONDS = 20;
+
+// The response fields each question type takes, and what each must hold.
+const RESPONSE_FIELDS = {
+    single: ["option"],
+    true_false: ["option"],
+    multi: ["options", "option"],
+    numeric: ["value"],
+    short: ["text"],
+};
+
+// Error message for a malformed answer, or null. Only the question type's
+// own fields are accepted, and choices must be options of the question.
+function checkResponse(question, response) {
+    const allowed = RESPONSE_FIELDS[questionType(question)] || [];
+    const keys = Object.keys(response);
+    if (!keys.length || keys.some((k) => !allowed.includes(k))) {
+        return `Answer with ${allowed.join(" or ")}`;
+    }
+    const isOption = (v) => typeof v === "string" && Object.hasOwn(question.options || {}, v);
+    if ("option" in response && !isOption(response.option)) return "option must be one of the question's options";
+    if ("options" in response && !(Array.isArray(response.options) && response.options.every(isOption))) {
+        return "options must be a list of the question's options";
+    }
+    if ("value" in response && !(typeof response.value === "number" && Number.isFinite(response.value))) {
+        return "value must be a number";
+    }
+    if ("text" in response && typeof response.text !== "string") return "text must be a string";
+    return null;
+}
+
+// Host-paced sessions, one per quiz, kept in this process.
+//
+// Phases: lobby -> question -> reveal -> question -> ... -> finished.
+// The host moves things along with `start` and `next`; a question also ends
+// on its own when the countdown runs out or every connected player answered.
+//
+// Connections are anything with `send(message)` and a `user` ({ id, mail });
+// live/socket.js supplies WebSocket-backed ones.
+export function createLiveHub({ db, scheduler, now = () => Date.now() }) {
+    const sessions = new Map();
+
+    function publicQuestion(question) {
+        const { id, question: text, options } = question;
+        return { id, type: questionType(question), question: text, options };
+    }
+
+    function leaderboard(session) {
+        return rankPlayers(
+            [...session.players.values()].map(({ id, name, score, correct, answerMs }) => ({
+                id, name, score, points: score, correct, time_taken: Math.round(answerMs / 1000),
+            }))
+        );
+    }
+
+    // Scores a player's answers so far under the quiz's scoring policy.
+    function breakdownFor(session, player, upTo = session.index) {
+        const questions = session.quiz.questions.slice(0, upTo + 1);
+        const { results } = gradeSubmission({ questions, answers: session.quiz.answers }, player.answers);
+        return scoreSubmission(session.quiz.scoring, { results, timeTaken: player.answerMs / 1000 });
+    }
+
+    function lobbyState(session) {
+        return {
+            type: "lobby",
+            quizId: session.quiz.id,
+            title: session.quiz.title,
+            phase: session.phase,
+            players: [...session.players.values()].map(({ id, name, connected }) => ({ id, name, connected })),
+        };
+    }
+
+    function broadcast(session, message) {
+        if (session.host) session.host.send(message);
+        for (const player of session.players.values()) {
+            if (player.conn) player.conn.send(message);
+        }
+    }
+
+    function currentQuestion(session) {
+        return session.quiz.questions[session.index];
+    }
+
+    function questionMessage(session) {
+        return {
+            type: "question",
+            index: session.index,
+            total: session.quiz.questions.length,
+            question: publicQuestion(currentQuestion(session)),
+            seconds: session.questionSeconds,
+            endsAt: new Date(session.deadline).toISOString(),
+            serverTime: new Date(now()).toISOString(),
+        };
+    }
+
+    async function load(quizId) {
+        let session = sessions.get(quizId);
+        if (session) return session;
+
+        const quiz = await db.quizzes.findOpenById(quizId);
+        if (!quiz) return null;
+        // Another connection may have loaded it while we waited.
+        if (sessions.has(quiz.id)) return sessions.get(quiz.id);
+
+        session = {
+            quiz,
+            answers: answerIndex(quiz.answers),
+            phase: "lobby",
+            host: null,
+            players: new Map(),
+            index: -1,
+            questionSeconds: resolveSettings(quiz.settings).questionTimeLimit || DEFAULT_QUESTION_SECONDS,
+            deadline: null,
+            timer: null,
+        };
+        sessions.set(quiz.id, session);
+        return session;
+    }
+
+    function askQuestion(session) {
+        session.phase = "question";
+        session.deadline = now() + session.questionSeconds * 1000;
+        session.roundAnswers = new Map();
+        clearTimeout(session.timer);
+        session.timer = setTimeout(() => revealRound(session), session.questionSeconds * 1000);
+        broadcast(session, questionMessage(session));
+    }
+
+    function revealRound(session) {
+        if (session.phase !== "question") return;
+        clearTimeout(session.timer);
+        session.timer = null;
+        session.phase = "reveal";
+
+        const question = currentQuestion(session);
+        const { id, ...answer } = session.answers.get(question.id) || {};
+        const board = leaderboard(session);
+
+        if (session.host) {
+            // How often each option was picked, for choice questions
+            const counts = {};
+            for (const { response } of session.roundAnswers.values()) {
+                const picks = Array.isArray(response.options) ? response.options : (response.option != null ? [response.option] : []);
+                for (const option of picks) counts[option] = (counts[option] || 0) + 1;
+            }
+            session.host.send({
+                type: "round_result",
+                questionId: question.id,
+                correct_option: answer.correct_option,
+                answer,
+                answerCounts: counts,
+                leaderboard: board,
+                last: session.index === session.quiz.questions.length - 1,
+            });
+        }
+        for (const player of session.players.values()) {
+            if (!player.conn) continue;
+            const mine = session.roundAnswers.get(player.id);
+            player.conn.send({
+                type: "round_result",
+                questionId: question.id,
+                correct_option: answer.correct_option,
+                answer,
+                you: {
+                    response: mine?.response ?? null,
+                    option: mine?.response.option ?? null,
+                    correct: Boolean(mine?.correct),
+                    credit: mine?.credit || 0,
+                    points: mine?.points || 0,
+                    score: player.score,
+                    position: board.find((p) => p.id === player.id)?.position,
+                },
+                leaderboard: board,
+                last: session.index === session.quiz.questions.length - 1,
+            });
+        }
+    }
+
+    async function finish(session) {
+        clearTimeout(session.timer);
+        session.phase = "finished";
+        const total = session.quiz.questions.length;
+
+        // Unanswered questions count too (negative marking, speed bonus share)
+        const breakdowns = new Map();
+        for (const player of session.players.values()) {
+            const breakdown = breakdownFor(session, player, total - 1);
+            breakdowns.set(player.id, breakdown);
+            player.score = breakdown.total;
+        }
+        const board = leaderboard(session);
+
+        try {
+            for (const player of session.players.values()) {
+                // Keyed per session so a second finish can't double-record.
+                const attempt = await recordAttempt(db, {
+                    quiz: session.quiz,
+                    userId: player.id,
+                    submissionKey: `live-${session.quiz.id}`,
+                    row: {
+                        quiz_title: session.quiz.title,
+                        user_mail: player.mail,
+                        score: player.correct,
+                        total_questions: total,
+                        points: player.score,
+                        time_taken: Math.round(player.answerMs / 1000),
+                        given_answer: player.answers,
+                        question_times: player.times,
+                        breakdown: breakdowns.get(player.id),
+                    },
+                });
+                // Players out of attempts keep the standing they already had.
+                if (!attempt.result) continue;
+                await syncLeaderboard(db, session.quiz, { userId: player.id, name: player.name });
+            }
+            await finalizeQuiz(db, session.quiz.id, { scheduler });
+        } catch (e) {
+            console.error("Failed to save live session results:", e);
+            broadcast(session, { type: "error", error: "Results could not be saved" });
+        }
+
+        broadcast(session, { type: "finished", leaderboard: board });
+        sessions.delete(session.quiz.id);
+    }
+
+    const handlers = {
+        async start(session, conn, msg) {
+            if (conn !== session.host) return { error: "Only the host can start" };
+            if (session.phase !== "lobby") return { error: "Session already started" };
+            if (!session.quiz.questions.length) return { error: "Quiz has no questions" };
+            const seconds = Number(msg.questionSeconds);
+            if (Number.isFinite(seconds) && seconds >= 5 && seconds <= 300) session.questionSeconds = seconds;
+            session.index = 0;
+            askQuestion(session);
+        },
+
+        async next(session, conn) {
+            if (conn !== session.host) return { error: "Only the host can advance" };
+            if (session.phase === "finished") return;
+            if (session.phase === "question") {
+                // Skip the rest of the countdown.
+                revealRound(session);
+                return;
+            }
+            if (session.phase !== "reveal") return { error: "Nothing to advance" };
+            if (session.index + 1 >= session.quiz.questions.length) {
+                await finish(session);
+                return;
+            }
+            session.index++;
+            askQuestion(session);
+        },
+
+        async end(session, conn) {
+            if (conn !== session.host) return { error: "Only the host can end the session" };
+            if (session.phase === "finished") return;
+            if (session.phase === "question") revealRound(session);
+            await finish(session);
+        },
+
+        async answer(session, conn, msg) {
+            const player = session.players.get(conn.user.id);
+            if (!player || player.conn !== conn) return { error: "Not a player in this session" };
+            if (session.phase !== "question" || now() > session.deadline) return { error: "Answers are closed" };
+
+            const question = currentQuestion(session);
+            if (Number(msg.questionId) !== question.id) return { error: "That question is not active" };
+            if (session.roundAnswers.has(player.id)) return { error: "Already answered" };
+
+            // Same response shapes as /submit-ans: option, options, value or text
+            const response = {};
+            for (const key of ["option", "options", "value", "text"]) {
+                if (msg[key] !== undefined) response[key] = msg[key];
+            }
+            const invalid = checkResponse(question, response);
+            if (invalid) return { error: invalid };
+            const elapsed = now() - (session.deadline - session.questionSeconds * 1000);
+            const { credit, correct } = gradeQuestion(question, session.answers.get(question.id), response);
+
+            player.answers[question.id] = response;
+            player.times[question.id] = Math.round(elapsed / 100) / 10;
+            player.answerMs += elapsed;
+            player.correct += credit;
+            const { total } = breakdownFor(session, player);
+            const points = Math.round((total - player.score) * 100) / 100;
+            player.score = total;
+
+            session.roundAnswers.set(player.id, { response, credit, correct, points });
+
+            conn.send({ type: "answer_ack", questionId: question.id });
+            if (session.host) {
+                session.host.send({ type: "answered", count: session.roundAnswers.size, players: session.players.size });
+            }
+
+            const waiting = [...session.players.values()].some((p) => p.conn && !session.roundAnswers.has(p.id));
+            if (!waiting) revealRound(session);
+        },
+    };
+
+    return {
+        // Attaches a connection to the quiz's session. The quiz creator
+        // becomes the host; everyone else joins as a player (and is recorded
+        // as a participant, like /join-quiz does).
+        // `quizCode` is a join code, or the quiz id for the host and for
+        // players who already joined.
+        async join(conn, quizCode) {
+            const quiz = await findQuizForPlayer(db, quizCode, conn.user);
+            const session = quiz && (await load(quiz.id));
+            if (!session) return { error: "Quiz not found" };
+
+            if (session.quiz.created_mail === conn.user.mail) {
+                if (session.host && session.host !== conn) session.host.close?.();
+                session.host = conn;
+                conn.session = session;
+                conn.send({ type: "joined", role: "host", quizId: session.quiz.id });
+                conn.send(lobbyState(session));
+                if (session.phase === "question") conn.send(questionMessage(session));
+                return {};
+            }
+
+            let player = session.players.get(conn.user.id);
+            if (!player) {
+                if (session.phase === "finished") return { error: "Session is over" };
+                player = {
+                    id: conn.user.id,
+                    mail: conn.user.mail,
+                    name: conn.user.mail,
+                    score: 0,
+                    correct: 0,
+                    answerMs: 0,
+                    times: {},
+                    answers: {},
+                };
+                session.players.set(player.id, player);
+
+                db.participants.join(session.quiz.id, player.id).catch((e) => {
+                    console.error("Failed to record live join:", e);
+                });
+            } else if (player.conn && player.conn !== conn) {
+                player.conn.close?.();
+            }
+            player.conn = conn;
+            player.connected = true;
+            conn.session = session;
+
+            conn.send({ type: "joined", role: "player", quizId: session.quiz.id });
+            broadcast(session, lobbyState(session));
+            if (session.phase === "question") conn.send(questionMessage(session));
+            return {};
+        },
+
+        async handle(conn, msg) {
+            if (msg.type === "join") return this.join(conn, msg.quizCode);
+            const session = conn.session;
+            if (!session) return { error: "Join a quiz first" };
+            const handler = Object.hasOwn(handlers, msg.type) ? handlers[msg.type] : null;
+            if (!handler) return { error: `Unknown message type "${msg.type}"` };
+            return (await handler(session, conn, msg)) || {};
+        },
+
+        leave(conn) {
+            const session = conn.session;
+            if (!session) return;
+            if (session.host === conn) {
+                session.host = null;
+                return;
+            }
+            const player = session.players.get(conn.user.id);
+            if (player && player.conn === conn) {
+                player.conn = null;
+                player.connected = false;
+                if (session.phase !== "finished") broadcast(session, lobbyState(session));
+            }
+        },
+
+        sessions,
+    };
+}
@@ -0,0 +1,73 @@
+import { WebSocketServer } from "ws";
+
+// WebSocket endpoint for live sessions: ws(s)://<host>/live?token=<jwt>
+//
+// Browsers cannot set headers on a WebSocket, so the token travels in the
+// query string; `verifyToken` may be async. Messages in both directions are JSON objects with a `type`;
+// see live/hub.js for the protocol.
+export function attachLiveSockets(server, { hub, verifyToken, path = "/live" }) {
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on("upgrade", async (req, socket, head) => {
+        const url = new URL(req.url, "http://localhost");
+        if (url.pathname !== path) {
+            socket.write("HTTP/1.1 404 Not Found\r\n\r\n");
+            socket.destroy();
+            return;
+        }
+
+        let user;
+        try {
+            user = await verifyToken(url.searchParams.get("token"));
+        } catch {
+            socket.write("HTTP/1.1 401 Unauthorized\r\n\r\n");
+            socket.destroy();
+            return;
+        }
+
+        wss.handleUpgrade(req, socket, head, (ws) => {
+            const conn = {
+                user,
+                send(message) {
+                    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+                },
+                close() {
+                    ws.close(4000, "Connected elsewhere");
+                },
+            };
+
+            ws.on("message", async (raw) => {
+                let msg;
+                try {
+                    msg = JSON.parse(raw);
+                } catch {
+                    return conn.send({ type: "error", error: "Messages must be JSON" });
+                }
+                if (msg === null || typeof msg !== "object" || Array.isArray(msg)) {
+                    return conn.send({ type: "error", error: "Messages must be JSON objects" });
+                }
+                try {
+                    const { error } = await hub.handle(conn, msg);
+                    if (error) conn.send({ type: "error", request: msg.type, error });
+                } catch (e) {
+                    console.error("Live session error:", e);
+                    conn.send({ type: "error", request: msg?.type, error: "Internal server error" });
+                }
+            });
+
+            ws.on("close", () => hub.leave(conn));
+
+            const quizCode = url.searchParams.get("quizCode");
+            if (quizCode) {
+                hub.join(conn, quizCode).then(({ error }) => {
+                    if (error) conn.send({ type: "error", request: "join", error });
+                }, (e) => {
+                    console.error("Live session join error:", e);
+                    conn.send({ type: "error", request: "join", error: "Internal server error" });
+                });
+            }
+        });
+    });
+
+    return wss;
+}
@@ -0,0 +1,12 @@
+// Raised by providers when a completion could not be produced. `retryable`
+// tells the generator whether moving on to the fallback is worthwhile.
+export class LlmError extends Error {
+    constructor(message, { provider, model, status, retryable = true, cause } = {}) {
+        super(message, { cause });
+        this.name = "LlmError";
+        this.provider = provider;
+        this.model = model;
+        this.status = status;
+        this.retryable = retryable;
+    }
+}
@@ -0,0 +1,120 @@
+import { LlmError } from "./errors.js";
+import { createFixtureProvider } from "./providers/fixture.js";
+import { createOpenAICompatibleProvider } from "./providers/openai-compatible.js";
+import { createOpenRouterProvider } from "./providers/openrouter.js";
+
+export { LlmError };
+
+export const PROVIDERS = ["openrouter", "openai", "fixture"];
+
+export const DEFAULT_MODEL = "mistralai/mistral-7b-instruct";
+
+function createProvider(provider, { apiKey, baseUrl, fixtureFile }, env) {
+    switch (provider) {
+        case "openrouter":
+            return createOpenRouterProvider({
+                apiKey: apiKey || env.OPENROUTER_API_KEY,
+                baseUrl: baseUrl || undefined,
+                appUrl: env.APP_URL,
+            });
+        case "openai":
+            return createOpenAICompatibleProvider({ name: "openai", baseUrl, apiKey });
+        case "fixture":
+            return createFixtureProvider({ file: fixtureFile });
+        default:
+            throw new Error(`Unknown LLM provider "${provider}" (expected one of: ${PROVIDERS.join(", ")})`);
+    }
+}
+
+function numberOr(value, fallback) {
+    const n = Number(value);
+    return value != null && value !== "" && Number.isFinite(n) ? n : fallback;
+}
+
+// Reads the per-deployment settings:
+//   LLM_PROVIDER, LLM_MODEL, LLM_BASE_URL, LLM_API_KEY, LLM_TEMPERATURE,
+//   LLM_TIMEOUT_MS, LLM_FIXTURE_FILE
+//   LLM_FALLBACK_MODEL, LLM_FALLBACK_PROVIDER, LLM_FALLBACK_BASE_URL,
+//   LLM_FALLBACK_API_KEY
+// The fallback runs on the primary provider unless LLM_FALLBACK_PROVIDER is set.
+export function loadLlmConfig(env = process.env) {
+    const primary = {
+        provider: env.LLM_PROVIDER || "openrouter",
+        model: env.LLM_MODEL || DEFAULT_MODEL,
+        baseUrl: env.LLM_BASE_URL,
+        apiKey: env.LLM_API_KEY,
+        fixtureFile: env.LLM_FIXTURE_FILE,
+    };
+    const config = {
+        temperature: numberOr(env.LLM_TEMPERATURE, undefined),
+        timeoutMs: numberOr(env.LLM_TIMEOUT_MS, 30000),
+        targets: [primary],
+    };
+    if (env.LLM_FALLBACK_MODEL || env.LLM_FALLBACK_PROVIDER) {
+        const separate = Boolean(env.LLM_FALLBACK_PROVIDER);
+        config.targets.push({
+            provider: env.LLM_FALLBACK_PROVIDER || primary.provider,
+            model: env.LLM_FALLBACK_MODEL || primary.model,
+            baseUrl: separate ? env.LLM_FALLBACK_BASE_URL : primary.baseUrl,
+            apiKey: separate ? env.LLM_FALLBACK_API_KEY : primary.apiKey,
+            fixtureFile: separate ? undefined : primary.fixtureFile,
+        });
+    }
+    return config;
+}
+
+// Env vars the configured providers still need before the server can start.
+export function missingLlmEnv(env = process.env) {
+    const missing = new Set();
+    const check = (provider, prefix) => {
+        if (provider === "openrouter" && !env[`${prefix}_API_KEY`] && !env.OPENROUTER_API_KEY) {
+            missing.add("OPENROUTER_API_KEY");
+        }
+        if (provider === "openai" && !env[`${prefix}_BASE_URL`]) {
+            missing.add(`${prefix}_BASE_URL`);
+        }
+    };
+    check(env.LLM_PROVIDER || "openrouter", "LLM");
+    if (env.LLM_FALLBACK_PROVIDER) check(env.LLM_FALLBACK_PROVIDER, "LLM_FALLBACK");
+    return [...missing];
+}
+
+// The generator walks the configured targets in order and returns the first
+// completion. Each call can override `temperature`; `task` is passed through
+// for providers (like fixture) that answer structured requests.
+export function createGenerator(config = loadLlmConfig(), env = process.env) {
+    const targets = config.targets.map((t) => ({ ...t, client: createProvider(t.provider, t, env) }));
+
+    return {
+        targets: targets.map(({ provider, model }) => ({ provider, model })),
+
+        async complete(messages, { temperature = config.temperature, task } = {}) {
+            const failures = [];
+            const unusable = new Set();
+            for (const target of targets) {
+                if (unusable.has(target.provider)) continue;
+                try {
+                    const content = await target.client.complete({
+                        model: target.model,
+                        messages,
+                        temperature,
+                        timeoutMs: config.timeoutMs,
+                        task,
+                    });
+                    return { content, provider: target.provider, model: target.model };
+                } catch (e) {
+                    if (!(e instanceof LlmError)) throw e;
+                    console.error(`LLM ${target.provider}/${target.model} failed:`, e.message);
+                    failures.push(e);
+                    // e.g. a bad API key: no other model on this provider will work either
+                    if (!e.retryable) unusable.add(target.provider);
+                }
+            }
+            const last = failures[failures.length - 1];
+            throw new LlmError(
+                `All LLM targets failed: ${failures.map((f) => f.message).join("; ")}`,
+                { status: last?.status, retryable: false, cause: last }
+            );
+        },
+    };
+}
@@ -0,0 +1,83 @@
+import fs from "node:fs";
+import { LlmError } from "../errors.js";
+
+const LETTERS = ["A", "B", "C", "D"];
+
+function sampleQuestion(type, i, title) {
+    const question = { id: i, question: `${title}: sample question ${i}?` };
+    const letter = LETTERS[(i - 1) % LETTERS.length];
+    switch (type) {
+        case "multi":
+            return [
+                { ...question, type, options: Object.fromEntries(LETTERS.map((l) => [l, `Option ${l} for question ${i}`])) },
+                { id: i, correct_options: [...new Set(["A", letter])].sort() },
+            ];
+        case "true_false":
+            return [
+                { ...question, type, options: { A: "True", B: "False" } },
+                { id: i, correct_option: i % 2 ? "A" : "B" },
+            ];
+        case "numeric":
+            return [{ ...question, type }, { id: i, value: i * 10, tolerance: 0 }];
+        case "short":
+            return [{ ...question, type }, { id: i, accepted: [`answer ${i}`] }];
+        default:
+            return [
+                { ...question, options: Object.fromEntries(LETTERS.map((l) => [l, `Option ${l} for question ${i}`])) },
+                { id: i, correct_option: letter },
+            ];
+    }
+}
+
+// Builds the same quiz for the same request every time. `mix` works as in
+// generateQuiz(); without it every question is single choice.
+export function fixtureQuiz({ title, count, mix }) {
+    const types = mix
+        ? Object.entries(mix).flatMap(([type, n]) => Array(n).fill(type))
+        : Array(count).fill("single");
+    const questions = [];
+    const answers = [];
+    types.forEach((type, index) => {
+        const [question, answer] = sampleQuestion(type, index + 1, title);
+        questions.push(question);
+        answers.push(answer);
+    });
+    return { validity: "valid", title, questions, answers };
+}
+
+// Practice questions as fixtureQuiz() builds them, each tagged with a
+// concept: `concept` when asked to target one, otherwise two alternating
+// made-up concepts of the topic.
+export function fixturePractice({ title, difficulty, count, concept }) {
+    const quiz = fixtureQuiz({ title: `${title} (${difficulty})`, count });
+    quiz.questions = quiz.questions.map((q) => ({ ...q, concept: concept || `${title} concept ${((q.id - 1) % 2) + 1}` }));
+    return { ...quiz, title };
+}
+
+// Offline provider for development and tests. Returns the contents of `file`
+// when given one, otherwise answers quiz tasks with fixtureQuiz() and
+// practice tasks with fixturePractice().
+export function createFixtureProvider({ file } = {}) {
+    return {
+        name: "fixture",
+
+        async complete({ model, task }) {
+            if (file) {
+                try {
+                    return fs.readFileSync(file, "utf8");
+                } catch (e) {
+                    throw new LlmError(`fixture file unreadable: ${e.message}`, { provider: "fixture", model, cause: e });
+                }
+            }
+            if (task?.type === "quiz") {
+                return JSON.stringify(fixtureQuiz(task));
+            }
+            if (task?.type === "practice") {
+                return JSON.stringify(fixturePractice(task));
+            }
+            throw new LlmError(`fixture provider cannot answer task "${task?.type}"`, {
+                provider: "fixture", model, retryable: false,
+            });
+        },
+    };
+}
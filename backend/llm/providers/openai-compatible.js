@@ -0,0 +1,64 @@
+import { LlmError } from "../errors.js";
+
+// Any server speaking the OpenAI chat-completions API: OpenAI itself, a local
+// Ollama (`http://localhost:11434/v1`), llama.cpp's server, vLLM, ...
+export function createOpenAICompatibleProvider({ name = "openai", baseUrl, apiKey, headers = {} } = {}) {
+    if (!baseUrl) {
+        throw new Error(`${name} provider needs a base URL`);
+    }
+    const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+    return {
+        name,
+
+        async complete({ model, messages, temperature, timeoutMs }) {
+            const meta = { provider: name, model };
+            let response;
+            try {
+                response = await fetch(url, {
+                    method: "POST",
+                    headers: {
+                        "Content-Type": "application/json",
+                        ...(apiKey ? { "Authorization": `Bearer ${apiKey}` } : {}),
+                        ...headers,
+                    },
+                    body: JSON.stringify({
+                        model,
+                        messages,
+                        ...(temperature != null ? { temperature } : {}),
+                    }),
+                    signal: timeoutMs ? AbortSignal.timeout(timeoutMs) : undefined,
+                });
+            } catch (e) {
+                const reason = e.name === "TimeoutError" ? `timed out after ${timeoutMs}ms` : e.message;
+                throw new LlmError(`${name} request failed: ${reason}`, { ...meta, cause: e });
+            }
+
+            let body;
+            try {
+                body = await response.json();
+            } catch (e) {
+                throw new LlmError(`${name} returned a non-JSON response (HTTP ${response.status})`, {
+                    ...meta, status: response.status, cause: e,
+                });
+            }
+
+            if (!response.ok || body.error) {
+                const detail = body.error?.message || body.error || response.statusText;
+                // 4xx other than rate limiting means our request is wrong; a
+                // different model may still accept it, so only 401/403 stop the chain.
+                throw new LlmError(`${name} returned HTTP ${response.status}: ${detail}`, {
+                    ...meta,
+                    status: response.status,
+                    retryable: response.status !== 401 && response.status !== 403,
+                });
+            }
+
+            const content = body.choices?.[0]?.message?.content;
+            if (typeof content !== "string" || !content.trim()) {
+                throw new LlmError(`${name} returned no completion`, meta);
+            }
+            return content;
+        },
+    };
+}
@@ -0,0 +1,18 @@
+import { createOpenAICompatibleProvider } from "./openai-compatible.js";
+
+export const OPENROUTER_BASE_URL = "https://openrouter.ai/api/v1";
+
+export function createOpenRouterProvider({ apiKey, baseUrl = OPENROUTER_BASE_URL, appUrl, appName = "QZIZZ" } = {}) {
+    if (!apiKey) {
+        throw new Error("openrouter provider needs an API key");
+    }
+    return createOpenAICompatibleProvider({
+        name: "openrouter",
+        baseUrl,
+        apiKey,
+        headers: {
+            ...(appUrl ? { "HTTP-Referer": appUrl } : {}),
+            "X-Title": appName,
+        },
+    });
+}
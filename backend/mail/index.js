@@ -0,0 +1,54 @@
+import { createConsoleTransport } from "./transports/console.js";
+import { createFileTransport } from "./transports/file.js";
+import { createSmtpTransport } from "./transports/smtp.js";
+
+export const MAIL_TRANSPORTS = ["smtp", "console", "file"];
+
+// Reads the per-deployment settings:
+//   MAIL_TRANSPORT (console by default), MAIL_FROM, MAIL_FILE
+//   SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+export function loadMailConfig(env = process.env) {
+    const port = Number(env.SMTP_PORT) || 587;
+    return {
+        transport: env.MAIL_TRANSPORT || "console",
+        from: env.MAIL_FROM || "Qzizz <no-reply@localhost>",
+        file: env.MAIL_FILE || "mail.log",
+        smtp: {
+            host: env.SMTP_HOST,
+            port,
+            secure: env.SMTP_SECURE ? env.SMTP_SECURE === "true" : port === 465,
+            user: env.SMTP_USER,
+            pass: env.SMTP_PASS,
+        },
+    };
+}
+
+// Env vars the configured transport still needs before the server can start.
+export function missingMailEnv(env = process.env) {
+    return (env.MAIL_TRANSPORT || "console") === "smtp" && !env.SMTP_HOST ? ["SMTP_HOST"] : [];
+}
+
+function createTransport(config) {
+    switch (config.transport) {
+        case "smtp":
+            return createSmtpTransport(config.smtp);
+        case "console":
+            return createConsoleTransport();
+        case "file":
+            return createFileTransport({ file: config.file });
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT "${config.transport}" (expected one of: ${MAIL_TRANSPORTS.join(", ")})`);
+    }
+}
+
+// `send` takes { to, subject, text, html? }; the sender comes from config.
+export function createMailer(config = loadMailConfig()) {
+    const transport = createTransport(config);
+    return {
+        transport: transport.name,
+
+        send({ to, subject, text, html }) {
+            return transport.send({ from: config.from, to, subject, text, html });
+        },
+    };
+}
@@ -0,0 +1,29 @@
+// Plain-text bodies for account mail. Each returns { subject, text }.
+
+export function verificationMail({ name, link }) {
+    return {
+        subject: "Confirm your email address",
+        text: `Hi ${name || "there"},\n\nConfirm your email address for Qzizz by opening this link:\n\n${link}\n\nThe link works for 24 hours. If you didn't sign up, you can ignore this mail.`,
+    };
+}
+
+export function passwordResetMail({ name, link }) {
+    return {
+        subject: "Reset your password",
+        text: `Hi ${name || "there"},\n\nSomeone asked to reset the password for your Qzizz account. To choose a new one, open this link:\n\n${link}\n\nThe link works once, for one hour. If it wasn't you, you can ignore this mail; your password stays the same.`,
+    };
+}
+
+export function passwordChangedMail({ name }) {
+    return {
+        subject: "Your password was changed",
+        text: `Hi ${name || "there"},\n\nThe password for your Qzizz account was just changed and your other devices were signed out. If this wasn't you, reset your password straight away.`,
+    };
+}
+
+export function classroomInvitationMail({ inviter, classroom, role, link }) {
+    return {
+        subject: `You're invited to ${classroom}`,
+        text: `Hi there,\n\n${inviter || "A teacher"} invited you to join ${classroom} on Qzizz as a ${role}. To accept, sign in with this address and open this link:\n\n${link}\n\nThe link works for 7 days. If you weren't expecting it, you can ignore this mail.`,
+    };
+}
@@ -0,0 +1,10 @@
+// Prints mail to the server log. For development: reset and verification
+// links show up right in the terminal.
+export function createConsoleTransport({ log = console.log } = {}) {
+    return {
+        name: "console",
+        async send({ from, to, subject, text }) {
+            log(`--- mail from ${from} to ${to}\nSubject: ${subject}\n\n${text}\n---`);
+        },
+    };
+}
@@ -0,0 +1,13 @@
+import fs from "node:fs/promises";
+
+// Appends each message as one JSON line, so scripts and tests can read the
+// links back out.
+export function createFileTransport({ file }) {
+    return {
+        name: "file",
+        async send(message) {
+            const line = JSON.stringify({ ...message, sent_at: new Date().toISOString() });
+            await fs.appendFile(file, `${line}\n`);
+        },
+    };
+}
@@ -0,0 +1,16 @@
+import nodemailer from "nodemailer";
+
+export function createSmtpTransport({ host, port, secure, user, pass }) {
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined,
+    });
+    return {
+        name: "smtp",
+        async send(message) {
+            await transporter.sendMail(message);
+        },
+    };
+}
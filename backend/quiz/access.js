@@ -0,0 +1,114 @@
+import crypto from "node:crypto";
+import { canPlayQuiz } from "../classroom/access.js";
+
+// How players reach a quiz. Internal ids are sequential, so players use a
+// join code or a signed invite link instead; an id only works for the host,
+// for players who have already joined and for classroom members.
+
+// No 0/O, 1/I/L: codes get read out loud and copied off projectors.
+export const JOIN_CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+export const JOIN_CODE_LENGTH = 6;
+
+export function generateJoinCode() {
+    let code = "";
+    for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+        code += JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+// Accepts "abc-def", " ABC DEF " and the like.
+export function normalizeJoinCode(input) {
+    const code = String(input).toUpperCase().replace(/[\s-]/g, "");
+    const pattern = new RegExp(`^[${JOIN_CODE_ALPHABET}]{${JOIN_CODE_LENGTH}}$`);
+    return pattern.test(code) ? code : null;
+}
+
+// A code nobody else holds. The unique index has the final say; callers
+// retry if a write still collides.
+export async function freshJoinCode(db) {
+    for (let i = 0; i < 10; i++) {
+        const code = generateJoinCode();
+        if (!(await db.quizzes.findByJoinCode(code))) return code;
+    }
+    throw new Error("Could not find a free join code");
+}
+
+// Looks a quiz up by join code, or by id for its host, its players and the
+// members of its classroom. Classroom quizzes stay hidden from everyone else.
+export async function findQuizForPlayer(db, quizCode, user) {
+    if (quizCode == null || quizCode === "") return null;
+
+    const code = normalizeJoinCode(quizCode);
+    if (code) {
+        const quiz = await db.quizzes.findByJoinCode(code);
+        if (quiz) return (await canPlayQuiz(db, quiz, user)) ? quiz : null;
+    }
+
+    const id = Number(quizCode);
+    if (!Number.isInteger(id)) return null;
+    const quiz = await db.quizzes.findById(id);
+    if (!quiz) return null;
+    if (quiz.created_mail === user.mail) return quiz;
+    if (quiz.classroom_id != null) return (await canPlayQuiz(db, quiz, user)) ? quiz : null;
+    return (await db.participants.find(quiz.id, user.id)) ? quiz : null;
+}
+
+// Invite tokens are `<quizId>.<inviteId>.<signature>`. Expiry, use limits
+// and revocation live on the invite row; the signature stops anyone from
+// walking through invite ids.
+function signature(secret, quizId, inviteId) {
+    return crypto.createHmac("sha256", secret).update(`invite:${quizId}:${inviteId}`).digest("base64url");
+}
+
+export function signInvite(secret, invite) {
+    return `${invite.quiz_id}.${invite.id}.${signature(secret, invite.quiz_id, invite.id)}`;
+}
+
+export function verifyInvite(secret, token) {
+    const [quizId, inviteId, sig] = String(token).split(".");
+    if (!sig || !/^\d+$/.test(quizId) || !/^\d+$/.test(inviteId)) return null;
+    const expected = Buffer.from(signature(secret, quizId, inviteId));
+    const given = Buffer.from(sig);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+    return { quizId: Number(quizId), inviteId: Number(inviteId) };
+}
+
+export function inviteView(secret, invite, baseUrl = "") {
+    const token = signInvite(secret, invite);
+    return {
+        id: invite.id,
+        expiresAt: invite.expires_at ? new Date(invite.expires_at).toISOString() : null,
+        maxUses: invite.max_uses ?? null,
+        uses: invite.uses,
+        revoked: Boolean(invite.revoked_at),
+        token,
+        url: `${baseUrl}/join?invite=${encodeURIComponent(token)}`,
+    };
+}
+
+// Lets `user` into the quiz behind an invite token. A player who already
+// joined doesn't use up the invite again. Returns { quiz } or
+// { error, status }.
+export async function redeemInvite(db, secret, token, user) {
+    const ref = verifyInvite(secret, token);
+    const invite = ref && (await db.invites.findById(ref.inviteId));
+    if (!invite || invite.quiz_id !== ref.quizId || invite.revoked_at) {
+        return { error: "Invite link is invalid", status: 404 };
+    }
+    if (invite.expires_at && new Date(invite.expires_at).getTime() <= Date.now()) {
+        return { error: "Invite link has expired", status: 410 };
+    }
+    const quiz = await db.quizzes.findById(invite.quiz_id);
+    if (!quiz || quiz.closed) return { error: "Quiz not found", status: 404 };
+    if (!(await canPlayQuiz(db, quiz, user))) {
+        return { error: "This quiz is only open to members of its classroom", status: 403 };
+    }
+
+    if (!(await db.participants.find(quiz.id, user.id))) {
+        if (!(await db.invites.claimUse(invite.id))) {
+            return { error: "Invite link has been used up", status: 410 };
+        }
+    }
+    return { quiz };
+}
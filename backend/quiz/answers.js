@@ -0,0 +1,28 @@
+function toTime(v) {
+    const t = v ? new Date(v).getTime() : NaN;
+    return Number.isNaN(t) ? Infinity : t;
+}
+
+// Ranking order: most points, then least time taken, then earliest
+// submission. Entries written before points were tracked fall back to score.
+export function comparePlayers(a, b) {
+    const pa = a.points ?? a.score ?? 0;
+    const pb = b.points ?? b.score ?? 0;
+    if (pa !== pb) return pb - pa;
+
+    const ta = a.time_taken ?? Infinity;
+    const tb = b.time_taken ?? Infinity;
+    if (ta !== tb) return ta - tb;
+
+    return toTime(a.submitted_at) - toTime(b.submitted_at);
+}
+
+// Sort with comparePlayers() and assign positions.
+export function rankPlayers(players) {
+    return [...players]
+        .sort(comparePlayers)
+        .map((player, index) => ({
+            ...player,
+            position: index + 1,
+        }));
+}
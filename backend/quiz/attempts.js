@@ -0,0 +1,112 @@
+import crypto from "node:crypto";
+import { comparePlayers } from "./answers.js";
+import { resolveSettings } from "./settings.js";
+
+// Records one submission as the player's next attempt.
+//
+// `submissionKey` makes retries safe: the same key always maps to the same
+// stored result. Without one, a random key is used and every call is a new
+// attempt. Returns one of:
+//   { result, replayed: false }   stored as a new attempt
+//   { result, replayed: true }    this key was already submitted
+//   { limitReached: true }        no attempts left
+//   { conflict: true }            another submission claimed the attempt first
+export async function recordAttempt(db, { quiz, userId, submissionKey, row }) {
+    const key = submissionKey || crypto.randomUUID();
+
+    const existing = await db.results.findByKey(quiz.id, userId, key);
+    if (existing) return { result: existing, replayed: true };
+
+    const prior = await db.results.listForQuizUser(quiz.id, userId);
+    if (attemptsLeft(quiz.settings, prior.length) === 0) return { limitReached: true };
+
+    const attemptNo = Math.max(0, ...prior.map((r) => r.attempt_no || 1)) + 1;
+    let result;
+    try {
+        result = await db.results.claimAttempt({
+            ...row,
+            quiz_id: quiz.id,
+            user_id: userId,
+            attempt_no: attemptNo,
+            submission_key: key,
+        });
+    } catch (err) {
+        // A concurrent retry with the same key can trip the key's unique
+        // index under a different attempt number.
+        const raced = await db.results.findByKey(quiz.id, userId, key);
+        if (raced) return { result: raced, replayed: true };
+        throw err;
+    }
+
+    if (result.submission_key !== key) {
+        // Another request took this attempt number first; it may still have
+        // been a retry of this very submission.
+        const raced = await db.results.findByKey(quiz.id, userId, key);
+        return raced ? { result: raced, replayed: true } : { conflict: true };
+    }
+    return { result, replayed: false };
+}
+
+// Puts the player's counted attempt on the quiz's leaderboard, replacing
+// whatever entry they had before.
+export async function syncLeaderboard(db, quiz, { userId, name }) {
+    const { attemptScoring } = resolveSettings(quiz.settings);
+    const counted = countedAttempt(await db.results.listForQuizUser(quiz.id, userId), attemptScoring);
+    if (!counted) return null;
+
+    return db.standings.record(quiz.id, {
+        userId,
+        name,
+        score: counted.score,
+        points: counted.points,
+        timeTaken: counted.time_taken,
+        submittedAt: counted.submitted_at,
+        attempt: counted.attempt_no,
+    });
+}
+
+export function attemptsLeft(settings, used) {
+    const { maxAttempts } = resolveSettings(settings);
+    return maxAttempts == null ? null : Math.max(0, maxAttempts - used);
+}
+
+// Rebuilds the /submit-ans response from a stored result, so a retried
+// submission gets exactly what the first one got.
+export function submissionResponse(result, { replayed = false, attemptsRemaining = null } = {}) {
+    const breakdown = result.breakdown || {};
+    const total = result.total_questions;
+    return {
+        ok: true,
+        score: result.score,
+        total,
+        percentage: total ? Math.round((result.score / total) * 100) : 0,
+        points: result.points,
+        timeTaken: result.time_taken,
+        results: breakdown.perQuestion || [],
+        breakdown,
+        secondsLate: result.seconds_late || 0,
+        attempt: result.attempt_no,
+        attemptsRemaining,
+        replayed,
+    };
+}
+
+// Pairs each leaderboard entry with the result row of its counted attempt.
+export function countedResults(standings, results) {
+    const byAttempt = new Map(results.map((r) => [`${r.user_id}:${r.attempt_no || 1}`, r]));
+    return standings.map((entry) => ({ entry, result: byAttempt.get(`${entry.id}:${entry.attempt || 1}`) || null }));
+}
+
+// Picks the attempt that represents the player on the leaderboard.
+export function countedAttempt(results, attemptScoring = "first") {
+    if (!results.length) return null;
+    const byAttempt = [...results].sort((a, b) => (a.attempt_no || 1) - (b.attempt_no || 1));
+    switch (attemptScoring) {
+        case "latest":
+            return byAttempt[byAttempt.length - 1];
+        case "best":
+            return [...byAttempt].sort(comparePlayers)[0];
+        default:
+            return byAttempt[0];
+    }
+}
@@ -0,0 +1,193 @@
+import crypto from "node:crypto";
+import { normalizeText } from "./grading.js";
+import { ANSWER_FIELDS, questionType } from "./types.js";
+
+// Personal question bank. Entries keep the editor form of a question (question
+// fields plus answer fields, without the per-quiz `id`). Quizzes remember
+// which entry each of their questions came from in `bank_refs`
+// ({ questionId: bankId }), which is how usage and results reach the bank.
+
+export const DIFFICULTIES = ["easy", "medium", "hard"];
+export const BANK_SOURCES = { GENERATED: "generated", MANUAL: "manual", IMPORTED: "imported" };
+
+// Questions whose wording overlaps this much (and share a type) are
+// reported as likely duplicates. Only exact matches are merged on their own:
+// "What is 2+2?" and "What is 3+3?" overlap a lot and still differ.
+export const NEAR_DUPLICATE_THRESHOLD = 0.85;
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+function words(text) {
+    return new Set(normalizeText(text).split(" ").filter(Boolean));
+}
+
+function optionTexts(question) {
+    return Object.values(question.options || {}).map((o) => normalizeText(o)).sort();
+}
+
+// Same type, text, options and answer (case, punctuation and spacing aside).
+export function questionFingerprint(question) {
+    const answer = ANSWER_FIELDS.map((f) => JSON.stringify(question[f] ?? null));
+    const key = [questionType(question), normalizeText(question.question), ...optionTexts(question), ...answer].join("\u0000");
+    return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+// Word overlap (Jaccard) of question text plus options.
+export function questionSimilarity(a, b) {
+    if (questionType(a) !== questionType(b)) return 0;
+    const x = words([a.question, ...optionTexts(a)].join(" "));
+    const y = words([b.question, ...optionTexts(b)].join(" "));
+    if (!x.size && !y.size) return 1;
+    let shared = 0;
+    for (const w of x) if (y.has(w)) shared += 1;
+    return shared / (x.size + y.size - shared);
+}
+
+export function findNearDuplicate(entries, question, { except } = {}) {
+    let best = null;
+    for (const entry of entries) {
+        if (entry.id === except) continue;
+        const score = questionSimilarity(entry.question, question);
+        if (score >= NEAR_DUPLICATE_THRESHOLD && (!best || score > best.score)) best = { entry, score };
+    }
+    return best;
+}
+
+// Groups of near-identical entries, largest first.
+export function duplicateGroups(entries) {
+    const seen = new Set();
+    const groups = [];
+    for (const entry of entries) {
+        if (seen.has(entry.id)) continue;
+        const group = entries.filter((other) => !seen.has(other.id)
+            && (other.id === entry.id || questionSimilarity(entry.question, other.question) >= NEAR_DUPLICATE_THRESHOLD));
+        if (group.length > 1) {
+            group.forEach((e) => seen.add(e.id));
+            groups.push(group);
+        }
+    }
+    return groups.sort((a, b) => b.length - a.length);
+}
+
+export function normalizeTags(input) {
+    const errors = [];
+    if (input == null) return { tags: [], errors };
+    const list = Array.isArray(input) ? input : String(input).split(",");
+    const tags = [...new Set(list.map((t) => String(t).trim().toLowerCase()).filter(Boolean))];
+    if (tags.some((t) => t.length > MAX_TAG_LENGTH)) {
+        errors.push({ path: "tags", message: `tags must be at most ${MAX_TAG_LENGTH} characters` });
+    }
+    if (tags.length > MAX_TAGS) {
+        errors.push({ path: "tags", message: `at most ${MAX_TAGS} tags` });
+    }
+    return { tags, errors };
+}
+
+export function checkDifficulty(value) {
+    if (value == null || DIFFICULTIES.includes(value)) return [];
+    return [{ path: "difficulty", message: `difficulty must be one of: ${DIFFICULTIES.join(", ")}` }];
+}
+
+// The quiz title, as a tag for the questions generated for it.
+export function topicTag(title) {
+    return String(title || "").trim().toLowerCase().slice(0, MAX_TAG_LENGTH);
+}
+
+function withoutId(question) {
+    const { id, ...rest } = question;
+    return rest;
+}
+
+export function bankView(entry) {
+    const answered = entry.times_answered || 0;
+    return {
+        id: entry.id,
+        ...entry.question,
+        tags: entry.tags || [],
+        difficulty: entry.difficulty ?? null,
+        source: entry.source,
+        stats: {
+            timesUsed: entry.times_used || 0,
+            lastUsedAt: entry.last_used_at ? new Date(entry.last_used_at).toISOString() : null,
+            timesAnswered: answered,
+            percentCorrect: answered ? Math.round((entry.times_correct / answered) * 1000) / 10 : null,
+        },
+        createdAt: entry.crt_tm,
+        updatedAt: entry.updated_tm,
+    };
+}
+
+// Saves editor questions into the owner's bank, reusing entries with the
+// same fingerprint. Returns { questionId: bankId }.
+export async function saveToBank(db, ownerId, editorQuestions, { source = BANK_SOURCES.MANUAL, tags = [] } = {}) {
+    const entries = await db.bank.listByOwner(ownerId);
+    const refs = {};
+    for (const q of editorQuestions) {
+        const question = withoutId(q);
+        const fingerprint = questionFingerprint(question);
+        let entry = entries.find((e) => e.fingerprint === fingerprint);
+        if (!entry) {
+            entry = await db.bank.create({ ownerId, question, fingerprint, tags: tags.filter(Boolean), source });
+            entries.push(entry);
+        }
+        refs[q.id] = entry.id;
+    }
+    return refs;
+}
+
+// Publishing: bank every question (edits since generation become entries
+// of their own) and count one use of each.
+export async function syncBankOnPublish(db, quiz, editorQuestions, ownerId) {
+    const refs = await saveToBank(db, ownerId, editorQuestions, { tags: [topicTag(quiz.title)] });
+    await db.quizzes.update(quiz.id, { bank_refs: refs });
+    const usedAt = new Date().toISOString();
+    for (const bankId of new Set(Object.values(refs))) {
+        await db.bank.addStats(bankId, { used: 1, usedAt });
+    }
+    return refs;
+}
+
+// Closing: add how every attempt did on each question to its bank entry.
+export async function recordBankResults(db, quiz) {
+    const refs = quiz.bank_refs || {};
+    if (!Object.keys(refs).length) return;
+    const totals = new Map();
+    for (const result of await db.results.listByQuiz(quiz.id)) {
+        for (const r of result.breakdown?.perQuestion || []) {
+            const bankId = refs[r.id];
+            if (bankId == null) continue;
+            const t = totals.get(bankId) || { answered: 0, correct: 0 };
+            t.answered += 1;
+            if (r.credit >= 1) t.correct += 1;
+            totals.set(bankId, t);
+        }
+    }
+    for (const [bankId, t] of totals) {
+        await db.bank.addStats(bankId, t);
+    }
+}
+
+// Uniformly random `count` entries (Fisher-Yates on a copy).
+export function sampleEntries(entries, count) {
+    const pool = [...entries];
+    for (let i = pool.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    return pool.slice(0, count);
+}
+
+// Filters for search and sampling: `q` (words in the question or its
+// options), `tags` (all of them), `difficulty`, `type`, `source`.
+export function matchesFilters(entry, { q, tags = [], difficulty, type, source } = {}) {
+    if (difficulty && entry.difficulty !== difficulty) return false;
+    if (type && questionType(entry.question) !== type) return false;
+    if (source && entry.source !== source) return false;
+    if (tags.length && !tags.every((t) => (entry.tags || []).includes(t))) return false;
+    if (q) {
+        const haystack = normalizeText([entry.question.question, ...Object.values(entry.question.options || {})].join(" "));
+        if (!normalizeText(q).split(" ").every((w) => haystack.includes(w))) return false;
+    }
+    return true;
+}
@@ -0,0 +1,70 @@
+import { answerIndex } from "./grading.js";
+import { repairQuiz, validateQuiz } from "./schema.js";
+import { scheduleOf } from "./schedule.js";
+import { resolveSettings } from "./settings.js";
+import { ANSWER_FIELDS, splitAnswer } from "./types.js";
+
+// Hosts edit questions with their answer fields attached (correct_option,
+// correct_options, value/tolerance or accepted, depending on the type);
+// storage keeps the two apart so players never receive `answers`.
+export function toEditorView(quiz) {
+    const index = answerIndex(quiz.answers);
+    return {
+        id: quiz.id,
+        title: quiz.title,
+        status: quiz.status,
+        quizCode: quiz.join_code ?? null,
+        closed: quiz.closed,
+        classroomId: quiz.classroom_id ?? null,
+        scoring: quiz.scoring,
+        settings: resolveSettings(quiz.settings),
+        schedule: scheduleOf(quiz),
+        created_time: quiz.crt_tm,
+        published_time: quiz.published_tm,
+        questions: (quiz.questions || []).map((q) => {
+            const { id, ...answer } = index.get(q.id) || {};
+            return { ...q, ...answer };
+        }),
+    };
+}
+
+export function fromEditorQuestions(editorQuestions) {
+    const parts = editorQuestions.map(splitAnswer);
+    return {
+        questions: parts.map((p) => p.question),
+        answers: parts.map((p) => p.answer),
+    };
+}
+
+// Checks one question from a request body. Returns { question, errors };
+// `question` is the cleaned editor form when there are no errors.
+export function checkQuestionInput(input, id) {
+    const raw = { ...(input && typeof input === "object" ? input : {}), id };
+    delete raw.position;
+    const { questions: [question], answers } = repairQuiz({ title: "draft", ...fromEditorQuestions([raw]) });
+    const answerFields = { ...answers[0] };
+    delete answerFields.id;
+
+    const errors = validateQuiz({ title: "draft", questions: [question], answers })
+        .map((e) => ({ ...e, path: e.path.replace(/^(questions|answers)\[0\]\.?/, "") || e.path }));
+    return { question: { ...question, ...answerFields }, errors };
+}
+
+// Merges a partial edit into an editor question. Changing the type drops
+// the old answer fields so they can't leak into the new type.
+export function mergeQuestionEdit(current, edit) {
+    const merged = { ...current };
+    if (edit.type !== undefined && edit.type !== (current.type || "single")) {
+        for (const field of ANSWER_FIELDS) delete merged[field];
+        delete merged.options;
+    }
+    for (const [key, value] of Object.entries(edit)) {
+        if (key === "id" || key === "position") continue;
+        merged[key] = key === "options" && value && merged.options ? { ...merged.options, ...value } : value;
+    }
+    return merged;
+}
+
+export function nextQuestionId(editorQuestions) {
+    return Math.max(0, ...editorQuestions.map((q) => q.id)) + 1;
+}
@@ -0,0 +1,52 @@
+import { OPTION_KEYS, TRUE_FALSE_OPTIONS } from "../types.js";
+
+// Helpers shared by the importers: formats list choices with a weight
+// (1 = correct, 0 = wrong, fractions for partial credit) where QZIZZ keys
+// them A-D.
+
+function isTrueFalse(choices) {
+    const texts = choices.map((c) => c.text.trim().toLowerCase());
+    return texts.length === 2 && texts.includes("true") && texts.includes("false");
+}
+
+// { question } or { error } for a choice question. More than one choice
+// with credit, or `multiple`, makes it a multi question.
+export function choiceQuestion(text, choices, { multiple = false } = {}) {
+    if (isTrueFalse(choices)) {
+        const right = choices.find((c) => c.weight > 0);
+        return trueFalseQuestion(text, right?.text.trim().toLowerCase() === "true");
+    }
+    if (choices.length !== OPTION_KEYS.length) {
+        return { error: `has ${choices.length} choices; questions need exactly ${OPTION_KEYS.length}` };
+    }
+    const options = Object.fromEntries(choices.map((c, i) => [OPTION_KEYS[i], c.text]));
+    const correct = OPTION_KEYS.filter((key, i) => choices[i].weight > 0);
+    if (!correct.length) return { error: "has no correct choice" };
+    if (multiple || correct.length > 1) {
+        return { question: { type: "multi", question: text, options, correct_options: correct } };
+    }
+    return { question: { type: "single", question: text, options, correct_option: correct[0] } };
+}
+
+export function trueFalseQuestion(text, isTrue) {
+    return {
+        question: {
+            type: "true_false",
+            question: text,
+            options: { ...TRUE_FALSE_OPTIONS },
+            correct_option: isTrue ? "A" : "B",
+        },
+    };
+}
+
+// Option texts in key order, each with whether it is a correct answer.
+export function optionList(question) {
+    const keys = Object.keys(question.options || {}).sort();
+    const correct = new Set(question.correct_options || [question.correct_option]);
+    return keys.map((key) => ({ key, text: question.options[key], correct: correct.has(key) }));
+}
+
+// The credit each correct choice of a multi question carries, in percent.
+export function multiWeight(count) {
+    return Math.round((100 / count) * 100000) / 100000;
+}
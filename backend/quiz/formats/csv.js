@@ -0,0 +1,134 @@
+import { ImportError } from "./errors.js";
+import { normalizeType, OPTION_KEYS, questionType } from "../types.js";
+
+// One question per row under a header row (columns in any order):
+//
+//   type,question,a,b,c,d,answer,tolerance,fuzzy
+//   single,Capital of France?,Paris,Rome,Oslo,Bern,A,,
+//   multi,Prime numbers?,2,4,5,9,A|C,,
+//   numeric,Pi to two decimals?,,,,,3.14,0.005,
+//   short,Largest planet?,,,,,Jupiter|Jove,,true
+//
+// `answer` is the letter(s) for choice questions, the number for numeric
+// ones and the accepted answers (split by |) for short ones. Semicolons work
+// as the separator too, as spreadsheet programs in many locales write them.
+
+const COLUMNS = ["type", "question", "a", "b", "c", "d", "answer", "tolerance", "fuzzy"];
+
+function rows(text, delimiter) {
+    const out = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === "\"" && text[i + 1] === "\"") {
+                field += "\"";
+                i += 1;
+            } else if (c === "\"") {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === "\"" && !field) {
+            quoted = true;
+        } else if (c === delimiter) {
+            row.push(field);
+            field = "";
+        } else if (c === "\n" || c === "\r") {
+            if (c === "\r" && text[i + 1] === "\n") i += 1;
+            row.push(field);
+            out.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += c;
+        }
+    }
+    if (quoted) throw new ImportError("CSV has an unterminated quoted field");
+    if (field || row.length) {
+        row.push(field);
+        out.push(row);
+    }
+    return out;
+}
+
+function headerKey(name) {
+    return name.trim().toLowerCase().replace(/^option[\s_]*/, "");
+}
+
+function rowQuestion(cells) {
+    const type = normalizeType(cells.type);
+    const answer = (cells.answer || "").trim();
+    const question = { type, question: (cells.question || "").trim() };
+
+    const options = Object.fromEntries(OPTION_KEYS.map((k) => [k, (cells[k.toLowerCase()] || "").trim()]).filter(([, v]) => v));
+    if (Object.keys(options).length) question.options = options;
+
+    if (type === "multi") {
+        question.correct_options = answer.split(/[|;,\s]+/).filter(Boolean);
+    } else if (type === "numeric") {
+        question.value = answer;
+        if (cells.tolerance?.trim()) question.tolerance = cells.tolerance.trim();
+    } else if (type === "short") {
+        question.accepted = answer;
+        if (cells.fuzzy?.trim()) question.fuzzy = !/^(false|no|0)$/i.test(cells.fuzzy.trim());
+    } else {
+        question.correct_option = answer;
+    }
+    return question;
+}
+
+export function parseCsv(content) {
+    const text = content.replace(/^\uFEFF/, "");
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+    const [header, ...body] = rows(text, delimiter);
+    const keys = (header || []).map(headerKey);
+    if (!keys.includes("question") || !keys.includes("answer")) {
+        throw new ImportError("CSV needs a header row with at least question and answer columns");
+    }
+
+    const items = [];
+    body.forEach((row, i) => {
+        if (row.every((cell) => !cell.trim())) return;
+        const cells = Object.fromEntries(keys.map((k, j) => [k, row[j] ?? ""]));
+        items.push({ name: `row ${i + 2}`, question: rowQuestion(cells) });
+    });
+    return { title: null, items };
+}
+
+function cell(value) {
+    const s = value == null ? "" : String(value);
+    return /[",\n\r]|^\s|\s$/.test(s) ? `"${s.replace(/"/g, "\"\"")}"` : s;
+}
+
+function answerCell(q) {
+    switch (questionType(q)) {
+        case "multi":
+            return q.correct_options.join("|");
+        case "numeric":
+            return q.value;
+        case "short":
+            return q.accepted.join("|");
+        default:
+            return q.correct_option;
+    }
+}
+
+export function serializeCsv({ questions }) {
+    const lines = [COLUMNS.join(",")];
+    for (const q of questions) {
+        const type = questionType(q);
+        lines.push([
+            type,
+            q.question,
+            ...OPTION_KEYS.map((k) => (type === "true_false" ? "" : q.options?.[k])),
+            answerCell(q),
+            type === "numeric" ? q.tolerance ?? 0 : "",
+            type === "short" && q.fuzzy != null ? q.fuzzy : "",
+        ].map(cell).join(","));
+    }
+    return `${lines.join("\r\n")}\r\n`;
+}
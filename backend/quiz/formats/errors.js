@@ -0,0 +1,9 @@
+// Raised when a file can't be read as the format at all (bad XML, no
+// questions found). Problems with single questions are reported per
+// question instead.
+export class ImportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "ImportError";
+    }
+}
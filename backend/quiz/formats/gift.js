@@ -0,0 +1,182 @@
+import { choiceQuestion, multiWeight, optionList, trueFalseQuestion } from "./choices.js";
+import { categoryName, categoryPath } from "./moodle.js";
+import { questionType } from "../types.js";
+
+// Moodle GIFT: one question per paragraph, answers in braces.
+//
+//   ::Capital:: What is the capital of France? { =Paris ~Rome ~Oslo ~Bern }
+//   Pi to two decimals? {#3.14:0.005}
+//   The sun is a star. {T}
+//
+// Matching, essay and description questions have no QZIZZ type and are
+// reported as errors.
+
+const SPECIAL = /[~=#{}:\\]/g;
+
+function escape(text) {
+    return String(text ?? "").replace(SPECIAL, "\\$&").replace(/\n/g, "\\n");
+}
+
+function unescape(text) {
+    return text.replace(/\\(.)/g, (m, c) => (c === "n" ? "\n" : c)).trim();
+}
+
+// Index of the first unescaped `char` at or after `from`, or -1.
+function findUnescaped(text, char, from = 0) {
+    for (let i = from; i < text.length; i++) {
+        if (text[i] === "\\") i += 1;
+        else if (text[i] === char) return i;
+    }
+    return -1;
+}
+
+// Splits on unescaped characters in `chars`, keeping each separator as
+// the first character of its part.
+function splitUnescaped(text, chars) {
+    const parts = [];
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === "\\") i += 1;
+        else if (chars.includes(text[i]) && i > start) {
+            parts.push(text.slice(start, i));
+            start = i;
+        }
+    }
+    parts.push(text.slice(start));
+    return parts.map((p) => p.trim()).filter(Boolean);
+}
+
+function withoutFeedback(text) {
+    const hash = findUnescaped(text, "#");
+    return hash === -1 ? text : text.slice(0, hash);
+}
+
+function paragraphs(content) {
+    const blocks = [];
+    let current = [];
+    for (const line of content.replace(/^\uFEFF/, "").split(/\r?\n/)) {
+        if (line.trim().startsWith("//")) continue;
+        if (!line.trim()) {
+            if (current.length) blocks.push(current.join("\n"));
+            current = [];
+        } else {
+            current.push(line);
+        }
+    }
+    if (current.length) blocks.push(current.join("\n"));
+    return blocks;
+}
+
+function parseNumeric(body) {
+    const answers = body.includes("=") ? splitUnescaped(body, "=").map((a) => a.slice(1)) : [body];
+    const full = answers.find((a) => !/^%/.test(a) || /^%100%/.test(a)) ?? answers[0];
+    const spec = unescape(withoutFeedback(full.replace(/^%[\d.]+%/, "")));
+    const range = spec.match(/^(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)$/);
+    if (range) {
+        const [min, max] = [Number(range[1]), Number(range[2])];
+        return { value: (min + max) / 2, tolerance: Math.abs(max - min) / 2 };
+    }
+    const [value, tolerance = "0"] = spec.split(":");
+    return { value: Number(value), tolerance: Number(tolerance) };
+}
+
+function parseAnswers(text, body) {
+    const trimmed = body.trim();
+    if (!trimmed) return { error: "essay questions are not supported" };
+
+    const bool = withoutFeedback(trimmed).trim().toUpperCase();
+    if (["T", "TRUE", "F", "FALSE"].includes(bool)) return trueFalseQuestion(text, bool.startsWith("T"));
+
+    if (trimmed.startsWith("#")) {
+        const { value, tolerance } = parseNumeric(trimmed.slice(1).trim());
+        if (!Number.isFinite(value) || !Number.isFinite(tolerance)) return { error: "numeric answer is not a number" };
+        return { question: { type: "numeric", question: text, value, tolerance } };
+    }
+
+    const answers = splitUnescaped(trimmed, "=~").map((part) => {
+        const marker = part[0];
+        let rest = part.slice(1).trim();
+        let weight = marker === "=" ? 1 : 0;
+        const percent = rest.match(/^%(-?[\d.]+)%/);
+        if (percent) {
+            weight = Number(percent[1]) / 100;
+            rest = rest.slice(percent[0].length);
+        }
+        return { marker, weight, text: unescape(withoutFeedback(rest)) };
+    });
+    if (answers.some((a) => a.marker !== "=" && a.marker !== "~")) return { error: "answers must start with = or ~" };
+    if (answers.some((a) => a.text.includes("->"))) return { error: "matching questions are not supported" };
+
+    if (answers.every((a) => a.marker === "=")) {
+        return { question: { type: "short", question: text, accepted: answers.map((a) => a.text) } };
+    }
+    const partial = answers.some((a) => a.weight > 0 && a.weight < 1);
+    return choiceQuestion(text, answers, { multiple: partial });
+}
+
+function parseQuestion(block) {
+    let text = block.trim();
+    let name = null;
+    if (text.startsWith("::")) {
+        const end = text.indexOf("::", 2);
+        if (end !== -1) {
+            name = unescape(text.slice(2, end));
+            text = text.slice(end + 2);
+        }
+    }
+    text = text.trim().replace(/^\[(html|moodle|plain|markdown)\]/, "");
+
+    const open = findUnescaped(text, "{");
+    const close = open === -1 ? -1 : findUnescaped(text, "}", open + 1);
+    if (open === -1 || close === -1) return { name, error: "no answer block in braces" };
+
+    const before = unescape(text.slice(0, open));
+    const after = unescape(text.slice(close + 1));
+    const questionText = after ? `${before} _____ ${after}`.trim() : before;
+    return { name, ...parseAnswers(questionText, text.slice(open + 1, close)) };
+}
+
+export function parseGift(content) {
+    let title = null;
+    const items = [];
+    for (const block of paragraphs(content)) {
+        const category = block.match(/^\$CATEGORY:\s*(.+)$/m);
+        if (category) {
+            title = categoryName(category[1]) || title;
+            const rest = block.replace(/^\$CATEGORY:.*$/m, "").trim();
+            if (!rest) continue;
+            items.push(parseQuestion(rest));
+            continue;
+        }
+        items.push(parseQuestion(block));
+    }
+    return { title, items };
+}
+
+function answerBlock(question) {
+    switch (questionType(question)) {
+        case "true_false":
+            return question.correct_option === "A" ? "{TRUE}" : "{FALSE}";
+        case "numeric":
+            return `{#${question.value}:${question.tolerance ?? 0}}`;
+        case "short":
+            return `{ ${question.accepted.map((a) => `=${escape(a)}`).join(" ")} }`;
+        case "multi": {
+            const weight = multiWeight(question.correct_options.length);
+            const options = optionList(question).map((o) => `~%${o.correct ? weight : -100}%${escape(o.text)}`);
+            return `{\n${options.join("\n")}\n}`;
+        }
+        default: {
+            const options = optionList(question).map((o) => `${o.correct ? "=" : "~"}${escape(o.text)}`);
+            return `{\n${options.join("\n")}\n}`;
+        }
+    }
+}
+
+export function serializeGift({ title, questions }) {
+    const blocks = [`$CATEGORY: ${categoryPath(title.replace(/\s+/g, " "))}`];
+    for (const q of questions) {
+        blocks.push(`::Q${q.id}:: ${escape(q.question)} ${answerBlock(q)}`);
+    }
+    return `${blocks.join("\n\n")}\n`;
+}
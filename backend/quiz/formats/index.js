@@ -0,0 +1,70 @@
+import { parseCsv, serializeCsv } from "./csv.js";
+import { ImportError } from "./errors.js";
+import { parseGift, serializeGift } from "./gift.js";
+import { parseJson, serializeJson } from "./json.js";
+import { parseMoodleXml, serializeMoodleXml } from "./moodle.js";
+import { parseQti, serializeQti } from "./qti.js";
+import { checkQuestionInput } from "../draft.js";
+
+export { ImportError };
+
+// Interchange formats. Each parser turns a file into
+// { title, items: [{ name, question } | { name, error }] }, with questions in
+// the editor form; serializers take { title, questions } in the same form.
+export const FORMATS = {
+    gift: { parse: parseGift, serialize: serializeGift, contentType: "text/plain; charset=utf-8", extension: "gift.txt" },
+    moodle_xml: { parse: parseMoodleXml, serialize: serializeMoodleXml, contentType: "application/xml; charset=utf-8", extension: "xml" },
+    qti: { parse: parseQti, serialize: serializeQti, contentType: "application/zip", extension: "qti.zip" },
+    csv: { parse: parseCsv, serialize: serializeCsv, contentType: "text/csv; charset=utf-8", extension: "csv" },
+    json: { parse: parseJson, serialize: serializeJson, contentType: "application/json; charset=utf-8", extension: "json" },
+};
+
+export const FORMAT_NAMES = Object.keys(FORMATS);
+
+export const MAX_IMPORT_QUESTIONS = 50;
+
+// Reads `content` as `format`. Returns { title, questions, errors, total }:
+// the questions that passed validation (ids 1..n) and, for every one that
+// didn't, { index, name, errors } with its 1-based position in the file.
+// Throws ImportError when the file can't be read at all.
+export function importQuestions(format, content) {
+    const { title, items } = FORMATS[format].parse(content);
+    if (!items.length) throw new ImportError("No questions found");
+    if (items.length > MAX_IMPORT_QUESTIONS) {
+        throw new ImportError(`At most ${MAX_IMPORT_QUESTIONS} questions can be imported at once (found ${items.length})`);
+    }
+
+    const questions = [];
+    const errors = [];
+    items.forEach((item, i) => {
+        const index = i + 1;
+        const name = item.name || null;
+        if (item.error) {
+            errors.push({ index, name, errors: [{ path: "", message: item.error }] });
+            return;
+        }
+        // Checked under its position in the file so messages point there
+        const checked = checkQuestionInput(item.question, index);
+        if (checked.errors.length) {
+            errors.push({ index, name, errors: checked.errors.map(({ path, message }) => ({ path, message })) });
+            return;
+        }
+        questions.push({ ...checked.question, id: questions.length + 1 });
+    });
+    return { title: title?.trim() || null, questions, errors, total: items.length };
+}
+
+function fileName(title, extension) {
+    const slug = String(title).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 60);
+    return `${slug || "quiz"}.${extension}`;
+}
+
+// { body, contentType, fileName } for a quiz in the editor view.
+export function exportQuiz(format, quiz) {
+    const { serialize, contentType, extension } = FORMATS[format];
+    return {
+        body: serialize({ title: quiz.title, questions: quiz.questions }),
+        contentType,
+        fileName: fileName(quiz.title, extension),
+    };
+}
@@ -0,0 +1,26 @@
+import { ImportError } from "./errors.js";
+
+// The editor form used by POST /quizzes: { title, questions } with answer
+// fields inline. A bare array of questions is accepted too.
+
+export function parseJson(content) {
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch (e) {
+        throw new ImportError(`Invalid JSON: ${e.message}`);
+    }
+    const questions = Array.isArray(data) ? data : data?.questions;
+    if (!Array.isArray(questions)) throw new ImportError("JSON must be a list of questions or { title, questions }");
+
+    const items = questions.map((q) => {
+        if (!q || typeof q !== "object" || Array.isArray(q)) return { name: null, error: "question must be an object" };
+        const { id, ...question } = q;
+        return { name: null, question };
+    });
+    return { title: typeof data?.title === "string" ? data.title : null, items };
+}
+
+export function serializeJson({ title, questions }) {
+    return `${JSON.stringify({ title, questions }, null, 2)}\n`;
+}
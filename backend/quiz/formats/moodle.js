@@ -0,0 +1,150 @@
+import { choiceQuestion, multiWeight, optionList } from "./choices.js";
+import { ImportError } from "./errors.js";
+import { element, elements, escapeXml, htmlToText, parseXml, textContent } from "./xml.js";
+import { questionType } from "../types.js";
+
+// Moodle XML question export: <quiz> with one <question type="…"> per
+// question. multichoice, truefalse, shortanswer and numerical map onto
+// QZIZZ types; anything else is reported as unsupported.
+
+// The <text> of an element as plain text. Only format="html" texts hold
+// markup; like Moodle, question and answer texts without a format are HTML,
+// names and categories are plain.
+function readText(node, defaultFormat = "html") {
+    const value = textContent(element(node, "text"));
+    if ((node?.attrs.format || defaultFormat) === "html") return htmlToText(value);
+    return value.trim();
+}
+
+function text(node, name, defaultFormat) {
+    return readText(element(node, name), defaultFormat);
+}
+
+function answersOf(node) {
+    return elements(node, "answer").map((a) => ({
+        text: readText(a),
+        weight: Number(a.attrs.fraction || 0) / 100,
+        tolerance: element(a, "tolerance") ? Number(textContent(element(a, "tolerance"))) : 0,
+    }));
+}
+
+// Moodle category paths separate levels with "/" and write a literal "/"
+// as "//". Imports take the last level as the quiz title.
+export function categoryName(path) {
+    return path.split(/(?<!\/)\/(?!\/)/).pop().replace(/\/\//g, "/").trim();
+}
+
+export function categoryPath(title) {
+    return `$course$/top/${title.replace(/\//g, "//")}`;
+}
+
+function parseQuestion(node) {
+    const type = node.attrs.type;
+    const name = text(node, "name", "plain_text") || null;
+    const questionText = text(node, "questiontext");
+    const answers = answersOf(node);
+
+    switch (type) {
+        case "multichoice": {
+            const single = textContent(element(node, "single")).trim() !== "false";
+            return { name, ...choiceQuestion(questionText, answers, { multiple: !single }) };
+        }
+        case "truefalse":
+            return { name, ...choiceQuestion(questionText, answers) };
+        case "shortanswer": {
+            const accepted = answers.filter((a) => a.weight >= 1).map((a) => a.text);
+            return { name, question: { type: "short", question: questionText, accepted } };
+        }
+        case "numerical": {
+            const best = answers.find((a) => a.weight >= 1) || answers[0];
+            if (!best) return { name, error: "numerical question has no answer" };
+            return {
+                name,
+                question: { type: "numeric", question: questionText, value: Number(best.text), tolerance: best.tolerance },
+            };
+        }
+        default:
+            return { name, error: `${type || "untyped"} questions are not supported` };
+    }
+}
+
+export function parseMoodleXml(content) {
+    const quiz = parseXml(content).find((n) => n.name === "quiz");
+    if (!quiz) throw new ImportError("Moodle XML must have a <quiz> root element");
+
+    let title = null;
+    const items = [];
+    for (const node of elements(quiz, "question")) {
+        if (node.attrs.type === "category") {
+            title = categoryName(text(node, "category", "plain_text")) || title;
+            continue;
+        }
+        items.push(parseQuestion(node));
+    }
+    return { title, items };
+}
+
+function textElement(name, value, format) {
+    const attr = format ? ` format="${format}"` : "";
+    return `<${name}${attr}><text>${escapeXml(value)}</text></${name}>`;
+}
+
+function answerElement(fraction, value, extra = "") {
+    return `    <answer fraction="${fraction}" format="plain_text"><text>${escapeXml(value)}</text>${extra}</answer>`;
+}
+
+function questionElement(q) {
+    const head = [
+        `    ${textElement("name", `Q${q.id}`)}`,
+        `    ${textElement("questiontext", q.question, "plain_text")}`,
+        "    <defaultgrade>1</defaultgrade>",
+    ];
+    let type;
+    let body;
+    switch (questionType(q)) {
+        case "true_false":
+            type = "truefalse";
+            body = [
+                answerElement(q.correct_option === "A" ? 100 : 0, "true"),
+                answerElement(q.correct_option === "B" ? 100 : 0, "false"),
+            ];
+            break;
+        case "numeric":
+            type = "numerical";
+            body = [answerElement(100, q.value, `<tolerance>${q.tolerance ?? 0}</tolerance>`)];
+            break;
+        case "short":
+            type = "shortanswer";
+            body = ["    <usecase>0</usecase>", ...q.accepted.map((a) => answerElement(100, a))];
+            break;
+        case "multi": {
+            type = "multichoice";
+            const weight = multiWeight(q.correct_options.length);
+            body = [
+                "    <single>false</single>",
+                "    <shuffleanswers>false</shuffleanswers>",
+                ...optionList(q).map((o) => answerElement(o.correct ? weight : -100, o.text)),
+            ];
+            break;
+        }
+        default:
+            type = "multichoice";
+            body = [
+                "    <single>true</single>",
+                "    <shuffleanswers>false</shuffleanswers>",
+                ...optionList(q).map((o) => answerElement(o.correct ? 100 : 0, o.text)),
+            ];
+    }
+    return [`  <question type="${type}">`, ...head, ...body, "  </question>"].join("\n");
+}
+
+export function serializeMoodleXml({ title, questions }) {
+    return [
+        "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+        "<quiz>",
+        `  <question type="category"><category><text>${escapeXml(categoryPath(title))}</text></category></question>`,
+        ...questions.map(questionElement),
+        "</quiz>",
+        "",
+    ].join("\n");
+}
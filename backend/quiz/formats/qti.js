@@ -0,0 +1,220 @@
+import { strFromU8, strToU8, unzipSync, zipSync } from "fflate";
+import { choiceQuestion } from "./choices.js";
+import { ImportError } from "./errors.js";
+import { descendants, element, elements, escapeXml, parseXml, plainText, textContent } from "./xml.js";
+import { questionType } from "../types.js";
+
+// IMS QTI 2.1. Exports are content packages: a zip with imsmanifest.xml,
+// an assessmentTest and one assessmentItem file per question. Imports take
+// such a zip (base64) or a single item as plain XML. Choice and text entry
+// interactions are understood; other interactions are reported per item.
+
+const QTI_NS = "http://www.imsglobal.org/xsd/imsqti_v2p1";
+const MAX_FILES = 500;
+
+function interactionText(body) {
+    const copy = { ...body, children: body.children.filter((c) => typeof c === "string" || !c.name.endsWith("Interaction")) };
+    return plainText(copy);
+}
+
+function declaredValues(declaration) {
+    return elements(element(declaration, "correctResponse"), "value").map((v) => textContent(v).trim());
+}
+
+function parseItem(item) {
+    const name = item.attrs.title || item.attrs.identifier || null;
+    const body = element(item, "itemBody");
+    if (!body) return { name, error: "item has no itemBody" };
+
+    const declarations = new Map(elements(item, "responseDeclaration").map((d) => [d.attrs.identifier, d]));
+    const choice = descendants(body, "choiceInteraction")[0];
+    const entry = descendants(body, "textEntryInteraction")[0] || descendants(body, "extendedTextInteraction")[0];
+    const interaction = choice || entry;
+    if (!interaction) {
+        const other = descendants(body).find((n) => n.name.endsWith("Interaction"));
+        return { name, error: other ? `${other.name} is not supported` : "item has no choice or text entry interaction" };
+    }
+    const declaration = declarations.get(interaction.attrs.responseIdentifier);
+    if (!declaration) return { name, error: `no responseDeclaration for ${interaction.attrs.responseIdentifier}` };
+    const correct = declaredValues(declaration);
+
+    if (choice) {
+        const prompt = plainText(element(choice, "prompt"));
+        const text = [interactionText(body), prompt].filter(Boolean).join(" ");
+        const choices = elements(choice, "simpleChoice").map((c) => ({
+            text: plainText(c),
+            weight: correct.includes(c.attrs.identifier) ? 1 : 0,
+        }));
+        return { name, ...choiceQuestion(text, choices, { multiple: declaration.attrs.cardinality === "multiple" }) };
+    }
+
+    const text = interactionText(body);
+    if (["float", "integer"].includes(declaration.attrs.baseType)) {
+        const equal = descendants(item, "equal").find((e) => e.attrs.toleranceMode === "absolute");
+        const tolerance = equal ? Number(String(equal.attrs.tolerance).trim().split(/\s+/)[0]) : 0;
+        return { name, question: { type: "numeric", question: text, value: Number(correct[0]), tolerance } };
+    }
+    const mapped = descendants(declaration, "mapEntry")
+        .filter((e) => Number(e.attrs.mappedValue) > 0)
+        .map((e) => e.attrs.mapKey);
+    return { name, question: { type: "short", question: text, accepted: [...new Set([...correct, ...mapped])] } };
+}
+
+function isZip(content) {
+    return !content.trimStart().startsWith("<");
+}
+
+function readPackage(content) {
+    let files;
+    try {
+        files = unzipSync(Buffer.from(content, "base64"));
+    } catch {
+        throw new ImportError("QTI content must be XML or a base64-encoded zip package");
+    }
+    const names = Object.keys(files).filter((n) => n.toLowerCase().endsWith(".xml"));
+    if (names.length > MAX_FILES) throw new ImportError(`QTI package has more than ${MAX_FILES} files`);
+    return names.sort().map((n) => strFromU8(files[n]));
+}
+
+export function parseQti(content) {
+    const documents = isZip(content) ? readPackage(content) : [content];
+    let title = null;
+    const items = [];
+    for (const doc of documents) {
+        for (const root of parseXml(doc)) {
+            if (root.name === "assessmentItem") items.push(parseItem(root));
+            else if (root.name === "assessmentTest") title = root.attrs.title || title;
+        }
+    }
+    if (!items.length) throw new ImportError("No QTI assessmentItem found");
+    return { title, items };
+}
+
+function choiceBody(q, cardinality) {
+    const maxChoices = cardinality === "multiple" ? 0 : 1;
+    const choices = Object.keys(q.options).sort()
+        .map((key) => `      <simpleChoice identifier="${key}">${escapeXml(q.options[key])}</simpleChoice>`);
+    return [
+        `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${maxChoices}">`,
+        `      <prompt>${escapeXml(q.question)}</prompt>`,
+        ...choices,
+        "    </choiceInteraction>",
+    ];
+}
+
+function entryBody(q) {
+    return [
+        `    <p>${escapeXml(q.question)}</p>`,
+        "    <p><textEntryInteraction responseIdentifier=\"RESPONSE\" expectedLength=\"20\"/></p>",
+    ];
+}
+
+const MATCH_CORRECT = "http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct";
+const MAP_RESPONSE = "http://www.imsglobal.org/question/qti_v2p1/rptemplates/map_response";
+
+function itemXml(q) {
+    let declaration;
+    let body;
+    let processing = `  <responseProcessing template="${MATCH_CORRECT}"/>`;
+    const values = (list) => list.map((v) => `      <value>${escapeXml(v)}</value>`);
+
+    switch (questionType(q)) {
+        case "multi":
+            declaration = ["  <responseDeclaration identifier=\"RESPONSE\" cardinality=\"multiple\" baseType=\"identifier\">",
+                "    <correctResponse>", ...values(q.correct_options), "    </correctResponse>"];
+            body = choiceBody(q, "multiple");
+            break;
+        case "numeric": {
+            const tolerance = q.tolerance ?? 0;
+            declaration = ["  <responseDeclaration identifier=\"RESPONSE\" cardinality=\"single\" baseType=\"float\">",
+                "    <correctResponse>", ...values([q.value]), "    </correctResponse>"];
+            body = entryBody(q);
+            processing = [
+                "  <responseProcessing>",
+                "    <responseCondition>",
+                "      <responseIf>",
+                `        <equal toleranceMode="absolute" tolerance="${tolerance} ${tolerance}">`,
+                "          <variable identifier=\"RESPONSE\"/>",
+                "          <correct identifier=\"RESPONSE\"/>",
+                "        </equal>",
+                "        <setOutcomeValue identifier=\"SCORE\"><baseValue baseType=\"float\">1</baseValue></setOutcomeValue>",
+                "      </responseIf>",
+                "    </responseCondition>",
+                "  </responseProcessing>",
+            ].join("\n");
+            break;
+        }
+        case "short":
+            declaration = ["  <responseDeclaration identifier=\"RESPONSE\" cardinality=\"single\" baseType=\"string\">",
+                "    <correctResponse>", ...values([q.accepted[0]]), "    </correctResponse>",
+                "    <mapping defaultValue=\"0\">",
+                ...q.accepted.map((a) => `      <mapEntry mapKey="${escapeXml(a)}" mappedValue="1" caseSensitive="false"/>`),
+                "    </mapping>"];
+            body = entryBody(q);
+            processing = `  <responseProcessing template="${MAP_RESPONSE}"/>`;
+            break;
+        default:
+            declaration = ["  <responseDeclaration identifier=\"RESPONSE\" cardinality=\"single\" baseType=\"identifier\">",
+                "    <correctResponse>", ...values([q.correct_option]), "    </correctResponse>"];
+            body = choiceBody(q, "single");
+    }
+
+    return [
+        "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+        `<assessmentItem xmlns="${QTI_NS}" identifier="Q${q.id}" title="Q${q.id}" adaptive="false" timeDependent="false">`,
+        ...declaration,
+        "  </responseDeclaration>",
+        "  <outcomeDeclaration identifier=\"SCORE\" cardinality=\"single\" baseType=\"float\"/>",
+        "  <itemBody>",
+        ...body,
+        "  </itemBody>",
+        processing,
+        "</assessmentItem>",
+        "",
+    ].join("\n");
+}
+
+function testXml(title, questions) {
+    return [
+        "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+        `<assessmentTest xmlns="${QTI_NS}" identifier="test" title="${escapeXml(title)}">`,
+        "  <testPart identifier=\"part\" navigationMode=\"linear\" submissionMode=\"simultaneous\">",
+        "    <assessmentSection identifier=\"section\" title=\"Questions\" visible=\"true\">",
+        ...questions.map((q) => `      <assessmentItemRef identifier="Q${q.id}" href="items/Q${q.id}.xml"/>`),
+        "    </assessmentSection>",
+        "  </testPart>",
+        "</assessmentTest>",
+        "",
+    ].join("\n");
+}
+
+function manifestXml(questions) {
+    const itemResources = questions.map((q) => [
+        `    <resource identifier="item-Q${q.id}" type="imsqti_item_xmlv2p1" href="items/Q${q.id}.xml">`,
+        `      <file href="items/Q${q.id}.xml"/>`,
+        "    </resource>",
+    ].join("\n"));
+    return [
+        "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+        "<manifest xmlns=\"http://www.imsglobal.org/xsd/imscp_v1p1\" identifier=\"manifest\">",
+        "  <organizations/>",
+        "  <resources>",
+        "    <resource identifier=\"test\" type=\"imsqti_test_xmlv2p1\" href=\"test.xml\">",
+        "      <file href=\"test.xml\"/>",
+        ...questions.map((q) => `      <dependency identifierref="item-Q${q.id}"/>`),
+        "    </resource>",
+        ...itemResources,
+        "  </resources>",
+        "</manifest>",
+        "",
+    ].join("\n");
+}
+
+export function serializeQti({ title, questions }) {
+    const files = {
+        "imsmanifest.xml": strToU8(manifestXml(questions)),
+        "test.xml": strToU8(testXml(title, questions)),
+    };
+    for (const q of questions) files[`items/Q${q.id}.xml`] = strToU8(itemXml(q));
+    return Buffer.from(zipSync(files));
+}
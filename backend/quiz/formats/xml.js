@@ -0,0 +1,111 @@
+import { XMLParser, XMLValidator } from "fast-xml-parser";
+import { ImportError } from "./errors.js";
+
+// A small element tree over fast-xml-parser's ordered output, enough for
+// walking Moodle XML and QTI: { name, attrs, children } with text nodes as
+// plain strings. Namespace prefixes are dropped.
+
+const parser = new XMLParser({
+    preserveOrder: true,
+    ignoreAttributes: false,
+    attributeNamePrefix: "",
+    removeNSPrefix: true,
+    cdataPropName: "#cdata",
+    trimValues: false,
+    htmlEntities: true,
+    parseTagValue: false,
+    parseAttributeValue: false,
+});
+
+function toNodes(list) {
+    const nodes = [];
+    for (const item of list || []) {
+        if ("#text" in item) {
+            nodes.push(String(item["#text"]));
+            continue;
+        }
+        if ("#cdata" in item) {
+            nodes.push(...toNodes(item["#cdata"]));
+            continue;
+        }
+        const name = Object.keys(item).find((k) => k !== ":@");
+        if (!name || name.startsWith("?") || name === "#comment") continue;
+        nodes.push({ name, attrs: item[":@"] || {}, children: toNodes(item[name]) });
+    }
+    return nodes;
+}
+
+// Parses a document into its top-level elements, or throws ImportError.
+export function parseXml(text) {
+    const valid = XMLValidator.validate(text);
+    if (valid !== true) {
+        throw new ImportError(`Invalid XML on line ${valid.err.line}: ${valid.err.msg}`);
+    }
+    return toNodes(parser.parse(text)).filter((n) => typeof n !== "string");
+}
+
+export function elements(node, name) {
+    return (node?.children || []).filter((c) => typeof c !== "string" && (!name || c.name === name));
+}
+
+export function element(node, name) {
+    return elements(node, name)[0] || null;
+}
+
+// Every descendant element (called `name`, if given), in document order.
+export function descendants(node, name, found = []) {
+    for (const child of elements(node)) {
+        if (!name || child.name === name) found.push(child);
+        descendants(child, name, found);
+    }
+    return found;
+}
+
+export function textContent(node) {
+    if (node == null) return "";
+    if (typeof node === "string") return node;
+    return node.children.map(textContent).join("");
+}
+
+const BLOCK_ELEMENTS = /^(p|div|li|br|h\d)$/i;
+
+function blockText(node) {
+    if (node == null) return "";
+    if (typeof node === "string") return node;
+    const text = node.children.map(blockText).join("");
+    return BLOCK_ELEMENTS.test(node.name) ? `${text} ` : text;
+}
+
+// Plain text of an element whose markup is part of the tree (QTI's XHTML
+// item bodies): child elements give up their text, block elements end in
+// a space. Text nodes are already decoded, so nothing in them is markup.
+export function plainText(node) {
+    return blockText(node).replace(/\s+/g, " ").trim();
+}
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " " };
+
+// Plain text from an HTML fragment held as a string (Moodle's format="html"
+// texts, escaped or in CDATA).
+export function htmlToText(html) {
+    return String(html || "")
+        .replace(/<br\s*\/?>|<\/(p|div|li|h\d)>/gi, " ")
+        .replace(/<[^>]*>/g, "")
+        .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, code) => {
+            if (code[0] === "#") {
+                const n = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : Number(code.slice(1));
+                return Number.isFinite(n) ? String.fromCodePoint(n) : match;
+            }
+            return ENTITIES[code.toLowerCase()] ?? match;
+        })
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+export function escapeXml(value) {
+    return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
@@ -0,0 +1,207 @@
+import { formatErrors, QuizValidationError, repairQuiz, validateQuiz } from "./schema.js";
+
+const TYPE_EXAMPLES = {
+    single: {
+        what: "one correct option out of A-D",
+        question: `{"id": 1, "type": "single", "question": "Question text?", "options": {"A": "Option 1", "B": "Option 2", "C": "Option 3", "D": "Option 4"}}`,
+        answer: `{"id": 1, "correct_option": "A"}`,
+    },
+    multi: {
+        what: "one or more correct options out of A-D",
+        question: `{"id": 2, "type": "multi", "question": "Select all that apply?", "options": {"A": "Option 1", "B": "Option 2", "C": "Option 3", "D": "Option 4"}}`,
+        answer: `{"id": 2, "correct_options": ["A", "C"]}`,
+    },
+    true_false: {
+        what: "a statement that is true or false",
+        question: `{"id": 3, "type": "true_false", "question": "Statement.", "options": {"A": "True", "B": "False"}}`,
+        answer: `{"id": 3, "correct_option": "B"}`,
+    },
+    numeric: {
+        what: "a number, with an allowed tolerance",
+        question: `{"id": 4, "type": "numeric", "question": "How many ...?"}`,
+        answer: `{"id": 4, "value": 42, "tolerance": 0}`,
+    },
+    short: {
+        what: "a short free-text answer; list every acceptable spelling",
+        question: `{"id": 5, "type": "short", "question": "Name the ...?"}`,
+        answer: `{"id": 5, "accepted": ["Answer", "Alternative answer"]}`,
+    },
+};
+
+function isSingleOnly(mix) {
+    return !mix || Object.keys(mix).every((t) => t === "single");
+}
+
+export function buildQuizMessages({ title, count, mix }) {
+    if (isSingleOnly(mix)) {
+        return [
+            {
+                role: "system",
+                content: "You are a quiz creator. Respond with only valid JSON."
+            },
+            {
+                role: "user",
+                content: `Create a ${count} question quiz about "${title}". 
+
+Respond with this exact JSON format:
+{
+  "validity": "valid",
+  "title": "${title}",
+  "questions": [
+    {
+      "id": 1,
+      "question": "Question text?",
+      "options": {"A": "Option 1", "B": "Option 2", "C": "Option 3", "D": "Option 4"}
+    }
+  ],
+  "answers": [
+    {"id": 1, "correct_option": "A"}
+  ]
+}
+
+If inappropriate content, set validity to "invalid".`
+            }
+        ];
+    }
+
+    const types = Object.keys(mix);
+    const wanted = types.map((t) => `- ${mix[t]} "${t}" question(s): ${TYPE_EXAMPLES[t].what}`).join("\n");
+    return [
+        {
+            role: "system",
+            content: "You are a quiz creator. Respond with only valid JSON."
+        },
+        {
+            role: "user",
+            content: `Create a ${count} question quiz about "${title}" with exactly:
+${wanted}
+
+Respond with this exact JSON format, numbering ids 1 to ${count}:
+{
+  "validity": "valid",
+  "title": "${title}",
+  "questions": [
+    ${types.map((t) => TYPE_EXAMPLES[t].question).join(",\n    ")}
+  ],
+  "answers": [
+    ${types.map((t) => TYPE_EXAMPLES[t].answer).join(",\n    ")}
+  ]
+}
+
+If inappropriate content, set validity to "invalid".`
+        }
+    ];
+}
+
+// Models like to wrap JSON in code fences or chat around it; keep only the
+// outermost object. Throws SyntaxError when nothing parseable is left.
+export function parseQuizContent(content) {
+    let cleanContent = content.replace(/```(?:json)?/gi, "").trim();
+    cleanContent = cleanContent.replace(/^[^{]*/, "").replace(/[^}]*$/, "");
+    return JSON.parse(cleanContent);
+}
+
+function repairMessage(errors, count, mix) {
+    const shape = isSingleOnly(mix)
+        ? "options A-D for every question"
+        : `these question types: ${Object.entries(mix).map(([t, n]) => `${n} ${t}`).join(", ")}`;
+    return `That quiz has problems:
+${formatErrors(errors)}
+
+Send the complete corrected quiz as JSON in the same format, with exactly ${count} questions, ${shape}, unique ids, and exactly one answer per question.`;
+}
+
+// Sends `messages` and keeps going until the reply passes validateQuiz():
+// each round first applies repairQuiz(), then, if errors remain, shows the
+// model its own output along with the error list. Gives up after `attempts`
+// rounds with a QuizValidationError carrying the last errors.
+async function completeQuiz(llm, messages, { count, mix, task }, attempts) {
+    let errors = [];
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        const { content } = await llm.complete(messages, {
+            task: { ...task, attempt, errors },
+        });
+
+        let quiz;
+        try {
+            quiz = parseQuizContent(content);
+        } catch (e) {
+            errors = [{ path: "", code: "invalid_json", message: `response is not valid JSON (${e.message})` }];
+        }
+
+        if (quiz) {
+            if (quiz.validity === "invalid") return quiz;
+            quiz = repairQuiz(quiz, { count });
+            errors = validateQuiz(quiz, { count, mix });
+            if (!errors.length) return quiz;
+        }
+
+        console.warn(`Quiz generation attempt ${attempt}/${attempts} rejected:\n${formatErrors(errors)}`);
+        messages.push(
+            { role: "assistant", content },
+            { role: "user", content: repairMessage(errors, count, mix) }
+        );
+    }
+
+    throw new QuizValidationError(errors, { attempts });
+}
+
+// Asks the model for a quiz; see completeQuiz() for the repair rounds.
+//
+// `mix` ({ single: 3, numeric: 2 }) asks for a number of each question type;
+// without it every question is single choice.
+export async function generateQuiz(llm, { title, count, mix }, { attempts = 3 } = {}) {
+    const messages = buildQuizMessages({ title, count, mix });
+    return completeQuiz(llm, messages, { count, mix, task: { type: "quiz", title, count, mix } }, attempts);
+}
+
+export function buildPracticeMessages({ topic, difficulty, count, concept, avoid = [] }) {
+    const focus = concept
+        ? `The learner keeps getting "${concept}" wrong. Every question must test "${concept}" from a different angle than before, and set "concept" to "${concept}".`
+        : `Cover different concepts of the topic and name the one each question tests in "concept" (a few words).`;
+    const repeats = avoid.length
+        ? `\n\nDon't repeat any of these questions:\n${avoid.map((q) => `- ${q}`).join("\n")}`
+        : "";
+    return [
+        {
+            role: "system",
+            content: "You are a tutor writing practice questions. Respond with only valid JSON."
+        },
+        {
+            role: "user",
+            content: `Write ${count} ${difficulty} multiple-choice practice question(s) about "${topic}".
+${focus}${repeats}
+
+Respond with this exact JSON format, numbering ids 1 to ${count}:
+{
+  "validity": "valid",
+  "title": "${topic}",
+  "questions": [
+    {
+      "id": 1,
+      "concept": "Concept name",
+      "question": "Question text?",
+      "options": {"A": "Option 1", "B": "Option 2", "C": "Option 3", "D": "Option 4"}
+    }
+  ],
+  "answers": [
+    {"id": 1, "correct_option": "A"}
+  ]
+}
+
+If inappropriate content, set validity to "invalid".`
+        }
+    ];
+}
+
+// Practice questions at `difficulty` ("easy", "medium", "hard"), each
+// labelled with the concept it tests; with `concept` they all target it.
+// `avoid` lists question texts the learner has already seen.
+export async function generatePracticeQuestions(llm, { topic, difficulty, count, concept, avoid }, { attempts = 3 } = {}) {
+    const messages = buildPracticeMessages({ topic, difficulty, count, concept, avoid });
+    return completeQuiz(llm, messages, {
+        count,
+        task: { type: "practice", title: topic, difficulty, count, concept },
+    }, attempts);
+}
@@ -0,0 +1,132 @@
+import { questionType } from "./types.js";
+
+// Grading engine. Each grader takes the question, its answer entry and the
+// player's response and returns a credit between 0 and 1.
+//
+// Responses are what clients send per question id in /submit-ans:
+//   single / true_false  { option: "A" }
+//   multi                { options: ["A", "C"] }
+//   numeric              { value: 3.14 }
+//   short                { text: "Paris" }
+
+// Short answers within this similarity of an accepted answer count as
+// correct, so small typos are forgiven.
+export const FUZZY_THRESHOLD = 0.8;
+
+export function normalizeText(text) {
+    return String(text ?? "")
+        .normalize("NFKD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, " ")
+        .replace(/^\s*(the|an|a)\s+/, "")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+        for (let j = 1; j <= b.length; j++) {
+            curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        prev = curr;
+    }
+    return prev[b.length];
+}
+
+export function similarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    return longest ? 1 - levenshtein(a, b) / longest : 1;
+}
+
+function chosenOption(response) {
+    return typeof response === "string" ? response : response?.option;
+}
+
+function singleChoice(question, answer, response) {
+    return chosenOption(response) === answer.correct_option ? 1 : 0;
+}
+
+export const GRADERS = {
+    single: singleChoice,
+    true_false: singleChoice,
+
+    // Each correct pick earns its share; each wrong pick takes one back.
+    multi(question, answer, response) {
+        const picked = new Set(Array.isArray(response?.options)
+            ? response.options
+            : (chosenOption(response) ? [chosenOption(response)] : []));
+        const correct = new Set(answer.correct_options);
+        let hits = 0;
+        let misses = 0;
+        for (const option of picked) {
+            if (correct.has(option)) hits++;
+            else misses++;
+        }
+        return Math.max(0, (hits - misses) / correct.size);
+    },
+
+    numeric(question, answer, response) {
+        const raw = typeof response === "object" && response !== null ? response.value ?? response.option : response;
+        const value = typeof raw === "string" ? Number(raw.trim().replace(",", ".")) : raw;
+        if (typeof value !== "number" || !Number.isFinite(value)) return 0;
+        const tolerance = answer.tolerance || 0;
+        return Math.abs(value - answer.value) <= tolerance + Number.EPSILON ? 1 : 0;
+    },
+
+    short(question, answer, response) {
+        const given = normalizeText(typeof response === "object" && response !== null ? response.text ?? response.option : response);
+        if (!given) return 0;
+        const accepted = (answer.accepted || []).map(normalizeText);
+        if (accepted.includes(given)) return 1;
+        if (answer.fuzzy === false) return 0;
+        // Very short answers ("4", "Fe") must match exactly.
+        return accepted.some((a) => a.length > 3 && similarity(a, given) >= FUZZY_THRESHOLD) ? 1 : 0;
+    },
+};
+
+// Indexes answer entries by question id. Older rows store answers as a
+// {"1": "A"} map; those become single-choice entries.
+export function answerIndex(answers) {
+    const index = new Map();
+    if (Array.isArray(answers)) {
+        for (const a of answers) index.set(Number(a.id), a);
+    } else if (answers && typeof answers === "object") {
+        for (const [id, option] of Object.entries(answers)) {
+            index.set(parseInt(id), { id: parseInt(id), correct_option: option });
+        }
+    }
+    return index;
+}
+
+export function gradeQuestion(question, answer, response) {
+    const grader = GRADERS[questionType(question)];
+    const answered = response != null && response !== "";
+    if (!grader || !answer || !answered) {
+        return { id: question.id, type: questionType(question), credit: 0, correct: false, answered };
+    }
+    const credit = Math.round(grader(question, answer, response) * 1000) / 1000;
+    return { id: question.id, type: questionType(question), credit, correct: credit === 1, answered };
+}
+
+// Grades a whole submission ({ [questionId]: response }). `score` is the sum
+// of credits, so multi-select partial credit shows up as fractions.
+export function gradeSubmission(quiz, responses = {}) {
+    const index = answerIndex(quiz.answers);
+    const questions = Array.isArray(quiz.questions) && quiz.questions.length
+        ? quiz.questions
+        : [...index.keys()].map((id) => ({ id }));
+
+    const results = questions.map((q) => gradeQuestion(q, index.get(Number(q.id)), responses[q.id]));
+    const score = Math.round(results.reduce((sum, r) => sum + r.credit, 0) * 100) / 100;
+
+    return {
+        results,
+        score,
+        correct: results.filter((r) => r.correct).length,
+        total: results.length,
+    };
+}
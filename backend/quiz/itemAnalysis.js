@@ -0,0 +1,231 @@
+import { countedResults } from "./attempts.js";
+import { answerIndex, gradeQuestion, normalizeText } from "./grading.js";
+import { questionType } from "./types.js";
+
+// Classical item analysis over each player's counted attempt. Credits are
+// 0-1 per question (partial for multi), so "correct" means full credit.
+//
+// Discrimination compares the top and bottom 27% of players by total
+// score: the mean credit of the upper group minus that of the lower group,
+// from -1 to 1. Well-behaved questions sit above 0.2; negative values mean
+// stronger players did worse, which is how miskeyed questions show up.
+
+export const MIN_PLAYERS = 5;
+const GROUP_SHARE = 0.27;
+const LOW_DISCRIMINATION = 0.2;
+const MISKEY_DISCRIMINATION = -0.2;
+const AMBIGUOUS_SHARE = 0.25;
+const TOO_HARD = 0.2;
+const TOO_EASY = 0.95;
+const TOP_RESPONSES = 5;
+
+function round(n, digits = 2) {
+    if (n == null || !Number.isFinite(n)) return null;
+    const f = 10 ** digits;
+    return Math.round(n * f) / f;
+}
+
+function mean(list) {
+    return list.length ? list.reduce((a, b) => a + b, 0) / list.length : null;
+}
+
+function variance(list) {
+    const m = mean(list);
+    return list.length ? mean(list.map((x) => (x - m) ** 2)) : null;
+}
+
+function median(list) {
+    if (!list.length) return null;
+    const sorted = [...list].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function isChoice(question) {
+    return ["single", "multi", "true_false"].includes(questionType(question));
+}
+
+function picksOf(question, response) {
+    if (response == null) return [];
+    if (typeof response !== "object") return [String(response)];
+    if (questionType(question) === "multi") return response.options || (response.option ? [response.option] : []);
+    return response.option ? [response.option] : [];
+}
+
+function responseKey(question, response) {
+    if (response == null || response === "") return "";
+    const raw = typeof response === "object" ? response.value ?? response.text ?? response.option : response;
+    if (questionType(question) !== "numeric") return normalizeText(raw);
+    const value = Number(String(raw).replace(",", "."));
+    return Number.isFinite(value) ? String(value) : normalizeText(raw);
+}
+
+function share(count, total) {
+    return total ? round((count / total) * 100, 1) : null;
+}
+
+// How often each option was picked, overall and in the upper and lower groups.
+function optionStats(question, answer, marks, groups) {
+    const keyed = new Set(answer?.correct_options || [answer?.correct_option]);
+    const count = (list, key) => list.filter((m) => picksOf(question, m.response).includes(key)).length;
+    return Object.keys(question.options || {}).sort().map((key) => ({
+        key,
+        text: question.options[key],
+        correct: keyed.has(key),
+        count: count(marks, key),
+        percent: share(count(marks, key), marks.length),
+        upper: groups ? count(groups.upper, key) : null,
+        lower: groups ? count(groups.lower, key) : null,
+    }));
+}
+
+// The most common answers to numeric and short questions.
+function topResponses(question, marks) {
+    const byKey = new Map();
+    for (const m of marks) {
+        const key = responseKey(question, m.response);
+        if (!key) continue;
+        const entry = byKey.get(key) || { response: key, count: 0, correct: m.credit === 1 };
+        entry.count += 1;
+        byKey.set(key, entry);
+    }
+    return [...byKey.values()]
+        .sort((a, b) => b.count - a.count)
+        .slice(0, TOP_RESPONSES)
+        .map((r) => ({ ...r, percent: share(r.count, marks.length) }));
+}
+
+function flagsFor(question, stats, groups) {
+    const flags = [];
+    const flag = (code, message) => flags.push({ code, message });
+    if (!groups) return flags;
+
+    const { difficulty, discrimination } = stats;
+    let miskeyed = false;
+    if (stats.options && questionType(question) !== "multi") {
+        const key = stats.options.find((o) => o.correct);
+        const rival = stats.options.filter((o) => !o.correct).sort((a, b) => b.upper - a.upper)[0];
+        if (key && rival && rival.upper > key.upper) {
+            miskeyed = true;
+            flag("likely_miskeyed", `More top scorers chose ${rival.key} than the keyed answer ${key.key}`);
+        } else if (key && rival && rival.upper >= Math.max(1, groups.upper.length * AMBIGUOUS_SHARE)) {
+            flag("ambiguous", `Top scorers are split between ${key.key} and ${rival.key}`);
+        }
+        const unused = stats.options.filter((o) => !o.correct && o.count === 0).map((o) => o.key);
+        if (unused.length) flag("unused_distractors", `Nobody chose ${unused.join(", ")}`);
+    }
+    if (stats.responses) {
+        const upperTop = topResponses(question, groups.upper)[0];
+        if (upperTop && !upperTop.correct && upperTop.count >= Math.max(2, groups.upper.length * AMBIGUOUS_SHARE)) {
+            miskeyed = true;
+            flag("likely_miskeyed", `Top scorers often answered "${upperTop.response}", which is marked wrong`);
+        }
+    }
+    if (!miskeyed && discrimination <= MISKEY_DISCRIMINATION) {
+        flag("likely_miskeyed", "Weaker players did much better on this question than stronger ones");
+    } else if (!miskeyed && discrimination < 0) {
+        flag("negative_discrimination", "Weaker players did better on this question than stronger ones");
+    } else if (!miskeyed && discrimination < LOW_DISCRIMINATION) {
+        flag("low_discrimination", "The question barely separates stronger from weaker players");
+    }
+    if (difficulty < TOO_HARD) flag("too_hard", "Fewer than 20% of the credit was earned");
+    if (difficulty > TOO_EASY) flag("too_easy", "Almost everyone got it right");
+    return flags;
+}
+
+// KR-20 for right/wrong questions; with partial credit it becomes
+// Cronbach's alpha, which KR-20 is the special case of. Like discrimination
+// it waits for MIN_PLAYERS; `reason` says why there is no coefficient.
+function reliability(players, questionCount) {
+    const totals = players.map((p) => p.total);
+    const totalVariance = variance(totals);
+    const dichotomous = players.every((p) => p.credits.every((c) => c === 0 || c === 1));
+    const method = dichotomous ? "KR-20" : "Cronbach's alpha";
+    if (players.length < MIN_PLAYERS) {
+        return { coefficient: null, method, reason: `Needs at least ${MIN_PLAYERS} players` };
+    }
+    if (questionCount < 2) return { coefficient: null, method, reason: "Needs at least 2 questions" };
+    if (!totalVariance) return { coefficient: null, method, reason: "Every player has the same score" };
+
+    const itemVariance = Array.from({ length: questionCount }, (_, i) => variance(players.map((p) => p.credits[i])))
+        .reduce((a, b) => a + b, 0);
+    const k = questionCount;
+    return { coefficient: round((k / (k - 1)) * (1 - itemVariance / totalVariance), 3), method };
+}
+
+function distribution(percentages) {
+    const buckets = Array.from({ length: 10 }, (_, i) => ({ from: i * 10, to: i === 9 ? 100 : i * 10 + 9, count: 0 }));
+    for (const p of percentages) buckets[Math.min(9, Math.floor(p / 10))].count += 1;
+    return buckets;
+}
+
+export async function itemAnalysis(db, quiz) {
+    const [standings, results] = await Promise.all([
+        db.standings.listRanked(quiz.id),
+        db.results.listByQuiz(quiz.id),
+    ]);
+    const questions = quiz.questions || [];
+    const index = answerIndex(quiz.answers);
+
+    const players = countedResults(standings, results)
+        .filter(({ result }) => result)
+        .map(({ result }) => {
+            const given = result.given_answer || {};
+            const times = result.question_times || {};
+            const marks = questions.map((q) => {
+                const graded = gradeQuestion(q, index.get(Number(q.id)), given[q.id]);
+                return { response: given[q.id], credit: graded.credit, answered: graded.answered, seconds: times[q.id] ?? null };
+            });
+            const credits = marks.map((m) => m.credit);
+            return { marks, credits, total: credits.reduce((a, b) => a + b, 0) };
+        });
+
+    const enough = players.length >= MIN_PLAYERS;
+    const ranked = [...players].sort((a, b) => b.total - a.total);
+    const size = Math.max(1, Math.round(players.length * GROUP_SHARE));
+    const groupPlayers = enough ? { upper: ranked.slice(0, size), lower: ranked.slice(-size) } : null;
+
+    const questionStats = questions.map((q, i) => {
+        const marks = players.map((p) => p.marks[i]);
+        const groups = groupPlayers && { upper: groupPlayers.upper.map((p) => p.marks[i]), lower: groupPlayers.lower.map((p) => p.marks[i]) };
+        const times = marks.map((m) => m.seconds).filter((s) => typeof s === "number");
+        const difficulty = round(mean(marks.map((m) => m.credit)));
+        const stats = {
+            id: q.id,
+            question: q.question,
+            type: questionType(q),
+            answered: marks.filter((m) => m.answered).length,
+            blank: marks.filter((m) => !m.answered).length,
+            percentCorrect: share(marks.filter((m) => m.credit === 1).length, marks.length),
+            difficulty,
+            discrimination: groups ? round(mean(groups.upper.map((m) => m.credit)) - mean(groups.lower.map((m) => m.credit))) : null,
+            medianTime: round(median(times), 1),
+            timedResponses: times.length,
+            options: isChoice(q) ? optionStats(q, index.get(Number(q.id)), marks, groups) : undefined,
+            responses: isChoice(q) ? undefined : topResponses(q, marks),
+        };
+        return { ...stats, flags: flagsFor(q, stats, groups) };
+    });
+
+    const totals = players.map((p) => p.total);
+    const percentages = totals.map((t) => (questions.length ? (t / questions.length) * 100 : 0));
+    return {
+        quiz: { id: quiz.id, title: quiz.title, questions: questions.length },
+        players: players.length,
+        minimumPlayers: MIN_PLAYERS,
+        groupSize: groupPlayers ? size : null,
+        scores: {
+            mean: round(mean(totals)),
+            median: round(median(totals)),
+            standardDeviation: round(Math.sqrt(variance(totals) ?? NaN)),
+            min: totals.length ? round(Math.min(...totals)) : null,
+            max: totals.length ? round(Math.max(...totals)) : null,
+            meanPercentage: round(mean(percentages), 1),
+            distribution: distribution(percentages),
+        },
+        reliability: reliability(players, questions.length),
+        flagged: questionStats.filter((q) => q.flags.some((f) => ["likely_miskeyed", "ambiguous", "negative_discrimination"].includes(f.code)))
+            .map((q) => q.id),
+        questions: questionStats,
+    };
+}
@@ -0,0 +1,52 @@
+import { freshJoinCode } from "./access.js";
+import { recordBankResults, syncBankOnPublish } from "./bank.js";
+import { toEditorView } from "./draft.js";
+import { buildReviewCards } from "./review.js";
+import { validateQuiz } from "./schema.js";
+import { scheduleOf, windowFor } from "./schedule.js";
+
+// Publishes a draft now or for its scheduled open time. Returns
+// { quiz, errors }; `quiz` is null with no errors when the draft is gone or
+// already published. With `ownerId` the questions also go into that user's
+// question bank.
+export async function publishQuiz(db, draft, mail, { scheduler, ownerId, now = Date.now() } = {}) {
+    const errors = validateQuiz(draft);
+    const window = windowFor(scheduleOf(draft), now);
+    if (window.expired) errors.push({ path: "schedule.closesAt", code: "closed", message: "the close time has already passed" });
+    if (errors.length) return { quiz: null, errors };
+
+    const quiz = await withFreshJoinCode(db, (code) => db.quizzes.publish(draft.id, mail, window, code));
+    if (quiz) scheduler?.track(quiz);
+    if (quiz && ownerId != null) {
+        await syncBankOnPublish(db, quiz, toEditorView(quiz).questions, ownerId)
+            .catch((e) => console.error("Error saving questions to bank:", e));
+    }
+    return { quiz, errors: [] };
+}
+
+// Runs `write` with a new join code, retrying if the unique index turns the
+// code down (two quizzes drew the same one at once).
+export async function withFreshJoinCode(db, write) {
+    for (let i = 0; ; i++) {
+        try {
+            return await write(await freshJoinCode(db));
+        } catch (e) {
+            if (i >= 2 || !/duplicate|unique/i.test(e.message)) throw e;
+        }
+    }
+}
+
+// Everything that happens when a quiz closes, whether the host closed it or
+// its close time came up. Leaderboard positions come from the standings
+// query, so the ranking is final as soon as the quiz is; missed questions
+// go into the players' review decks. Returns null when the quiz is
+// missing, not owned by `mail` or already closed.
+export async function finalizeQuiz(db, quizId, { mail, scheduler } = {}) {
+    const quiz = await db.quizzes.close(quizId, mail);
+    if (!quiz) return null;
+    scheduler?.forget(quiz.id);
+    await recordBankResults(db, quiz).catch((e) => console.error("Error recording bank results:", e));
+    await buildReviewCards(db, quiz).catch((e) => console.error("Error building review cards:", e));
+    const standings = await db.standings.listRanked(quiz.id);
+    return { quiz, standings };
+}
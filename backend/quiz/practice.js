@@ -0,0 +1,194 @@
+import { DIFFICULTIES } from "./bank.js";
+import { answerIndex, gradeQuestion } from "./grading.js";
+import { correctText, responseText } from "./report/index.js";
+
+// Solo practice: the learner picks a topic and answers generated questions
+// one at a time. Two full-credit answers in a row move the level up, two
+// misses in a row move it down (pending questions at the old level are
+// dropped). Missing the same concept twice in a row asks the model for
+// follow-up questions on just that concept, which go to the front of the
+// queue. When the queue runs dry another batch is generated at the
+// current level.
+
+export const PRACTICE_LEVELS = DIFFICULTIES;
+export const BATCH_SIZE = 3;
+export const FOLLOW_UP_COUNT = 2;
+export const MAX_ANSWERS = 30;
+
+const STEP_STREAK = 2;
+const MISSES_FOR_FOLLOW_UP = 2;
+const MAX_FOLLOW_UPS = 2;
+const MAX_TOPIC_LENGTH = 200;
+const MAX_CONCEPT_LENGTH = 80;
+const AVOID_RECENT = 20;
+
+// Checks { topic, level } for a new session.
+export function normalizePracticeStart(input = {}) {
+    const errors = [];
+    const topic = typeof input.topic === "string" ? input.topic.trim() : "";
+    if (!topic || topic.length > MAX_TOPIC_LENGTH) {
+        errors.push({ path: "topic", message: `topic must be 1-${MAX_TOPIC_LENGTH} characters` });
+    }
+    const level = input.level ?? "medium";
+    if (!PRACTICE_LEVELS.includes(level)) {
+        errors.push({ path: "level", message: `level must be one of: ${PRACTICE_LEVELS.join(", ")}` });
+    }
+    return { options: { topic, level }, errors };
+}
+
+function normalizeConcept(concept, topic) {
+    const name = typeof concept === "string" ? concept.trim().toLowerCase().slice(0, MAX_CONCEPT_LENGTH) : "";
+    return name || topic.toLowerCase().slice(0, MAX_CONCEPT_LENGTH);
+}
+
+function shiftLevel(level, step) {
+    const i = PRACTICE_LEVELS.indexOf(level) + step;
+    return PRACTICE_LEVELS[Math.max(0, Math.min(PRACTICE_LEVELS.length - 1, i))];
+}
+
+export function currentItem(session) {
+    return session.items.find((i) => !i.answeredAt) || null;
+}
+
+export function answeredItems(session) {
+    return session.items.filter((i) => i.answeredAt);
+}
+
+// Question texts the model shouldn't repeat.
+export function recentQuestions(items) {
+    return items.slice(-AVOID_RECENT).map((i) => i.question.question);
+}
+
+// Adds a generated batch to the queue, renumbered after the session's
+// items. Follow-ups go before anything still pending.
+export function queueQuestions(items, generated, { topic, level, followUp = false }) {
+    const index = answerIndex(generated.answers);
+    let nextId = Math.max(0, ...items.map((i) => i.id)) + 1;
+    const added = generated.questions.map((q) => {
+        const { concept, id, ...question } = q;
+        const itemId = nextId++;
+        return {
+            id: itemId,
+            concept: normalizeConcept(concept, topic),
+            level,
+            followUp,
+            question: { ...question, id: itemId },
+            answer: { ...index.get(Number(id)), id: itemId },
+            response: null,
+            credit: null,
+            answeredAt: null,
+        };
+    });
+    if (!followUp) return [...items, ...added];
+    const answered = items.filter((i) => i.answeredAt);
+    return [...answered, ...added, ...items.filter((i) => !i.answeredAt)];
+}
+
+// Grades `response` to the current item and works out what follows:
+// { patch, graded, levelChange, followUpConcept }. `patch` holds the new
+// items, concept tallies, streak and level.
+export function recordAnswer(session, item, response, now = new Date()) {
+    const graded = gradeQuestion(item.question, item.answer, response);
+    const full = graded.credit >= 1;
+    let items = session.items.map((i) => (i.id === item.id
+        ? { ...i, response: response ?? null, credit: graded.credit, answeredAt: now.toISOString() }
+        : i));
+
+    const tally = { asked: 0, credit: 0, misses: 0, followUps: 0, ...session.concepts[item.concept] };
+    tally.asked += 1;
+    tally.credit += graded.credit;
+    tally.misses = full ? 0 : tally.misses + 1;
+    let followUpConcept = null;
+    if (tally.misses >= MISSES_FOR_FOLLOW_UP && tally.followUps < MAX_FOLLOW_UPS) {
+        followUpConcept = item.concept;
+        tally.misses = 0;
+        tally.followUps += 1;
+    }
+
+    let streak = full ? Math.max(0, session.streak) + 1 : Math.min(0, session.streak) - 1;
+    let level = session.level;
+    let levelChange = null;
+    if (Math.abs(streak) >= STEP_STREAK) {
+        level = shiftLevel(session.level, Math.sign(streak));
+        streak = 0;
+        if (level !== session.level) {
+            levelChange = PRACTICE_LEVELS.indexOf(level) > PRACTICE_LEVELS.indexOf(session.level) ? "up" : "down";
+            items = items.filter((i) => i.answeredAt || i.followUp);
+        }
+    }
+
+    return {
+        patch: { items, concepts: { ...session.concepts, [item.concept]: tally }, streak, level },
+        graded,
+        levelChange,
+        followUpConcept,
+    };
+}
+
+function percent(value, total) {
+    return total ? Math.round((value / total) * 1000) / 10 : null;
+}
+
+function conceptStatus(accuracy, asked) {
+    if (accuracy >= 80 && asked >= 2) return "strong";
+    if (accuracy < 50) return "needs_review";
+    return "developing";
+}
+
+// What the learner covered: accuracy per concept, how the level moved and
+// which concepts to come back to.
+export function practiceSummary(session, now = new Date()) {
+    const answered = answeredItems(session);
+    const concepts = Object.entries(session.concepts)
+        .map(([concept, t]) => {
+            const accuracy = percent(t.credit, t.asked);
+            return { concept, asked: t.asked, accuracy, followUps: t.followUps, status: conceptStatus(accuracy, t.asked) };
+        })
+        .sort((a, b) => b.asked - a.asked || a.concept.localeCompare(b.concept));
+    const levels = answered.map((i) => PRACTICE_LEVELS.indexOf(i.level));
+    const last = answered.length ? new Date(answered[answered.length - 1].answeredAt) : now;
+    return {
+        topic: session.topic,
+        answered: answered.length,
+        correct: answered.filter((i) => i.credit >= 1).length,
+        accuracy: percent(answered.reduce((sum, i) => sum + i.credit, 0), answered.length),
+        startLevel: session.start_level,
+        finalLevel: session.level,
+        highestLevel: levels.length ? PRACTICE_LEVELS[Math.max(...levels)] : null,
+        followUpQuestions: answered.filter((i) => i.followUp).length,
+        durationSeconds: Math.max(0, Math.round((last - new Date(session.crt_tm)) / 1000)),
+        concepts,
+        strongest: concepts.filter((c) => c.status === "strong").map((c) => c.concept),
+        needsReview: concepts.filter((c) => c.status === "needs_review").map((c) => c.concept),
+    };
+}
+
+function itemView(item) {
+    const { id, ...question } = item.question;
+    return { id: item.id, concept: item.concept, level: item.level, followUp: item.followUp, question };
+}
+
+// The session as the learner sees it: the question waiting for an answer
+// (without its key) and every answered one with the key.
+export function practiceView(session) {
+    const current = session.status === "active" ? currentItem(session) : null;
+    return {
+        id: session.id,
+        topic: session.topic,
+        status: session.status,
+        level: session.level,
+        startLevel: session.start_level,
+        answered: answeredItems(session).length,
+        maxAnswers: MAX_ANSWERS,
+        current: current ? itemView(current) : null,
+        history: answeredItems(session).map((i) => ({
+            ...itemView(i),
+            response: responseText(i.question, i.response),
+            correctAnswer: correctText(i.question, i.answer),
+            credit: i.credit,
+        })),
+        createdAt: new Date(session.crt_tm).toISOString(),
+        finishedAt: session.finished_at ? new Date(session.finished_at).toISOString() : null,
+        summary: session.summary ?? null,
+    };
+}
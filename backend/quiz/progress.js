@@ -0,0 +1,275 @@
+import { topicTag } from "./bank.js";
+import { answerIndex, gradeQuestion } from "./grading.js";
+
+// Learner analytics over a user's submissions: accuracy by topic and over
+// time, streaks, speed, and how they did against everyone else who took
+// the same quizzes. Every attempt counts towards accuracy and activity (a
+// retry is practice too); the cohort comparison uses the attempt that
+// counts on each leaderboard.
+//
+// A question's topic is its quiz's title; with `groupBy: "tag"` it's the
+// tags of the bank entry the question came from, when it has any.
+
+export const GROUP_BY = ["topic", "tag"];
+export const PERIODS = ["day", "week", "month"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MASTERY_WINDOW = 20;
+const MIN_TOPIC_QUESTIONS = 5;
+const RANKED_TOPICS = 3;
+const RECENT_ATTEMPTS = 5;
+const MASTERY_LEVELS = [
+    [0.85, "mastered"],
+    [0.7, "proficient"],
+    [0.4, "learning"],
+    [0, "struggling"],
+];
+
+function round(n, digits = 1) {
+    if (n == null || !Number.isFinite(n)) return null;
+    const f = 10 ** digits;
+    return Math.round(n * f) / f;
+}
+
+function percent(credit, questions) {
+    return questions ? round((credit / questions) * 100) : null;
+}
+
+function sum(list, pick) {
+    return list.reduce((total, item) => total + pick(item), 0);
+}
+
+function parseDate(value, path, errors) {
+    if (value == null || value === "") return null;
+    const t = Date.parse(value);
+    if (Number.isNaN(t)) {
+        errors.push({ path, message: `${path} must be a date` });
+        return null;
+    }
+    return new Date(t);
+}
+
+// Checks the query string: { groupBy, period, from, to }.
+export function normalizeProgressQuery(query = {}) {
+    const errors = [];
+    const groupBy = query.groupBy || "topic";
+    if (!GROUP_BY.includes(groupBy)) {
+        errors.push({ path: "groupBy", message: `groupBy must be one of: ${GROUP_BY.join(", ")}` });
+    }
+    const period = query.period || "week";
+    if (!PERIODS.includes(period)) {
+        errors.push({ path: "period", message: `period must be one of: ${PERIODS.join(", ")}` });
+    }
+    const from = parseDate(query.from, "from", errors);
+    const to = parseDate(query.to, "to", errors);
+    if (from && to && from > to) {
+        errors.push({ path: "from", message: "from must be before to" });
+    }
+    return { options: { groupBy, period, from, to }, errors };
+}
+
+function dayOf(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// First day of the period `date` falls in (UTC; weeks start on Monday).
+function periodStart(date, period) {
+    const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    if (period === "week") d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+    if (period === "month") d.setUTCDate(1);
+    return dayOf(d);
+}
+
+function masteryLevel(accuracy) {
+    return MASTERY_LEVELS.find(([min]) => accuracy >= min)[1];
+}
+
+// Consecutive days with at least one submission. The current streak is
+// still alive if the last active day was today or yesterday.
+function streaks(attempts, now) {
+    const days = [...new Set(attempts.map((a) => dayOf(a.at)))].sort();
+    let longest = 0;
+    let run = 0;
+    days.forEach((day, i) => {
+        run = i > 0 && Date.parse(day) - Date.parse(days[i - 1]) === DAY_MS ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    });
+    const last = days[days.length - 1];
+    const alive = last && Date.parse(dayOf(now)) - Date.parse(last) <= DAY_MS;
+    return { current: alive ? run : 0, longest, activeDays: days.length, lastActive: last || null };
+}
+
+function trends(attempts, period) {
+    const buckets = new Map();
+    for (const a of attempts) {
+        const key = periodStart(a.at, period);
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(a);
+    }
+    return [...buckets].map(([start, list]) => {
+        const questions = sum(list, (a) => a.marks.length);
+        return {
+            period: start,
+            attempts: list.length,
+            questions,
+            accuracy: percent(sum(list, (a) => a.credit), questions),
+            secondsPerQuestion: secondsPerQuestion(list),
+        };
+    });
+}
+
+function secondsPerQuestion(attempts) {
+    const timed = attempts.filter((a) => a.seconds != null);
+    const questions = sum(timed, (a) => a.marks.length);
+    return questions ? round(sum(timed, (a) => a.seconds) / questions) : null;
+}
+
+// Accuracy of the latest attempts against the same number just before.
+function improvement(attempts) {
+    const size = Math.min(RECENT_ATTEMPTS, Math.floor(attempts.length / 2));
+    if (size < 1) return null;
+    const window = (list) => percent(sum(list, (a) => a.credit), sum(list, (a) => a.marks.length));
+    const recent = window(attempts.slice(-size));
+    const previous = window(attempts.slice(-2 * size, -size));
+    return { attempts: size, previous, recent, change: round(recent - previous) };
+}
+
+function topicStats(attempts) {
+    const topics = new Map();
+    for (const a of attempts) {
+        for (const mark of a.marks) {
+            for (const topic of mark.topics) {
+                if (!topics.has(topic)) topics.set(topic, { topic, quizzes: new Set(), credits: [] });
+                const entry = topics.get(topic);
+                entry.quizzes.add(a.quizId);
+                entry.credits.push(mark.credit);
+            }
+        }
+    }
+    return [...topics.values()].map(({ topic, quizzes, credits }) => {
+        const recent = credits.slice(-MASTERY_WINDOW);
+        const recentAccuracy = sum(recent, (c) => c) / recent.length;
+        return {
+            topic,
+            quizzes: quizzes.size,
+            questions: credits.length,
+            accuracy: percent(sum(credits, (c) => c), credits.length),
+            recentAccuracy: round(recentAccuracy * 100),
+            // Too few answers to call it either way
+            mastery: credits.length >= MIN_TOPIC_QUESTIONS ? masteryLevel(recentAccuracy) : null,
+        };
+    }).sort((a, b) => b.questions - a.questions || a.topic.localeCompare(b.topic));
+}
+
+// Strongest and weakest topics by recent accuracy, never the same topic
+// in both lists.
+function rankTopics(topics) {
+    const ranked = topics.filter((t) => t.mastery)
+        .sort((a, b) => b.recentAccuracy - a.recentAccuracy || b.questions - a.questions);
+    const strong = Math.min(RANKED_TOPICS, Math.ceil(ranked.length / 2));
+    const weak = Math.min(RANKED_TOPICS, Math.floor(ranked.length / 2));
+    return {
+        strongest: ranked.slice(0, strong).map((t) => t.topic),
+        weakest: ranked.slice(ranked.length - weak).reverse().map((t) => t.topic),
+    };
+}
+
+// The user's counted score on each quiz against the average of everyone
+// else who took it.
+async function cohortComparison(db, userId, quizzes) {
+    const rows = [];
+    for (const quiz of quizzes) {
+        const standings = await db.standings.listRanked(quiz.id);
+        const mine = standings.find((e) => e.id === userId);
+        const others = standings.filter((e) => e.id !== userId);
+        const questions = (quiz.questions || []).length;
+        if (!mine || !others.length || !questions) continue;
+        const yours = percent(Number(mine.score), questions);
+        const cohortAverage = round(sum(others, (e) => (Number(e.score) / questions) * 100) / others.length);
+        rows.push({
+            quizId: quiz.id,
+            title: quiz.title,
+            submittedAt: mine.submitted_at ? new Date(mine.submitted_at).toISOString() : null,
+            percentage: yours,
+            cohortAverage,
+            difference: round(yours - cohortAverage),
+            position: mine.position,
+            players: standings.length,
+        });
+    }
+    rows.sort((a, b) => String(a.submittedAt).localeCompare(String(b.submittedAt)));
+    return {
+        quizzes: rows.length,
+        averageDifference: rows.length ? round(sum(rows, (r) => r.difference) / rows.length) : null,
+        aboveAverage: rows.filter((r) => r.difference > 0).length,
+        perQuiz: rows,
+    };
+}
+
+// Bank tags for each quiz's questions, by quiz id then question id.
+async function questionTags(db, quizzes) {
+    const refs = quizzes.flatMap((q) => Object.values(q.bank_refs || {}));
+    const entries = new Map((await db.bank.listByIds([...new Set(refs)])).map((e) => [e.id, e]));
+    return new Map(quizzes.map((quiz) => [
+        quiz.id,
+        Object.fromEntries(Object.entries(quiz.bank_refs || {}).map(([qid, bankId]) => [qid, entries.get(bankId)?.tags || []])),
+    ]));
+}
+
+// `quizIds` narrows the history to those quizzes (a classroom's, for its
+// teachers).
+export async function learnerProgress(db, userId, { groupBy = "topic", period = "week", from = null, to = null, quizIds = null, now = new Date() } = {}) {
+    const results = (await db.results.listByUser(userId)).filter((r) => {
+        const at = new Date(r.submitted_at);
+        return (!quizIds || quizIds.has(r.quiz_id)) && (!from || at >= from) && (!to || at <= to);
+    });
+    const quizzes = await db.quizzes.listByIds([...new Set(results.map((r) => r.quiz_id))]);
+    const byId = new Map(quizzes.map((q) => [q.id, q]));
+    const tags = groupBy === "tag" ? await questionTags(db, quizzes) : new Map();
+
+    const attempts = results
+        .filter((r) => byId.get(r.quiz_id)?.questions?.length)
+        .map((r) => {
+            const quiz = byId.get(r.quiz_id);
+            const index = answerIndex(quiz.answers);
+            const given = r.given_answer || {};
+            const quizTopic = topicTag(quiz.title);
+            const marks = quiz.questions.map((q) => {
+                const tagged = tags.get(quiz.id)?.[q.id];
+                return {
+                    credit: gradeQuestion(q, index.get(Number(q.id)), given[q.id]).credit,
+                    topics: tagged?.length ? tagged : [quizTopic],
+                };
+            });
+            return {
+                quizId: quiz.id,
+                at: new Date(r.submitted_at),
+                marks,
+                credit: sum(marks, (m) => m.credit),
+                seconds: r.time_taken ?? null,
+            };
+        })
+        .sort((a, b) => a.at - b.at);
+
+    const questions = sum(attempts, (a) => a.marks.length);
+    const topics = topicStats(attempts);
+    return {
+        groupBy,
+        period,
+        from: from ? from.toISOString() : null,
+        to: to ? to.toISOString() : null,
+        overview: {
+            quizzes: new Set(attempts.map((a) => a.quizId)).size,
+            attempts: attempts.length,
+            questions,
+            accuracy: percent(sum(attempts, (a) => a.credit), questions),
+            secondsPerQuestion: secondsPerQuestion(attempts),
+        },
+        improvement: improvement(attempts),
+        streaks: streaks(attempts, now),
+        trends: trends(attempts, period),
+        topics,
+        ...rankTopics(topics),
+        cohort: await cohortComparison(db, userId, [...new Set(attempts.map((a) => a.quizId))].map((id) => byId.get(id))),
+    };
+}
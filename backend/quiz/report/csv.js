@@ -0,0 +1,21 @@
+import { gradebookTable } from "./gradebook.js";
+
+// Spreadsheets run cells starting with these as formulas; player names
+// come from users, so such text gets a leading apostrophe.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER = /^[-+]?\d+(\.\d+)?$/;
+
+function cell(value) {
+    if (value == null) return "";
+    if (typeof value === "number") return String(value);
+    const text = String(value);
+    const s = FORMULA_START.test(text) && !NUMBER.test(text) ? `'${text}` : text;
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, "\"\"")}"` : s;
+}
+
+// The gradebook, with a byte order mark so Excel reads it as UTF-8.
+export function renderCsv(report) {
+    const { header, rows } = gradebookTable(report);
+    const lines = [header, ...rows].map((row) => row.map(cell).join(","));
+    return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
@@ -0,0 +1,25 @@
+// The gradebook as a header row plus one row per participant, shared by
+// the CSV and XLSX renderers. Cells keep their types (numbers stay numbers).
+export function gradebookTable(report) {
+    const header = [
+        "Position", "Name", "Email", "Status", "Score", "Out of", "Percentage", "Points",
+        "Time (s)", "Seconds late", "Attempt", "Submitted at",
+        ...report.questions.flatMap((q, i) => [`Q${i + 1} answer`, `Q${i + 1} credit`]),
+    ];
+    const rows = report.rows.map((r) => [
+        r.position,
+        r.name,
+        r.mail,
+        r.submitted ? "submitted" : "not submitted",
+        r.score,
+        r.submitted ? report.quiz.questions : null,
+        r.percentage,
+        r.points,
+        r.timeTaken,
+        r.secondsLate,
+        r.attempt,
+        r.submittedAt,
+        ...report.questions.flatMap((q, i) => (r.answers[i] ? [r.answers[i].response, r.answers[i].credit] : [null, null])),
+    ]);
+    return { header, rows };
+}
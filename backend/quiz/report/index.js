@@ -0,0 +1,176 @@
+import { countedResults } from "../attempts.js";
+import { answerIndex, gradeQuestion } from "../grading.js";
+import { questionType } from "../types.js";
+import { renderCsv } from "./csv.js";
+import { renderPdf } from "./pdf.js";
+import { renderXlsx } from "./xlsx.js";
+
+// Results reports for hosts: a gradebook with one row per participant and
+// per-question stats, rendered to a file in one of these formats.
+export const REPORT_FORMATS = {
+    csv: { render: renderCsv, contentType: "text/csv; charset=utf-8", extension: "csv" },
+    xlsx: {
+        render: renderXlsx,
+        contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+        extension: "xlsx",
+    },
+    pdf: { render: renderPdf, contentType: "application/pdf", extension: "pdf" },
+};
+
+export const REPORT_FORMAT_NAMES = Object.keys(REPORT_FORMATS);
+
+// What the player sent, as a teacher would write it down.
+export function responseText(question, response) {
+    if (response == null || response === "") return "";
+    if (typeof response !== "object") return String(response);
+    switch (questionType(question)) {
+        case "multi":
+            return [...(response.options || [])].sort().join(", ");
+        case "numeric":
+            return response.value == null ? "" : String(response.value);
+        case "short":
+            return response.text == null ? "" : String(response.text);
+        default:
+            return response.option == null ? "" : String(response.option);
+    }
+}
+
+// The answer key for a question.
+export function correctText(question, answer) {
+    if (!answer) return "";
+    switch (questionType(question)) {
+        case "multi":
+            return (answer.correct_options || []).join(", ");
+        case "numeric":
+            return answer.tolerance ? `${answer.value} ± ${answer.tolerance}` : String(answer.value);
+        case "short":
+            return (answer.accepted || []).join(" / ");
+        default:
+            return answer.correct_option || "";
+    }
+}
+
+function round(n, digits = 1) {
+    const f = 10 ** digits;
+    return Math.round(n * f) / f;
+}
+
+function average(list) {
+    return list.length ? list.reduce((a, b) => a + b, 0) / list.length : null;
+}
+
+function median(list) {
+    if (!list.length) return null;
+    const sorted = [...list].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Everyone who joined, ranked players first in leaderboard order, each with
+// the attempt that counts. Players who joined and never submitted come last
+// without a position.
+export async function quizReport(db, quiz) {
+    const [joined, standings, results] = await Promise.all([
+        db.participants.listUserIds(quiz.id),
+        db.standings.listRanked(quiz.id),
+        db.results.listByQuiz(quiz.id),
+    ]);
+    const userIds = [...new Set([...standings.map((s) => s.id), ...joined])];
+    const users = new Map((await db.users.listByIds(userIds)).map((u) => [u.id, u]));
+    const questions = quiz.questions || [];
+    const index = answerIndex(quiz.answers);
+
+    const rows = countedResults(standings, results).map(({ entry, result }) => {
+        const given = result?.given_answer || {};
+        return {
+            position: entry.position,
+            userId: entry.id,
+            name: users.get(entry.id)?.name ?? entry.name ?? null,
+            mail: users.get(entry.id)?.mail ?? result?.user_mail ?? null,
+            submitted: true,
+            score: Number(entry.score),
+            points: Number(entry.points),
+            percentage: questions.length ? round((Number(entry.score) / questions.length) * 100) : null,
+            timeTaken: entry.time_taken,
+            secondsLate: result?.seconds_late ?? 0,
+            attempt: entry.attempt || 1,
+            submittedAt: entry.submitted_at ? new Date(entry.submitted_at).toISOString() : null,
+            answers: questions.map((q) => {
+                const graded = gradeQuestion(q, index.get(Number(q.id)), given[q.id]);
+                return { id: q.id, response: responseText(q, given[q.id]), credit: graded.credit, answered: graded.answered };
+            }),
+        };
+    });
+    const ranked = new Set(rows.map((r) => r.userId));
+    for (const userId of joined) {
+        if (ranked.has(userId)) continue;
+        const user = users.get(userId);
+        rows.push({
+            position: null,
+            userId,
+            name: user?.name ?? null,
+            mail: user?.mail ?? null,
+            submitted: false,
+            score: null,
+            points: null,
+            percentage: null,
+            timeTaken: null,
+            secondsLate: null,
+            attempt: null,
+            submittedAt: null,
+            answers: [],
+        });
+    }
+
+    const submitted = rows.filter((r) => r.submitted);
+    const questionStats = questions.map((q, i) => {
+        const marks = submitted.map((r) => r.answers[i]);
+        const answered = marks.filter((m) => m.answered).length;
+        const correct = marks.filter((m) => m.credit === 1).length;
+        return {
+            id: q.id,
+            question: q.question,
+            type: questionType(q),
+            correctAnswer: correctText(q, index.get(Number(q.id))),
+            answered,
+            correct,
+            percentCorrect: submitted.length ? round((correct / submitted.length) * 100) : null,
+            averageCredit: submitted.length ? round(average(marks.map((m) => m.credit)), 3) : null,
+        };
+    });
+
+    const scores = submitted.map((r) => r.score);
+    const points = submitted.map((r) => r.points);
+    return {
+        quiz: {
+            id: quiz.id,
+            title: quiz.title,
+            status: quiz.status,
+            closed: quiz.closed,
+            questions: questions.length,
+        },
+        generatedAt: new Date().toISOString(),
+        summary: {
+            participants: rows.length,
+            submitted: submitted.length,
+            averageScore: scores.length ? round(average(scores), 2) : null,
+            averagePoints: points.length ? round(average(points), 2) : null,
+            highestPoints: points.length ? Math.max(...points) : null,
+            lowestPoints: points.length ? Math.min(...points) : null,
+            medianTime: median(submitted.map((r) => r.timeTaken)),
+        },
+        rows,
+        questions: questionStats,
+    };
+}
+
+function fileName(title, extension) {
+    const slug = String(title).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 60);
+    return `${slug || "quiz"}-results.${extension}`;
+}
+
+// { body, contentType, fileName } for the report in `format`.
+export async function renderReport(format, report) {
+    const { render, contentType, extension } = REPORT_FORMATS[format];
+    return { body: await render(report), contentType, fileName: fileName(report.quiz.title, extension) };
+}
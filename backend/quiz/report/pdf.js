@@ -0,0 +1,117 @@
+import PDFDocument from "pdfkit";
+
+// A printable summary: the leaderboard and how each question went. The
+// full per-answer gradebook is in the CSV and XLSX exports.
+
+const MARGIN = 50;
+const PAD = 3;
+
+function formatTime(seconds) {
+    if (seconds == null) return "";
+    const s = Math.round(seconds);
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+function formatDate(iso) {
+    return iso ? new Date(iso).toISOString().replace("T", " ").slice(0, 16) : "";
+}
+
+// Draws rows under a bold header, repeating the header on each new page.
+function table(doc, columns, rows) {
+    const width = columns.reduce((sum, c) => sum + c.width, 0);
+
+    function row(cells, bold) {
+        doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+        const texts = cells.map((c) => (c == null ? "" : String(c)));
+        const height = Math.max(...texts.map((t, i) => doc.heightOfString(t, { width: columns[i].width - 2 * PAD }))) + 2 * PAD;
+        if (doc.y + height > doc.page.height - MARGIN) {
+            doc.addPage();
+            if (!bold) row(columns.map((c) => c.label), true);
+            doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+        }
+        const top = doc.y;
+        let x = MARGIN;
+        texts.forEach((text, i) => {
+            doc.text(text, x + PAD, top + PAD, { width: columns[i].width - 2 * PAD, align: columns[i].align || "left" });
+            x += columns[i].width;
+        });
+        doc.moveTo(MARGIN, top + height).lineTo(MARGIN + width, top + height).lineWidth(0.5).strokeColor("#cccccc").stroke();
+        doc.x = MARGIN;
+        doc.y = top + height;
+    }
+
+    row(columns.map((c) => c.label), true);
+    for (const cells of rows) row(cells, false);
+    doc.moveDown();
+}
+
+function heading(doc, text) {
+    if (doc.y > doc.page.height - MARGIN - 60) doc.addPage();
+    doc.font("Helvetica-Bold").fontSize(13).fillColor("black").text(text, MARGIN, doc.y);
+    doc.moveDown(0.4);
+}
+
+function draw(doc, report) {
+    const { quiz, summary } = report;
+    doc.font("Helvetica-Bold").fontSize(18).text(quiz.title);
+    doc.font("Helvetica").fontSize(9).fillColor("#555555")
+        .text(`Results report · ${quiz.questions} questions · generated ${formatDate(report.generatedAt)} UTC`);
+    doc.fillColor("black").moveDown();
+
+    heading(doc, "Summary");
+    const lines = [
+        ["Participants", summary.participants],
+        ["Submitted", summary.submitted],
+        ["Average score", summary.averageScore == null ? "–" : `${summary.averageScore} / ${quiz.questions}`],
+        ["Average points", summary.averagePoints ?? "–"],
+        ["Highest / lowest points", summary.highestPoints == null ? "–" : `${summary.highestPoints} / ${summary.lowestPoints}`],
+        ["Median time", summary.medianTime == null ? "–" : formatTime(summary.medianTime)],
+    ];
+    doc.font("Helvetica").fontSize(10);
+    for (const [label, value] of lines) doc.text(`${label}: ${value}`);
+    doc.moveDown();
+
+    const submitted = report.rows.filter((r) => r.submitted);
+    heading(doc, "Leaderboard");
+    table(doc, [
+        { label: "#", width: 30, align: "right" },
+        { label: "Name", width: 150 },
+        { label: "Score", width: 55, align: "right" },
+        { label: "%", width: 45, align: "right" },
+        { label: "Points", width: 55, align: "right" },
+        { label: "Time", width: 50, align: "right" },
+        { label: "Submitted", width: 110 },
+    ], submitted.map((r) => [
+        r.position, r.name || r.mail, r.score, r.percentage, r.points, formatTime(r.timeTaken), formatDate(r.submittedAt),
+    ]));
+
+    const missing = report.rows.filter((r) => !r.submitted);
+    if (missing.length) {
+        doc.font("Helvetica").fontSize(10)
+            .text(`Joined without submitting: ${missing.map((r) => r.name || r.mail).join(", ")}`);
+        doc.moveDown();
+    }
+
+    heading(doc, "Questions");
+    table(doc, [
+        { label: "#", width: 30, align: "right" },
+        { label: "Question", width: 235 },
+        { label: "Answer", width: 90 },
+        { label: "Answered", width: 65, align: "right" },
+        { label: "% correct", width: 75, align: "right" },
+    ], report.questions.map((q, i) => [
+        i + 1, q.question, q.correctAnswer, q.answered, q.percentCorrect ?? "–",
+    ]));
+}
+
+export function renderPdf(report) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: "A4", margin: MARGIN, info: { Title: `${report.quiz.title} – results` } });
+        const chunks = [];
+        doc.on("data", (chunk) => chunks.push(chunk));
+        doc.on("end", () => resolve(Buffer.concat(chunks)));
+        doc.on("error", reject);
+        draw(doc, report);
+        doc.end();
+    });
+}
@@ -0,0 +1,35 @@
+import ExcelJS from "exceljs";
+import { gradebookTable } from "./gradebook.js";
+
+function addSheet(workbook, name, header, rows) {
+    const sheet = workbook.addWorksheet(name, { views: [{ state: "frozen", ySplit: 1 }] });
+    sheet.addRow(header).font = { bold: true };
+    for (const row of rows) sheet.addRow(row.map((v) => (v == null ? null : v)));
+    sheet.columns.forEach((column, i) => {
+        const longest = Math.max(...[header, ...rows].map((row) => String(row[i] ?? "").length));
+        column.width = Math.min(Math.max(longest + 2, 8), 60);
+    });
+    return sheet;
+}
+
+// Two sheets: the gradebook and per-question stats.
+export async function renderXlsx(report) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date(report.generatedAt);
+    workbook.title = report.quiz.title;
+
+    const { header, rows } = gradebookTable(report);
+    const submittedAt = header.indexOf("Submitted at");
+    addSheet(workbook, "Gradebook", header, rows.map((row) => row.map((v, i) => (i === submittedAt && v ? new Date(v) : v))))
+        .getColumn(submittedAt + 1).numFmt = "yyyy-mm-dd hh:mm:ss";
+
+    addSheet(
+        workbook,
+        "Questions",
+        ["#", "Question", "Type", "Correct answer", "Answered", "Correct", "% correct", "Average credit"],
+        report.questions.map((q, i) => [
+            i + 1, q.question, q.type, q.correctAnswer, q.answered, q.correct, q.percentCorrect, q.averageCredit,
+        ])
+    );
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
@@ -0,0 +1,125 @@
+import { countedResults } from "./attempts.js";
+import { answerIndex, gradeQuestion } from "./grading.js";
+import { correctText, responseText } from "./report/index.js";
+
+// Review decks: when a quiz closes, every question a player didn't get
+// full credit for (in the attempt that counts) becomes a card in their
+// deck, due straight away. Cards are then scheduled with SM-2: a correct
+// recall pushes the next review out by a growing interval, a miss brings
+// the card back the next day.
+
+export const RECALL_QUALITY = { hard: 3, good: 4, easy: 5 };
+export const MATURE_DAYS = 21;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+
+// SM-2 quality (0-5) for a graded review. Full credit is a pass, rated by
+// how hard the player found it; partial credit is a near miss.
+export function recallQuality(graded, recall = "good") {
+    if (graded.credit >= 1) return RECALL_QUALITY[recall];
+    if (graded.credit > 0) return 2;
+    return graded.answered ? 1 : 0;
+}
+
+// The card's schedule after a review of `quality`. Misses restart the
+// repetitions without touching the ease, as in the original SM-2.
+export function nextSchedule(card, quality, now = new Date()) {
+    let { ease, interval_days: interval, repetitions, lapses } = card;
+    if (quality >= 3) {
+        interval = repetitions === 0 ? 1 : repetitions === 1 ? 6 : Math.round(interval * ease);
+        repetitions += 1;
+        ease = Math.max(MIN_EASE, ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+    } else {
+        interval = 1;
+        repetitions = 0;
+        lapses += 1;
+    }
+    return {
+        ease: Math.round(ease * 100) / 100,
+        interval_days: interval,
+        repetitions,
+        lapses,
+        due_at: new Date(now.getTime() + interval * DAY_MS).toISOString(),
+        last_reviewed_at: now.toISOString(),
+    };
+}
+
+// Start of the next UTC day: anything due before then is due today.
+export function endOfDay(now = new Date()) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)).toISOString();
+}
+
+export function isDue(card, now = new Date()) {
+    return new Date(card.due_at) < new Date(endOfDay(now));
+}
+
+// Closing: a card for every question each player missed.
+export async function buildReviewCards(db, quiz, now = new Date()) {
+    const [standings, results] = await Promise.all([
+        db.standings.listRanked(quiz.id),
+        db.results.listByQuiz(quiz.id),
+    ]);
+    const index = answerIndex(quiz.answers);
+    let added = 0;
+    for (const { entry, result } of countedResults(standings, results)) {
+        if (!result) continue;
+        const given = result.given_answer || {};
+        for (const question of quiz.questions || []) {
+            const answer = index.get(Number(question.id));
+            if (!answer || gradeQuestion(question, answer, given[question.id]).credit >= 1) continue;
+            await db.reviewCards.add({
+                userId: entry.id,
+                quizId: quiz.id,
+                questionId: question.id,
+                quizTitle: quiz.title,
+                question,
+                answer,
+                dueAt: now.toISOString(),
+            });
+            added += 1;
+        }
+    }
+    return added;
+}
+
+// A card as the player sees it; the answer key stays hidden until they
+// answer.
+export function cardView(card, now = new Date()) {
+    const { id, ...question } = card.question;
+    return {
+        id: card.id,
+        quizId: card.quiz_id,
+        quizTitle: card.quiz_title ?? null,
+        question,
+        due: isDue(card, now),
+        dueAt: new Date(card.due_at).toISOString(),
+        intervalDays: card.interval_days,
+        ease: card.ease,
+        repetitions: card.repetitions,
+        lapses: card.lapses,
+        reviews: card.reviews,
+        lastReviewedAt: card.last_reviewed_at ? new Date(card.last_reviewed_at).toISOString() : null,
+    };
+}
+
+// How the deck stands: cards due today, new (never passed), mature.
+export function deckStats(cards, now = new Date()) {
+    return {
+        total: cards.length,
+        due: cards.filter((c) => isDue(c, now)).length,
+        learning: cards.filter((c) => c.repetitions === 0).length,
+        mature: cards.filter((c) => c.interval_days >= MATURE_DAYS).length,
+    };
+}
+
+// Grades a response to a card: { graded, quality, response, correctAnswer }.
+export function gradeReview(card, response, recall) {
+    const graded = gradeQuestion(card.question, card.answer, response);
+    return {
+        graded,
+        quality: recallQuality(graded, recall),
+        response: responseText(card.question, response),
+        correctAnswer: correctText(card.question, card.answer),
+    };
+}
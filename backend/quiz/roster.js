@@ -0,0 +1,10 @@
+// Quizzes used to carry `joined_ppl` and `completed_ppl` arrays. Responses
+// keep that shape, filled in from the participant and standing rows.
+export async function withRoster(db, quiz) {
+    if (!quiz) return quiz;
+    const [joined, completed] = await Promise.all([
+        db.participants.listUserIds(quiz.id),
+        db.standings.listRanked(quiz.id),
+    ]);
+    return { ...quiz, joined_ppl: joined, completed_ppl: completed };
+}
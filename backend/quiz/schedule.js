@@ -0,0 +1,96 @@
+// When a quiz is open for players. All fields are optional:
+//
+//   opensAt            ISO time the quiz opens; publishing before then
+//                      leaves it scheduled (default: open on publish)
+//   closesAt           ISO time the quiz closes
+//   durationMinutes    instead of closesAt: minutes after opening. Once
+//                      published, closesAt holds the close time it works out to
+//
+// Without closesAt or durationMinutes the quiz stays open until the host
+// closes it.
+
+export const MAX_DURATION_MINUTES = 60 * 24 * 365;
+
+const EMPTY = { opensAt: null, closesAt: null, durationMinutes: null };
+
+function toIso(v) {
+    if (v === null) return null;
+    const t = typeof v === "string" ? Date.parse(v) : NaN;
+    return Number.isNaN(t) ? undefined : new Date(t).toISOString();
+}
+
+// Drivers hand timestamps back as Date objects or strings.
+function storedIso(v) {
+    return v == null ? null : new Date(v).toISOString();
+}
+
+export function scheduleOf(quiz) {
+    return {
+        opensAt: storedIso(quiz.opens_at),
+        closesAt: storedIso(quiz.closes_at),
+        durationMinutes: quiz.duration_minutes ?? null,
+    };
+}
+
+export function scheduleColumns(schedule) {
+    return {
+        opens_at: schedule.opensAt,
+        closes_at: schedule.closesAt,
+        duration_minutes: schedule.durationMinutes,
+    };
+}
+
+// Returns { schedule, errors }; fields missing from `input` keep their value
+// from `current`.
+export function normalizeSchedule(input, current = EMPTY) {
+    if (input == null) return { schedule: { ...current }, errors: [] };
+    if (typeof input !== "object" || Array.isArray(input)) {
+        return { schedule: null, errors: [{ path: "schedule", message: "schedule must be an object" }] };
+    }
+
+    const errors = [];
+    const schedule = { ...current };
+    for (const [key, value] of Object.entries(input)) {
+        if (!(key in EMPTY)) {
+            errors.push({ path: `schedule.${key}`, message: "unknown schedule field" });
+        } else if (key === "durationMinutes") {
+            if (value === null || (Number.isInteger(value) && value >= 1 && value <= MAX_DURATION_MINUTES)) {
+                schedule.durationMinutes = value;
+            } else {
+                errors.push({ path: "schedule.durationMinutes", message: `durationMinutes must be 1-${MAX_DURATION_MINUTES} or null` });
+            }
+        } else {
+            const iso = toIso(value);
+            if (iso === undefined) errors.push({ path: `schedule.${key}`, message: `${key} must be an ISO date or null` });
+            else schedule[key] = iso;
+        }
+    }
+
+    // A new close time replaces a duration and the other way round.
+    if ("closesAt" in input && input.closesAt !== null && !("durationMinutes" in input)) schedule.durationMinutes = null;
+    if ("durationMinutes" in input && input.durationMinutes !== null && !("closesAt" in input)) schedule.closesAt = null;
+
+    if (input.closesAt != null && input.durationMinutes != null) {
+        errors.push({ path: "schedule", message: "set closesAt or durationMinutes, not both" });
+    }
+    if (!schedule.durationMinutes && schedule.opensAt && schedule.closesAt && schedule.closesAt <= schedule.opensAt) {
+        errors.push({ path: "schedule.closesAt", message: "closesAt must be after opensAt" });
+    }
+    return { schedule: errors.length ? null : schedule, errors };
+}
+
+// Open and close times if the quiz is published at `now`. `pending` is true
+// when the quiz should wait for its open time.
+export function windowFor(schedule, now = Date.now()) {
+    const opens = schedule.opensAt ? Math.max(Date.parse(schedule.opensAt), now) : now;
+    let closes = null;
+    if (schedule.durationMinutes) closes = (schedule.opensAt ? Date.parse(schedule.opensAt) : now) + schedule.durationMinutes * 60000;
+    else if (schedule.closesAt) closes = Date.parse(schedule.closesAt);
+
+    return {
+        opensAt: new Date(opens).toISOString(),
+        closesAt: closes == null ? null : new Date(closes).toISOString(),
+        pending: opens > now,
+        expired: closes != null && closes <= now,
+    };
+}
@@ -0,0 +1,63 @@
+import schedule from "node-schedule";
+import { QUIZ_STATUS } from "../db/repositories/quizzes.js";
+import { finalizeQuiz } from "./lifecycle.js";
+
+// Runs each quiz's open and close events at their exact times. Jobs only
+// live in this process; start() rebuilds them from the database, so a
+// restart picks up where it left off and runs anything that came due while
+// the server was down.
+export function createQuizScheduler({ db, now = () => Date.now() }) {
+    const jobs = new Map();
+
+    function cancel(key) {
+        jobs.get(key)?.cancel();
+        jobs.delete(key);
+    }
+
+    function at(key, iso, run) {
+        cancel(key);
+        const task = () => {
+            jobs.delete(key);
+            run().catch((e) => console.error(`Scheduled ${key} failed:`, e));
+        };
+        const when = new Date(iso);
+        if (when.getTime() <= now()) return task();
+        jobs.set(key, schedule.scheduleJob(when, task));
+    }
+
+    async function open(quizId) {
+        const quiz = await db.quizzes.open(quizId);
+        if (quiz) console.log(`Quiz ${quiz.id} opened`);
+    }
+
+    async function close(quizId) {
+        const closed = await finalizeQuiz(db, quizId, { scheduler });
+        if (closed) console.log(`Quiz ${quizId} closed with ${closed.standings.length} ranked players`);
+    }
+
+    const scheduler = {
+        // (Re)plans the events for a quiz from its stored row.
+        track(quiz) {
+            this.forget(quiz.id);
+            if (quiz.closed) return;
+            if (quiz.status === QUIZ_STATUS.SCHEDULED && quiz.opens_at) at(`${quiz.id}:open`, quiz.opens_at, () => open(quiz.id));
+            if (quiz.status !== QUIZ_STATUS.DRAFT && quiz.closes_at) at(`${quiz.id}:close`, quiz.closes_at, () => close(quiz.id));
+        },
+
+        forget(quizId) {
+            cancel(`${quizId}:open`);
+            cancel(`${quizId}:close`);
+        },
+
+        async start() {
+            const quizzes = await db.quizzes.listPendingEvents();
+            quizzes.forEach((quiz) => this.track(quiz));
+            return quizzes.length;
+        },
+
+        stop() {
+            for (const key of [...jobs.keys()]) cancel(key);
+        },
+    };
+    return scheduler;
+}
@@ -0,0 +1,208 @@
+import { coerceAnswer, normalizeType, QUESTION_TYPES, questionType, TRUE_FALSE_OPTIONS, TYPE_NAMES } from "./types.js";
+
+// The shape every stored quiz must have:
+//
+// {
+//   "title": "…",
+//   "questions": [{ "id": 1, "type": "single", "question": "…", "options": { "A": "…", "B": "…", "C": "…", "D": "…" } }],
+//   "answers":   [{ "id": 1, "correct_option": "A" }]
+// }
+//
+// Question ids are unique positive integers and every question has exactly
+// one answer. What questions and answers hold beyond that depends on the
+// question type; see quiz/types.js.
+
+export { OPTION_KEYS } from "./types.js";
+
+export class QuizValidationError extends Error {
+    constructor(errors, { attempts } = {}) {
+        super(`Quiz failed validation with ${errors.length} error(s)`);
+        this.name = "QuizValidationError";
+        this.errors = errors;
+        this.attempts = attempts;
+    }
+}
+
+function isText(v) {
+    return typeof v === "string" && v.trim().length > 0;
+}
+
+// Returns a list of { path, code, message }; empty means valid.
+// `count` checks the number of questions, `mix` ({ single: 3, numeric: 1 })
+// the number of each type.
+export function validateQuiz(quiz, { count, mix } = {}) {
+    const errors = [];
+    const fail = (path, code, message) => errors.push({ path, code, message });
+
+    if (!quiz || typeof quiz !== "object" || Array.isArray(quiz)) {
+        fail("", "not_object", "quiz must be a JSON object");
+        return errors;
+    }
+    if (!isText(quiz.title)) fail("title", "missing_title", "title must be a non-empty string");
+
+    const questions = Array.isArray(quiz.questions) ? quiz.questions : null;
+    if (!questions) {
+        fail("questions", "not_array", "questions must be an array");
+    } else if (count != null && questions.length !== count) {
+        fail("questions", "wrong_count", `expected ${count} questions, got ${questions.length}`);
+    } else if (!questions.length) {
+        fail("questions", "empty", "quiz has no questions");
+    }
+
+    const byId = new Map();
+    (questions || []).forEach((q, i) => {
+        const path = `questions[${i}]`;
+        if (!q || typeof q !== "object") {
+            fail(path, "not_object", "question must be an object");
+            return;
+        }
+        if (!Number.isInteger(q.id) || q.id < 1) {
+            fail(`${path}.id`, "bad_id", "id must be a positive integer");
+        } else if (byId.has(q.id)) {
+            fail(`${path}.id`, "duplicate_id", `id ${q.id} is used by more than one question`);
+        }
+        if (!isText(q.question)) fail(`${path}.question`, "missing_text", "question text is empty");
+
+        const type = QUESTION_TYPES[questionType(q)];
+        if (!type) {
+            fail(`${path}.type`, "unknown_type", `type "${q.type}" is not one of ${TYPE_NAMES.join(", ")}`);
+        } else {
+            type.validateQuestion(q, path, fail);
+        }
+        if (Number.isInteger(q.id) && !byId.has(q.id)) byId.set(q.id, q);
+    });
+
+    if (mix && questions) {
+        for (const [typeName, wanted] of Object.entries(mix)) {
+            const got = questions.filter((q) => questionType(q) === typeName).length;
+            if (got !== wanted) fail("questions", "wrong_type_mix", `expected ${wanted} ${typeName} questions, got ${got}`);
+        }
+    }
+
+    const answers = Array.isArray(quiz.answers) ? quiz.answers : null;
+    if (!answers) {
+        fail("answers", "not_array", "answers must be an array");
+        return errors;
+    }
+
+    const answered = new Set();
+    answers.forEach((a, i) => {
+        const path = `answers[${i}]`;
+        if (!a || typeof a !== "object") {
+            fail(path, "not_object", "answer must be an object");
+            return;
+        }
+        if (!byId.has(a.id)) {
+            fail(`${path}.id`, "unknown_question", `answer refers to question ${a.id}, which does not exist`);
+            return;
+        }
+        if (answered.has(a.id)) {
+            fail(`${path}.id`, "duplicate_answer", `question ${a.id} has more than one answer`);
+        }
+        answered.add(a.id);
+        const question = byId.get(a.id);
+        QUESTION_TYPES[questionType(question)]?.validateAnswer(question, a, path, fail);
+    });
+
+    for (const id of byId.keys()) {
+        if (!answered.has(id)) fail("answers", "missing_answer", `question ${id} has no answer`);
+    }
+
+    return errors;
+}
+
+// Fixes the mistakes models make most often without another round trip:
+// answers sent as an {"1": "A"} map, lower-case or padded letters, type
+// aliases, answers in the wrong field for their type, missing or clashing
+// ids, and extra questions. Returns a new object; call validateQuiz()
+// afterwards for whatever is left.
+export function repairQuiz(quiz, { count } = {}) {
+    if (!quiz || typeof quiz !== "object") return quiz;
+    const fixed = { ...quiz };
+
+    if (typeof fixed.title === "string") fixed.title = fixed.title.trim();
+
+    if (fixed.answers && !Array.isArray(fixed.answers) && typeof fixed.answers === "object") {
+        fixed.answers = Object.entries(fixed.answers).map(([id, correct_option]) => ({
+            id: Number(id),
+            correct_option,
+        }));
+    }
+
+    if (!Array.isArray(fixed.questions)) return fixed;
+
+    fixed.questions = fixed.questions.map((q) => {
+        if (!q || typeof q !== "object") return q;
+        const copy = { ...q, id: Number(q.id) };
+        const type = normalizeType(q.type);
+        if (type === "single") delete copy.type;
+        else copy.type = type;
+        if (typeof copy.question === "string") copy.question = copy.question.trim();
+        if (copy.options && typeof copy.options === "object" && !Array.isArray(copy.options)) {
+            copy.options = Object.fromEntries(
+                Object.entries(copy.options).map(([k, v]) => [k.trim().toUpperCase(), typeof v === "string" ? v.trim() : v])
+            );
+        }
+        if (type === "true_false" && !copy.options) copy.options = { ...TRUE_FALSE_OPTIONS };
+        if ((type === "numeric" || type === "short") && copy.options != null
+            && (!Object.keys(copy.options).length || Array.isArray(copy.options))) {
+            delete copy.options;
+        }
+        return copy;
+    });
+
+    // Ids that are missing or repeated: renumber 1..n when the answers line up
+    // one-to-one with the questions, otherwise give just the offending
+    // questions fresh ids so the validator can name what is unanswered.
+    if (Array.isArray(fixed.answers)) {
+        fixed.answers = fixed.answers.map((a) => (a && typeof a === "object" ? { ...a, id: Number(a.id) } : a));
+    }
+    const ids = fixed.questions.map((q) => q?.id);
+    const idsBroken = ids.some((id) => !Number.isInteger(id) || id < 1) || new Set(ids).size !== ids.length;
+    if (idsBroken && Array.isArray(fixed.answers) && fixed.answers.length === fixed.questions.length) {
+        fixed.questions = fixed.questions.map((q, i) => ({ ...q, id: i + 1 }));
+        fixed.answers = fixed.answers.map((a, i) => ({ ...a, id: i + 1 }));
+    } else if (idsBroken) {
+        const used = new Set();
+        let next = Math.max(0, ...ids.filter(Number.isInteger)) + 1;
+        fixed.questions = fixed.questions.map((q) => {
+            if (!q || typeof q !== "object") return q;
+            if (Number.isInteger(q.id) && q.id > 0 && !used.has(q.id)) {
+                used.add(q.id);
+                return q;
+            }
+            return { ...q, id: next++ };
+        });
+    }
+
+    if (Array.isArray(fixed.answers)) {
+        const typeById = new Map(fixed.questions.map((q) => [q?.id, questionType(q)]));
+        fixed.answers = fixed.answers.map((a) => (a && typeof a === "object"
+            ? coerceAnswer(typeById.get(a.id) || "single", a)
+            : a));
+    }
+
+    if (count != null && fixed.questions.length > count) {
+        fixed.questions = fixed.questions.slice(0, count);
+        const kept = new Set(fixed.questions.map((q) => q?.id));
+        if (Array.isArray(fixed.answers)) fixed.answers = fixed.answers.filter((a) => kept.has(a?.id));
+    }
+
+    // The same answer repeated is harmless; conflicting duplicates are left
+    // for the validator to report.
+    if (Array.isArray(fixed.answers)) {
+        const seen = new Set();
+        fixed.answers = fixed.answers.filter((a) => {
+            const key = JSON.stringify(a);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    return fixed;
+}
+
+export function formatErrors(errors) {
+    return errors.map((e) => `- ${e.path || "(root)"}: ${e.message}`).join("\n");
+}
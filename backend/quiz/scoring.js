@@ -0,0 +1,121 @@
+// Scoring policies a host picks per quiz. Stored on the quiz as `scoring`:
+//
+//   { "policy": "flat" }                                   points × credit per question
+//   { "policy": "speed_bonus", "maxBonus": 30, "window": 300 }
+//                                                          flat, plus up to maxBonus for finishing
+//                                                          early within `window` seconds, scaled by
+//                                                          the share of the quiz answered correctly
+//   { "policy": "negative", "penalty": 2.5 }               flat, minus `penalty` per wrong answer
+//                                                          (blank answers cost nothing)
+//   { "policy": "weighted", "weights": { "3": 2 } }        flat with per-question multipliers
+//
+// Every policy accepts `points` (per question, default 10) and `weights`.
+// Totals never drop below zero unless `allowNegative` is true.
+
+export const SCORING_POLICIES = ["flat", "speed_bonus", "negative", "weighted"];
+
+export const DEFAULT_SCORING = { policy: "flat", points: 10 };
+
+const DEFAULTS = {
+    flat: {},
+    speed_bonus: { maxBonus: 30, window: 300 },
+    negative: { penalty: 2.5 },
+    weighted: {},
+};
+
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+function isNonNegative(v) {
+    return typeof v === "number" && Number.isFinite(v) && v >= 0;
+}
+
+// Checks a scoring object from a request. Returns { scoring, errors } with
+// defaults filled in.
+export function normalizeScoring(input) {
+    if (input == null) return { scoring: { ...DEFAULT_SCORING }, errors: [] };
+
+    const errors = [];
+    const fail = (path, message) => errors.push({ path: `scoring.${path}`, message });
+
+    if (typeof input !== "object" || Array.isArray(input)) {
+        return { scoring: null, errors: [{ path: "scoring", message: "scoring must be an object" }] };
+    }
+    const policy = input.policy ?? "flat";
+    if (!SCORING_POLICIES.includes(policy)) {
+        fail("policy", `policy must be one of ${SCORING_POLICIES.join(", ")}`);
+        return { scoring: null, errors };
+    }
+
+    const scoring = { ...DEFAULT_SCORING, ...DEFAULTS[policy], ...input, policy };
+
+    if (!isNonNegative(scoring.points) || scoring.points === 0) fail("points", "points must be a positive number");
+    if (policy === "speed_bonus") {
+        if (!isNonNegative(scoring.maxBonus)) fail("maxBonus", "maxBonus must be a number of at least 0");
+        if (!isNonNegative(scoring.window) || scoring.window === 0) fail("window", "window must be a positive number of seconds");
+    }
+    if (policy === "negative" && !isNonNegative(scoring.penalty)) {
+        fail("penalty", "penalty must be a number of at least 0");
+    }
+    if (scoring.weights != null) {
+        const ok = typeof scoring.weights === "object" && !Array.isArray(scoring.weights)
+            && Object.entries(scoring.weights).every(([id, w]) => Number.isInteger(Number(id)) && isNonNegative(w));
+        if (!ok) fail("weights", "weights must map question ids to numbers of at least 0");
+    } else if (policy === "weighted") {
+        fail("weights", "the weighted policy needs weights");
+    }
+    if (scoring.allowNegative != null && typeof scoring.allowNegative !== "boolean") {
+        fail("allowNegative", "allowNegative must be true or false");
+    }
+
+    return { scoring: errors.length ? null : scoring, errors };
+}
+
+// Turns graded answers (gradeSubmission().results) into points under the
+// quiz's policy. `timeTaken` is in seconds; `latePenalty` is the share of
+// the total lost for submitting late (see quiz/timing.js). Returns the
+// breakdown stored with the result and shown to the player.
+export function scoreSubmission(scoringInput, { results, timeTaken = 0, latePenalty = 0 }) {
+    const scoring = { ...DEFAULT_SCORING, ...DEFAULTS[scoringInput?.policy || "flat"], ...(scoringInput || {}) };
+    const weights = scoring.weights || {};
+
+    let base = 0;
+    let penalty = 0;
+    let possible = 0;
+    const perQuestion = results.map((r) => {
+        const weight = weights[r.id] ?? 1;
+        const worth = scoring.points * weight;
+        const earned = worth * r.credit;
+        let lost = 0;
+        if (scoring.policy === "negative" && r.answered && r.credit === 0) {
+            lost = scoring.penalty * weight;
+        }
+        base += earned;
+        penalty += lost;
+        possible += worth;
+        return { ...r, weight, points: round2(earned - lost) };
+    });
+
+    let bonus = 0;
+    if (scoring.policy === "speed_bonus" && timeTaken > 0 && possible > 0) {
+        const speed = Math.max(0, scoring.window - timeTaken) / scoring.window;
+        bonus = Math.floor(scoring.maxBonus * speed * (base / possible));
+    }
+
+    let total = base - penalty + bonus;
+    const lateDeduction = latePenalty > 0 && total > 0 ? round2(total * latePenalty) : 0;
+    total -= lateDeduction;
+    if (!scoring.allowNegative) total = Math.max(0, total);
+
+    return {
+        policy: scoring.policy,
+        base: round2(base),
+        bonus,
+        penalty: round2(penalty),
+        lateDeduction,
+        total: round2(total),
+        possible: round2(possible),
+        perQuestion,
+    };
+}
@@ -0,0 +1,56 @@
+// Per-quiz settings, stored as the `settings` JSON column. Hosts send a
+// partial object; missing keys keep their current (or default) value.
+//
+//   timeLimit          seconds for the whole quiz, null for none
+//   questionTimeLimit  seconds per question, null for none
+//   lateSubmissions    "reject" or "penalize" once time is up
+//   latePenalty        share of points lost per started minute late (penalize)
+//   graceSeconds       slack for slow networks before a submission is late
+//   maxAttempts        attempts per player; null for unlimited practice
+//   attemptScoring     which attempt counts on the leaderboard: "first",
+//                      "best" or "latest"
+
+export const DEFAULT_SETTINGS = {
+    timeLimit: null,
+    questionTimeLimit: null,
+    lateSubmissions: "reject",
+    latePenalty: 0.1,
+    graceSeconds: 5,
+    maxAttempts: 1,
+    attemptScoring: "first",
+};
+
+const RULES = {
+    timeLimit: (v) => v === null || (Number.isInteger(v) && v > 0) || "must be a whole number of seconds or null",
+    questionTimeLimit: (v) => v === null || (Number.isInteger(v) && v >= 5 && v <= 3600) || "must be 5-3600 seconds or null",
+    lateSubmissions: (v) => ["reject", "penalize"].includes(v) || "must be \"reject\" or \"penalize\"",
+    latePenalty: (v) => (typeof v === "number" && v >= 0 && v <= 1) || "must be a number from 0 to 1",
+    graceSeconds: (v) => (Number.isInteger(v) && v >= 0 && v <= 300) || "must be 0-300 seconds",
+    maxAttempts: (v) => v === null || (Number.isInteger(v) && v >= 1 && v <= 100) || "must be 1-100 or null",
+    attemptScoring: (v) => ["first", "best", "latest"].includes(v) || "must be \"first\", \"best\" or \"latest\"",
+};
+
+export function resolveSettings(stored) {
+    return { ...DEFAULT_SETTINGS, ...(stored || {}) };
+}
+
+// Returns { settings, errors }; `settings` is the full merged object.
+export function normalizeSettings(input, current) {
+    const base = resolveSettings(current);
+    if (input == null) return { settings: base, errors: [] };
+    if (typeof input !== "object" || Array.isArray(input)) {
+        return { settings: null, errors: [{ path: "settings", message: "settings must be an object" }] };
+    }
+
+    const errors = [];
+    for (const [key, value] of Object.entries(input)) {
+        const rule = RULES[key];
+        if (!rule) {
+            errors.push({ path: `settings.${key}`, message: "unknown setting" });
+            continue;
+        }
+        const verdict = rule(value);
+        if (verdict !== true) errors.push({ path: `settings.${key}`, message: `${key} ${verdict}` });
+    }
+    return { settings: errors.length ? null : { ...base, ...input }, errors };
+}
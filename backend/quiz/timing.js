@@ -0,0 +1,52 @@
+import { resolveSettings } from "./settings.js";
+
+// Seconds a self-paced player gets: the overall limit, or the per-question
+// limit times the number of questions, whichever is shorter. Null when the
+// quiz has no limit.
+export function allowedSeconds(settings, questionCount) {
+    const { timeLimit, questionTimeLimit } = resolveSettings(settings);
+    const limits = [];
+    if (timeLimit) limits.push(timeLimit);
+    if (questionTimeLimit) limits.push(questionTimeLimit * questionCount);
+    return limits.length ? Math.min(...limits) : null;
+}
+
+export function deadlineFor(settings, questionCount, startedAt) {
+    const allowed = allowedSeconds(settings, questionCount);
+    return allowed == null ? null : new Date(new Date(startedAt).getTime() + allowed * 1000).toISOString();
+}
+
+// Works out time taken from the recorded start and decides what happens to
+// a late submission. Returns { timeTaken, secondsLate, rejected, penalty },
+// where `penalty` is the share of points to take away.
+export function checkTiming(settings, { startedAt, submittedAt = new Date(), questionCount }) {
+    const resolved = resolveSettings(settings);
+    const timeTaken = Math.max(0, Math.floor((new Date(submittedAt) - new Date(startedAt)) / 1000));
+    const allowed = allowedSeconds(resolved, questionCount);
+
+    if (allowed == null || timeTaken <= allowed + resolved.graceSeconds) {
+        return { timeTaken, secondsLate: 0, rejected: false, penalty: 0 };
+    }
+
+    const secondsLate = timeTaken - allowed;
+    if (resolved.lateSubmissions === "reject") {
+        return { timeTaken, secondsLate, rejected: true, penalty: 0 };
+    }
+    const penalty = Math.min(1, Math.ceil(secondsLate / 60) * resolved.latePenalty);
+    return { timeTaken, secondsLate, rejected: false, penalty };
+}
+
+// Per-question seconds reported by a self-paced client ({ questionId:
+// seconds }). Only used for statistics, so anything odd is dropped rather
+// than refused: unknown ids, negative values, more than the whole attempt.
+export function normalizeQuestionTimes(input, questions, timeTaken) {
+    if (!input || typeof input !== "object" || Array.isArray(input)) return null;
+    const ids = new Set((questions || []).map((q) => String(q.id)));
+    const times = {};
+    for (const [id, value] of Object.entries(input)) {
+        const seconds = Number(value);
+        if (!ids.has(id) || typeof value === "boolean" || !Number.isFinite(seconds) || seconds < 0) continue;
+        times[id] = Math.round(Math.min(seconds, timeTaken ?? seconds) * 10) / 10;
+    }
+    return Object.keys(times).length ? times : null;
+}
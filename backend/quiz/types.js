@@ -0,0 +1,169 @@
+// Question types. A question's `type` defaults to "single", which is the
+// only kind older quizzes contain.
+//
+//   type         question fields        answer fields
+//   single       options A-D            correct_option
+//   multi        options A-D            correct_options (one or more)
+//   true_false   options A/B            correct_option
+//   numeric      -                      value, tolerance (absolute, default 0)
+//   short        -                      accepted (list of answers), fuzzy (default true)
+
+export const OPTION_KEYS = ["A", "B", "C", "D"];
+export const TRUE_FALSE_OPTIONS = { A: "True", B: "False" };
+export const DEFAULT_TYPE = "single";
+
+// Every field an answer entry may carry besides `id`.
+export const ANSWER_FIELDS = ["correct_option", "correct_options", "value", "tolerance", "accepted", "fuzzy"];
+
+const ALIASES = {
+    mcq: "single",
+    single_choice: "single",
+    multiple_choice: "single",
+    multi_select: "multi",
+    multiselect: "multi",
+    multiple_select: "multi",
+    tf: "true_false",
+    truefalse: "true_false",
+    "true-false": "true_false",
+    boolean: "true_false",
+    number: "numeric",
+    short_answer: "short",
+    text: "short",
+};
+
+export function questionType(question) {
+    return question?.type || DEFAULT_TYPE;
+}
+
+export function normalizeType(type) {
+    if (type == null || type === "") return DEFAULT_TYPE;
+    const t = String(type).trim().toLowerCase();
+    return ALIASES[t] || t;
+}
+
+function isText(v) {
+    return typeof v === "string" && v.trim().length > 0;
+}
+
+function checkOptions(q, path, fail, keys) {
+    const options = q.options && typeof q.options === "object" && !Array.isArray(q.options) ? q.options : null;
+    if (!options) {
+        fail(`${path}.options`, "not_object", `options must be an object keyed ${keys.join(", ")}`);
+        return;
+    }
+    for (const key of keys) {
+        if (!isText(options[key])) fail(`${path}.options.${key}`, "missing_option", `option ${key} is missing or empty`);
+    }
+    for (const key of Object.keys(options)) {
+        if (!keys.includes(key)) fail(`${path}.options.${key}`, "unknown_option", `option ${key} is not one of ${keys.join(", ")}`);
+    }
+}
+
+function checkNoOptions(q, path, fail) {
+    if (q.options != null) fail(`${path}.options`, "unexpected_options", `${questionType(q)} questions have no options`);
+}
+
+function checkSingleAnswer(q, a, path, fail) {
+    if (!isText(q.options?.[a.correct_option])) {
+        fail(`${path}.correct_option`, "bad_option", `correct_option "${a.correct_option}" is not an option of question ${a.id}`);
+    }
+}
+
+export const QUESTION_TYPES = {
+    single: {
+        validateQuestion: (q, path, fail) => checkOptions(q, path, fail, OPTION_KEYS),
+        validateAnswer: checkSingleAnswer,
+    },
+
+    multi: {
+        validateQuestion: (q, path, fail) => checkOptions(q, path, fail, OPTION_KEYS),
+        validateAnswer(q, a, path, fail) {
+            const picks = a.correct_options;
+            if (!Array.isArray(picks) || !picks.length) {
+                fail(`${path}.correct_options`, "bad_options", `question ${a.id} needs a non-empty correct_options list`);
+                return;
+            }
+            if (new Set(picks).size !== picks.length) {
+                fail(`${path}.correct_options`, "duplicate_option", `question ${a.id} lists an option twice`);
+            }
+            for (const key of picks) {
+                if (!isText(q.options?.[key])) {
+                    fail(`${path}.correct_options`, "bad_option", `"${key}" is not an option of question ${a.id}`);
+                }
+            }
+        },
+    },
+
+    true_false: {
+        validateQuestion: (q, path, fail) => checkOptions(q, path, fail, ["A", "B"]),
+        validateAnswer: checkSingleAnswer,
+    },
+
+    numeric: {
+        validateQuestion: checkNoOptions,
+        validateAnswer(q, a, path, fail) {
+            if (typeof a.value !== "number" || !Number.isFinite(a.value)) {
+                fail(`${path}.value`, "bad_value", `question ${a.id} needs a numeric value`);
+            }
+            if (a.tolerance != null && !(typeof a.tolerance === "number" && a.tolerance >= 0)) {
+                fail(`${path}.tolerance`, "bad_tolerance", "tolerance must be a number of at least 0");
+            }
+        },
+    },
+
+    short: {
+        validateQuestion: checkNoOptions,
+        validateAnswer(q, a, path, fail) {
+            if (!Array.isArray(a.accepted) || !a.accepted.length || !a.accepted.every(isText)) {
+                fail(`${path}.accepted`, "bad_accepted", `question ${a.id} needs a list of accepted answers`);
+            }
+        },
+    },
+};
+
+export const TYPE_NAMES = Object.keys(QUESTION_TYPES);
+
+// Pulls the answer fields out of a question object that has them inline
+// (the editor and import formats), dropping the ones the type doesn't use.
+export function splitAnswer(question) {
+    const q = {};
+    const answer = { id: question.id };
+    for (const [k, v] of Object.entries(question)) {
+        if (ANSWER_FIELDS.includes(k)) {
+            if (v !== undefined) answer[k] = v;
+        } else {
+            q[k] = v;
+        }
+    }
+    return { question: q, answer };
+}
+
+// Coerces what models and people commonly send for a type: "A, C" for a
+// multi answer, "3.5" for a numeric one, a bare string of accepted answers.
+export function coerceAnswer(type, answer) {
+    const a = { ...answer };
+    const letter = (v) => String(v ?? "").trim().toUpperCase().replace(/^([A-D])\W.*$/, "$1");
+
+    if (type === "single" || type === "true_false") {
+        if (a.correct_option === true || /^true$/i.test(a.correct_option)) a.correct_option = "A";
+        else if (a.correct_option === false || /^false$/i.test(a.correct_option)) a.correct_option = "B";
+        else a.correct_option = letter(a.correct_option);
+    } else if (type === "multi") {
+        let picks = a.correct_options ?? a.correct_option;
+        if (typeof picks === "string") picks = picks.split(/[\s,;]+/).filter(Boolean);
+        if (Array.isArray(picks)) a.correct_options = [...new Set(picks.map(letter))].sort();
+        delete a.correct_option;
+    } else if (type === "numeric") {
+        const value = a.value ?? a.correct_option;
+        if (typeof value === "string" && value.trim() !== "" && Number.isFinite(Number(value))) a.value = Number(value);
+        else if (value !== undefined) a.value = value;
+        if (typeof a.tolerance === "string" && a.tolerance.trim() !== "") a.tolerance = Number(a.tolerance);
+        delete a.correct_option;
+    } else if (type === "short") {
+        const accepted = a.accepted ?? a.correct_option;
+        if (typeof accepted === "string") a.accepted = accepted.split("|").map((s) => s.trim()).filter(Boolean);
+        else if (Array.isArray(accepted)) a.accepted = accepted.map((s) => String(s).trim()).filter(Boolean);
+        delete a.correct_option;
+    }
+    return a;
+}
@@ -0,0 +1,102 @@
+import express from "express";
+import { QUIZ_STATUS } from "../db/repositories/quizzes.js";
+import { inviteView } from "../quiz/access.js";
+import { withFreshJoinCode } from "../quiz/lifecycle.js";
+
+const MAX_INVITE_MINUTES = 60 * 24 * 365;
+
+// Join codes and invite links for the host's published quizzes.
+export function createQuizAccessRouter({ db, authenticateToken, inviteSecret, inviteBaseUrl = "" }) {
+    const router = express.Router();
+    router.use(authenticateToken);
+
+    async function loadPublished(req, res, next) {
+        try {
+            const quiz = await db.quizzes.findOwned(Number(req.params.id), req.user.mail);
+            if (!quiz) {
+                return res.status(404).json({ ok: false, error: "Quiz not found or unauthorized" });
+            }
+            if (quiz.status === QUIZ_STATUS.DRAFT) {
+                return res.status(409).json({ ok: false, error: "Publish the quiz first" });
+            }
+            res.locals.quiz = quiz;
+            next();
+        } catch (e) {
+            next(e);
+        }
+    }
+
+    // Issues a new code; the old one stops working straight away.
+    router.post("/:id/code", loadPublished, async (req, res) => {
+        try {
+            const quiz = await withFreshJoinCode(db, (code) => db.quizzes.setJoinCode(res.locals.quiz.id, req.user.mail, code));
+            return res.json({ ok: true, quizCode: quiz.join_code });
+        } catch (e) {
+            console.error("Error rotating join code:", e);
+            return res.status(500).json({ ok: false, error: "Failed to rotate join code" });
+        }
+    });
+
+    // Without a code the quiz is only reachable through invite links.
+    router.delete("/:id/code", loadPublished, async (req, res) => {
+        try {
+            await db.quizzes.setJoinCode(res.locals.quiz.id, req.user.mail, null);
+            return res.json({ ok: true, quizCode: null });
+        } catch (e) {
+            console.error("Error revoking join code:", e);
+            return res.status(500).json({ ok: false, error: "Failed to revoke join code" });
+        }
+    });
+
+    router.get("/:id/invites", loadPublished, async (req, res) => {
+        try {
+            const invites = await db.invites.listByQuiz(res.locals.quiz.id);
+            return res.json({ ok: true, invites: invites.map((i) => inviteView(inviteSecret, i, inviteBaseUrl)) });
+        } catch (e) {
+            console.error("Error listing invites:", e);
+            return res.status(500).json({ ok: false, error: "Failed to list invites" });
+        }
+    });
+
+    router.post("/:id/invites", loadPublished, async (req, res) => {
+        const { expiresInMinutes = null, maxUses = null } = req.body || {};
+        const errors = [];
+        if (expiresInMinutes !== null && !(Number.isInteger(expiresInMinutes) && expiresInMinutes >= 1 && expiresInMinutes <= MAX_INVITE_MINUTES)) {
+            errors.push({ path: "expiresInMinutes", message: `expiresInMinutes must be 1-${MAX_INVITE_MINUTES} or null` });
+        }
+        if (maxUses !== null && !(Number.isInteger(maxUses) && maxUses >= 1)) {
+            errors.push({ path: "maxUses", message: "maxUses must be a positive whole number or null" });
+        }
+        if (errors.length) {
+            return res.status(400).json({ ok: false, error: "Invalid invite", details: errors });
+        }
+
+        try {
+            const invite = await db.invites.create({
+                quizId: res.locals.quiz.id,
+                createdBy: req.user.mail,
+                expiresAt: expiresInMinutes ? new Date(Date.now() + expiresInMinutes * 60000).toISOString() : null,
+                maxUses,
+            });
+            return res.status(201).json({ ok: true, invite: inviteView(inviteSecret, invite, inviteBaseUrl) });
+        } catch (e) {
+            console.error("Error creating invite:", e);
+            return res.status(500).json({ ok: false, error: "Failed to create invite" });
+        }
+    });
+
+    router.delete("/:id/invites/:inviteId", loadPublished, async (req, res) => {
+        try {
+            const invite = await db.invites.revoke(Number(req.params.inviteId), res.locals.quiz.id);
+            if (!invite) {
+                return res.status(404).json({ ok: false, error: "Invite not found" });
+            }
+            return res.json({ ok: true, invite: inviteView(inviteSecret, invite, inviteBaseUrl) });
+        } catch (e) {
+            console.error("Error revoking invite:", e);
+            return res.status(500).json({ ok: false, error: "Failed to revoke invite" });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,219 @@
+import express from "express";
+import bcrypt from "bcrypt";
+import {
+    LINK_INTENT_PURPOSE,
+    RESET_PASSWORD_PURPOSE,
+    VERIFY_EMAIL_PURPOSE,
+    checkNewPassword,
+    hashPassword,
+    sendPasswordResetMail,
+    sendVerificationMail,
+} from "../auth/account.js";
+import { signInMethods } from "../auth/identities.js";
+import { consumeOneTimeToken, issueOneTimeToken, randomToken } from "../auth/tokens.js";
+import { passwordChangedMail } from "../mail/templates.js";
+
+const LINK_INTENT_SECONDS = 5 * 60;
+
+// Email verification, passwords and linked sign-in methods. `providers`
+// lists the outside sign-in providers that can be linked; `mailLimit` is
+// middleware guarding the routes that send mail.
+export function createAccountRouter({
+    db,
+    mailer,
+    appUrl = "",
+    authenticateToken,
+    providers = [],
+    mailLimit = (req, res, next) => next(),
+}) {
+    const router = express.Router();
+    const mail = { db, mailer, appUrl };
+
+    router.post("/verify-email", async (req, res) => {
+        try {
+            const grant = await consumeOneTimeToken(db, VERIFY_EMAIL_PURPOSE, req.body.token);
+            const user = grant && (await db.users.findById(grant.user_id));
+            // The address may have changed since the mail went out.
+            if (!user || user.mail !== grant.data?.mail) {
+                return res.status(400).json({ ok: false, error: "Invalid or expired link" });
+            }
+            await db.users.markVerified(user.id);
+            return res.json({ ok: true });
+        } catch (e) {
+            console.error("Email verification error:", e);
+            return res.status(500).json({ ok: false, error: "Verification failed" });
+        }
+    });
+
+    router.post("/resend-verification", authenticateToken, mailLimit, async (req, res) => {
+        try {
+            const user = await db.users.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ ok: false, error: "User not found" });
+            }
+            if (user.email_verified_at) {
+                return res.status(409).json({ ok: false, error: "Email is already verified" });
+            }
+            await sendVerificationMail(mail, user);
+            return res.json({ ok: true });
+        } catch (e) {
+            console.error("Resend verification error:", e);
+            return res.status(500).json({ ok: false, error: "Failed to send verification mail" });
+        }
+    });
+
+    // Always answers the same way, so it can't be used to find out which
+    // addresses have accounts.
+    router.post("/forgot-password", mailLimit, async (req, res) => {
+        const { mail: address } = req.body;
+        if (typeof address !== "string" || !address) {
+            return res.status(400).json({ ok: false, error: "mail required" });
+        }
+        try {
+            const user = await db.users.findByMail(address);
+            if (user) await sendPasswordResetMail(mail, user);
+        } catch (e) {
+            console.error("Forgot password error:", e);
+        }
+        return res.json({ ok: true, message: "If the address has an account, a reset link is on its way" });
+    });
+
+    router.post("/reset-password", async (req, res) => {
+        const { token, pass } = req.body;
+        const problem = checkNewPassword(pass);
+        if (problem) {
+            return res.status(400).json({ ok: false, error: problem });
+        }
+        try {
+            const grant = await consumeOneTimeToken(db, RESET_PASSWORD_PURPOSE, token);
+            if (!grant) {
+                return res.status(400).json({ ok: false, error: "Invalid or expired link" });
+            }
+            await db.users.setPassword(grant.user_id, await hashPassword(pass));
+            // Opening the mail proves the address, and whoever knew the old
+            // password shouldn't stay signed in.
+            await db.users.markVerified(grant.user_id);
+            await db.authSessions.revokeAllForUser(grant.user_id);
+            return res.json({ ok: true });
+        } catch (e) {
+            console.error("Reset password error:", e);
+            return res.status(500).json({ ok: false, error: "Password reset failed" });
+        }
+    });
+
+    router.post("/change-password", authenticateToken, async (req, res) => {
+        const { currentPass, newPass } = req.body;
+        const problem = checkNewPassword(newPass);
+        if (problem) {
+            return res.status(400).json({ ok: false, error: problem });
+        }
+        try {
+            const user = await db.users.findById(req.user.id);
+            if (user && !user.pass) {
+                return res.status(409).json({ ok: false, error: "Account has no password yet; use /auth/set-password" });
+            }
+            if (!user || !(await bcrypt.compare(String(currentPass || ""), user.pass))) {
+                return res.status(401).json({ ok: false, error: "Current password is wrong" });
+            }
+            await db.users.setPassword(user.id, await hashPassword(newPass));
+            await db.authSessions.revokeAllForUser(user.id, { except: req.user.sid });
+            await mailer.send({ to: user.mail, ...passwordChangedMail({ name: user.name }) }).catch((e) => {
+                console.error("Failed to send password change notice:", e);
+            });
+            return res.json({ ok: true });
+        } catch (e) {
+            console.error("Change password error:", e);
+            return res.status(500).json({ ok: false, error: "Password change failed" });
+        }
+    });
+
+    // For accounts that only sign in through a provider.
+    router.post("/set-password", authenticateToken, async (req, res) => {
+        const problem = checkNewPassword(req.body.newPass);
+        if (problem) {
+            return res.status(400).json({ ok: false, error: problem });
+        }
+        try {
+            const user = await db.users.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ ok: false, error: "User not found" });
+            }
+            if (user.pass) {
+                return res.status(409).json({ ok: false, error: "Account already has a password; use /auth/change-password" });
+            }
+            await db.users.setPassword(user.id, await hashPassword(req.body.newPass));
+            await mailer.send({ to: user.mail, ...passwordChangedMail({ name: user.name }) }).catch((e) => {
+                console.error("Failed to send password notice:", e);
+            });
+            return res.json({ ok: true });
+        } catch (e) {
+            console.error("Set password error:", e);
+            return res.status(500).json({ ok: false, error: "Failed to set password" });
+        }
+    });
+
+    router.get("/identities", authenticateToken, async (req, res) => {
+        try {
+            const user = await db.users.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ ok: false, error: "User not found" });
+            }
+            return res.json({ ok: true, identities: await signInMethods(db, user), providers });
+        } catch (e) {
+            console.error("Error listing identities:", e);
+            return res.status(500).json({ ok: false, error: "Failed to list sign-in methods" });
+        }
+    });
+
+    // Starts linking: the browser goes to the returned URL, signs in with
+    // the provider and comes back linked to this account. The code only
+    // works in the browser that asked for it (the nonce in its session
+    // cookie), so nobody can hand their own link to someone else.
+    router.post("/link/:provider", authenticateToken, async (req, res) => {
+        const { provider } = req.params;
+        if (!providers.includes(provider)) {
+            return res.status(404).json({ ok: false, error: "Unknown provider" });
+        }
+        try {
+            const nonce = randomToken(16);
+            const code = await issueOneTimeToken(db, {
+                userId: req.user.id,
+                purpose: LINK_INTENT_PURPOSE,
+                ttlSeconds: LINK_INTENT_SECONDS,
+                data: { provider, nonce },
+            });
+            req.session.linkNonce = nonce;
+            return res.json({ ok: true, url: `/auth/${provider}?link=${encodeURIComponent(code)}` });
+        } catch (e) {
+            console.error("Error starting link:", e);
+            return res.status(500).json({ ok: false, error: "Failed to start linking" });
+        }
+    });
+
+    // "local" removes the password. The last way to sign in can't go.
+    router.delete("/identities/:provider", authenticateToken, async (req, res) => {
+        const { provider } = req.params;
+        try {
+            const user = await db.users.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ ok: false, error: "User not found" });
+            }
+            const methods = await signInMethods(db, user);
+            if (!methods.some((m) => m.provider === provider)) {
+                return res.status(404).json({ ok: false, error: "Sign-in method not linked" });
+            }
+            if (methods.length === 1) {
+                return res.status(409).json({ ok: false, error: "Can't remove the only way to sign in" });
+            }
+
+            if (provider === "local") await db.users.setPassword(user.id, null);
+            else await db.identities.unlink(user.id, provider);
+            return res.json({ ok: true, identities: await signInMethods(db, await db.users.findById(user.id)) });
+        } catch (e) {
+            console.error("Error unlinking identity:", e);
+            return res.status(500).json({ ok: false, error: "Failed to remove sign-in method" });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,338 @@
+import express from "express";
+import { checkQuizClassroom } from "../classroom/access.js";
+import {
+    BANK_SOURCES,
+    bankView,
+    checkDifficulty,
+    duplicateGroups,
+    findNearDuplicate,
+    matchesFilters,
+    normalizeTags,
+    questionFingerprint,
+    sampleEntries,
+} from "../quiz/bank.js";
+import { checkQuestionInput, fromEditorQuestions, mergeQuestionEdit, toEditorView } from "../quiz/draft.js";
+import { normalizeSchedule } from "../quiz/schedule.js";
+import { normalizeScoring } from "../quiz/scoring.js";
+import { normalizeSettings } from "../quiz/settings.js";
+import { TYPE_NAMES } from "../quiz/types.js";
+
+const MAX_QUIZ_QUESTIONS = 50;
+const MAX_PAGE = 100;
+
+const SORTS = {
+    recent: (a, b) => new Date(b.crt_tm) - new Date(a.crt_tm) || b.id - a.id,
+    most_used: (a, b) => b.times_used - a.times_used || b.id - a.id,
+    least_used: (a, b) => a.times_used - b.times_used || b.id - a.id,
+};
+
+const BANK_FIELDS = ["tags", "difficulty", "force"];
+
+function withoutBankFields(input) {
+    const question = { ...input };
+    for (const field of BANK_FIELDS) delete question[field];
+    return question;
+}
+
+// Checks search/sampling filters; { filters, errors }.
+function readFilters(input = {}) {
+    const { tags, errors } = normalizeTags(input.tags);
+    errors.push(...checkDifficulty(input.difficulty || null));
+    if (input.type && !TYPE_NAMES.includes(input.type)) {
+        errors.push({ path: "type", message: `type must be one of: ${TYPE_NAMES.join(", ")}` });
+    }
+    const sources = Object.values(BANK_SOURCES);
+    if (input.source && !sources.includes(input.source)) {
+        errors.push({ path: "source", message: `source must be one of: ${sources.join(", ")}` });
+    }
+    return {
+        filters: {
+            q: typeof input.q === "string" ? input.q.trim() : "",
+            tags,
+            difficulty: input.difficulty || null,
+            type: input.type || null,
+            source: input.source || null,
+        },
+        errors,
+    };
+}
+
+// Each host's own question bank: everything they generated or published
+// lands here, and new quizzes can be put together from it.
+export function createQuestionBankRouter({ db, authenticateToken }) {
+    const router = express.Router();
+    router.use(authenticateToken);
+
+    router.get("/", async (req, res) => {
+        const { filters, errors } = readFilters(req.query);
+        const sort = req.query.sort || "recent";
+        if (!SORTS[sort]) {
+            errors.push({ path: "sort", message: `sort must be one of: ${Object.keys(SORTS).join(", ")}` });
+        }
+        const limit = req.query.limit != null ? Number(req.query.limit) : 50;
+        const offset = req.query.offset != null ? Number(req.query.offset) : 0;
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE) {
+            errors.push({ path: "limit", message: `limit must be between 1 and ${MAX_PAGE}` });
+        }
+        if (!Number.isInteger(offset) || offset < 0) {
+            errors.push({ path: "offset", message: "offset must be a whole number" });
+        }
+        if (errors.length) {
+            return res.status(400).json({ ok: false, error: "Invalid filters", details: errors });
+        }
+
+        try {
+            const matches = (await db.bank.listByOwner(req.user.id))
+                .filter((entry) => matchesFilters(entry, filters))
+                .sort(SORTS[sort]);
+            return res.json({
+                ok: true,
+                total: matches.length,
+                questions: matches.slice(offset, offset + limit).map(bankView),
+            });
+        } catch (e) {
+            console.error("Error searching question bank:", e);
+            return res.status(500).json({ ok: false, error: "Failed to load question bank" });
+        }
+    });
+
+    router.get("/tags", async (req, res) => {
+        try {
+            const counts = new Map();
+            for (const entry of await db.bank.listByOwner(req.user.id)) {
+                for (const tag of entry.tags || []) counts.set(tag, (counts.get(tag) || 0) + 1);
+            }
+            const tags = [...counts].map(([tag, count]) => ({ tag, count }))
+                .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+            return res.json({ ok: true, tags });
+        } catch (e) {
+            console.error("Error listing bank tags:", e);
+            return res.status(500).json({ ok: false, error: "Failed to load tags" });
+        }
+    });
+
+    // Groups of near-identical questions, for the host to merge by deleting
+    // the extras.
+    router.get("/duplicates", async (req, res) => {
+        try {
+            const groups = duplicateGroups(await db.bank.listByOwner(req.user.id));
+            return res.json({ ok: true, groups: groups.map((group) => group.map(bankView)) });
+        } catch (e) {
+            console.error("Error finding duplicates:", e);
+            return res.status(500).json({ ok: false, error: "Failed to find duplicates" });
+        }
+    });
+
+    // Saves a hand-written question. Near-duplicates of an existing entry
+    // are turned down with 409 unless `force` is set.
+    router.post("/", async (req, res) => {
+        const body = req.body || {};
+        const { question: checked, errors } = checkQuestionInput(withoutBankFields(body), 1);
+        const { tags, errors: tagErrors } = normalizeTags(body.tags);
+        errors.push(...tagErrors, ...checkDifficulty(body.difficulty ?? null));
+        if (errors.length) {
+            return res.status(400).json({ ok: false, error: "Invalid question", details: errors });
+        }
+        const { id, ...question } = checked;
+
+        try {
+            const entries = await db.bank.listByOwner(req.user.id);
+            const fingerprint = questionFingerprint(question);
+            const same = entries.find((e) => e.fingerprint === fingerprint);
+            if (same) {
+                return res.status(409).json({ ok: false, error: "Question is already in your bank", duplicateOf: bankView(same) });
+            }
+            const near = findNearDuplicate(entries, question);
+            if (near && body.force !== true) {
+                return res.status(409).json({
+                    ok: false,
+                    error: "A very similar question is already in your bank",
+                    duplicateOf: bankView(near.entry),
+                    similarity: Math.round(near.score * 100) / 100,
+                });
+            }
+            const entry = await db.bank.create({
+                ownerId: req.user.id,
+                question,
+                fingerprint,
+                tags,
+                difficulty: body.difficulty ?? null,
+                source: BANK_SOURCES.MANUAL,
+            });
+            return res.status(201).json({ ok: true, question: bankView(entry) });
+        } catch (e) {
+            console.error("Error saving bank question:", e);
+            return res.status(500).json({ ok: false, error: "Failed to save question" });
+        }
+    });
+
+    // Builds a draft quiz from bank questions: listed by `questionIds`, or
+    // drawn at random with `sample: { count, tags, difficulty, type }`.
+    router.post("/compose", async (req, res) => {
+        const { title, questionIds, sample, classroomId = null } = req.body || {};
+
+        if (typeof title !== "string" || !title.trim()) {
+            return res.status(400).json({ ok: false, error: "title required" });
+        }
+        if ((questionIds == null) === (sample == null)) {
+            return res.status(400).json({ ok: false, error: "Pass either questionIds or sample" });
+        }
+        if (questionIds != null && (!Array.isArray(questionIds) || !questionIds.length
+            || questionIds.length > MAX_QUIZ_QUESTIONS || new Set(questionIds).size !== questionIds.length)) {
+            return res.status(400).json({
+                ok: false,
+                error: `questionIds must list 1-${MAX_QUIZ_QUESTIONS} different questions`,
+            });
+        }
+        let sampling;
+        if (sample != null) {
+            const { filters, errors } = readFilters(typeof sample === "object" ? sample : {});
+            if (!Number.isInteger(sample?.count) || sample.count < 1 || sample.count > MAX_QUIZ_QUESTIONS) {
+                errors.push({ path: "sample.count", message: `count must be between 1 and ${MAX_QUIZ_QUESTIONS}` });
+            }
+            if (errors.length) {
+                return res.status(400).json({ ok: false, error: "Invalid sample", details: errors });
+            }
+            sampling = { count: sample.count, filters };
+        }
+
+        const { scoring, errors: scoringErrors } = normalizeScoring(req.body.scoring);
+        if (scoringErrors.length) {
+            return res.status(400).json({ ok: false, error: "Invalid scoring", details: scoringErrors });
+        }
+        const { settings, errors: settingsErrors } = normalizeSettings(req.body.settings);
+        if (settingsErrors.length) {
+            return res.status(400).json({ ok: false, error: "Invalid settings", details: settingsErrors });
+        }
+        const { schedule, errors: scheduleErrors } = normalizeSchedule(req.body.schedule);
+        if (scheduleErrors.length) {
+            return res.status(400).json({ ok: false, error: "Invalid schedule", details: scheduleErrors });
+        }
+
+        try {
+            const classroomError = await checkQuizClassroom(db, classroomId, req.user);
+            if (classroomError) {
+                return res.status(400).json({ ok: false, error: classroomError });
+            }
+
+            const entries = await db.bank.listByOwner(req.user.id);
+            let picked;
+            if (sampling) {
+                const pool = entries.filter((entry) => matchesFilters(entry, sampling.filters));
+                if (pool.length < sampling.count) {
+                    return res.status(400).json({
+                        ok: false,
+                        error: `Only ${pool.length} question(s) match the sample filters`,
+                    });
+                }
+                picked = sampleEntries(pool, sampling.count);
+            } else {
+                const byId = new Map(entries.map((e) => [e.id, e]));
+                const missing = questionIds.filter((id) => !byId.has(Number(id)));
+                if (missing.length) {
+                    return res.status(404).json({ ok: false, error: "Some questions are not in your bank", missing });
+                }
+                picked = questionIds.map((id) => byId.get(Number(id)));
+            }
+
+            const editorQuestions = picked.map((entry, i) => ({ ...entry.question, id: i + 1 }));
+            const quiz = await db.quizzes.create({
+                title: title.trim(),
+                createdMail: req.user.mail,
+                ...fromEditorQuestions(editorQuestions),
+                scoring,
+                settings,
+                schedule,
+                classroomId: classroomId == null ? null : Number(classroomId),
+                bankRefs: Object.fromEntries(picked.map((entry, i) => [i + 1, entry.id])),
+            });
+            return res.status(201).json({ ok: true, quiz: toEditorView(quiz) });
+        } catch (e) {
+            console.error("Error composing quiz:", e);
+            return res.status(500).json({ ok: false, error: "Failed to compose quiz" });
+        }
+    });
+
+    router.get("/:id", async (req, res) => {
+        try {
+            const entry = await db.bank.findOwned(Number(req.params.id), req.user.id);
+            if (!entry) {
+                return res.status(404).json({ ok: false, error: "Question not found" });
+            }
+            return res.json({ ok: true, question: bankView(entry) });
+        } catch (e) {
+            console.error("Error loading bank question:", e);
+            return res.status(500).json({ ok: false, error: "Failed to load question" });
+        }
+    });
+
+    // Edits the question (same fields as quiz questions), its tags or
+    // difficulty. Quizzes already built from it keep their own copy.
+    router.patch("/:id", async (req, res) => {
+        const body = req.body || {};
+        try {
+            const entry = await db.bank.findOwned(Number(req.params.id), req.user.id);
+            if (!entry) {
+                return res.status(404).json({ ok: false, error: "Question not found" });
+            }
+
+            const errors = [];
+            const patch = {};
+            const edit = withoutBankFields(body);
+            if (Object.keys(edit).length) {
+                const { question: checked, errors: questionErrors } = checkQuestionInput(
+                    mergeQuestionEdit({ ...entry.question, id: 1 }, edit), 1
+                );
+                errors.push(...questionErrors);
+                const { id, ...question } = checked;
+                patch.question = question;
+                patch.fingerprint = questionFingerprint(question);
+            }
+            if (body.tags !== undefined) {
+                const { tags, errors: tagErrors } = normalizeTags(body.tags);
+                errors.push(...tagErrors);
+                patch.tags = tags;
+            }
+            if (body.difficulty !== undefined) {
+                errors.push(...checkDifficulty(body.difficulty));
+                patch.difficulty = body.difficulty;
+            }
+            if (errors.length) {
+                return res.status(400).json({ ok: false, error: "Invalid question", details: errors });
+            }
+            if (!Object.keys(patch).length) {
+                return res.status(400).json({ ok: false, error: "Nothing to update" });
+            }
+
+            if (patch.fingerprint && patch.fingerprint !== entry.fingerprint) {
+                const same = (await db.bank.listByOwner(req.user.id)).find((e) => e.fingerprint === patch.fingerprint);
+                if (same) {
+                    return res.status(409).json({ ok: false, error: "Question is already in your bank", duplicateOf: bankView(same) });
+                }
+            }
+            const updated = await db.bank.update(entry.id, req.user.id, patch);
+            if (!updated) {
+                return res.status(404).json({ ok: false, error: "Question not found" });
+            }
+            return res.json({ ok: true, question: bankView(updated) });
+        } catch (e) {
+            console.error("Error editing bank question:", e);
+            return res.status(500).json({ ok: false, error: "Failed to update question" });
+        }
+    });
+
+    router.delete("/:id", async (req, res) => {
+        try {
+            const removed = await db.bank.remove(Number(req.params.id), req.user.id);
+            if (!removed) {
+                return res.status(404).json({ ok: false, error: "Question not found" });
+            }
+            return res.json({ ok: true });
+        } catch (e) {
+            console.error("Error deleting bank question:", e);
+            return res.status(500).json({ ok: false, error: "Failed to delete question" });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,412 @@
+import express from "express";
+import { hashToken, randomToken } from "../auth/tokens.js";
+import {
+    CLASSROOM_ROLES,
+    ROLE_NAMES,
+    freshClassroomCode,
+    normalizeClassroomInput,
+    roleIn,
+} from "../classroom/access.js";
+import { classroomResults } from "../classroom/results.js";
+import { QUIZ_STATUS } from "../db/repositories/quizzes.js";
+import { classroomInvitationMail } from "../mail/templates.js";
+import { normalizeJoinCode } from "../quiz/access.js";
+import { learnerProgress, normalizeProgressQuery } from "../quiz/progress.js";
+
+const INVITATION_DAYS = 7;
+
+function classroomView(classroom, role) {
+    return {
+        id: classroom.id,
+        name: classroom.name,
+        section: classroom.section ?? null,
+        role,
+        // Students join with the code; only teachers hand it out
+        joinCode: role === CLASSROOM_ROLES.TEACHER ? classroom.join_code : undefined,
+    };
+}
+
+function invitationView(invitation) {
+    return {
+        id: invitation.id,
+        mail: invitation.mail,
+        role: invitation.role,
+        expiresAt: new Date(invitation.expires_at).toISOString(),
+    };
+}
+
+function sameMail(a, b) {
+    return String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+}
+
+// Classrooms: teachers invite students (by mail or with the classroom's
+// join code), manage the roster and see results across the classroom's
+// quizzes. Roles are per classroom; whoever creates one is its teacher.
+export function createClassroomRouter({ db, authenticateToken, mailer, appUrl = "" }) {
+    const router = express.Router();
+    router.use(authenticateToken);
+
+    // Loads the classroom into res.locals for members with one of `roles`.
+    function member(...roles) {
+        return async (req, res, next) => {
+            try {
+                const classroom = await db.classrooms.findById(Number(req.params.id));
+                const role = classroom && (await roleIn(db, classroom.id, req.user.id));
+                if (!role) {
+                    return res.status(404).json({ ok: false, error: "Classroom not found" });
+                }
+                if (roles.length && !roles.includes(role)) {
+                    return res.status(403).json({ ok: false, error: "Only teachers can do that" });
+                }
+                res.locals.classroom = classroom;
+                res.locals.role = role;
+                next();
+            } catch (e) {
+                next(e);
+            }
+        };
+    }
+    const anyMember = member();
+    const teacher = member(CLASSROOM_ROLES.TEACHER);
+
+    // A classroom keeps at least one teacher.
+    async function isLastTeacher(classroomId, userId) {
+        const teachers = await db.classroomMembers.listByClassroom(classroomId, CLASSROOM_ROLES.TEACHER);
+        return teachers.length === 1 && teachers[0].user_id === userId;
+    }
+
+    router.get("/", async (req, res) => {
+        try {
+            const memberships = await db.classroomMembers.listByUser(req.user.id);
+            const roles = new Map(memberships.map((m) => [m.classroom_id, m.role]));
+            const classrooms = await db.classrooms.listByIds([...roles.keys()]);
+            return res.json({ ok: true, classrooms: classrooms.map((c) => classroomView(c, roles.get(c.id))) });
+        } catch (e) {
+            console.error("Error listing classrooms:", e);
+            return res.status(500).json({ ok: false, error: "Failed to list classrooms" });
+        }
+    });
+
+    router.post("/", async (req, res) => {
+        const { classroom: input, errors } = normalizeClassroomInput(req.body);
+        if (errors.length) {
+            return res.status(400).json({ ok: false, error: "Invalid classroom", details: errors });
+        }
+        try {
+            const classroom = await db.classrooms.create({
+                ...input,
+                createdBy: req.user.id,
+                joinCode: await freshClassroomCode(db),
+            });
+            await db.classroomMembers.add(classroom.id, req.user.id, CLASSROOM_ROLES.TEACHER);
+            return res.status(201).json({ ok: true, classroom: classroomView(classroom, CLASSROOM_ROLES.TEACHER) });
+        } catch (e) {
+            console.error("Error creating classroom:", e);
+            return res.status(500).json({ ok: false, error: "Failed to create classroom" });
+        }
+    });
+
+    // Students join with the classroom's code.
+    router.post("/join", async (req, res) => {
+        const code = normalizeJoinCode(req.body.code);
+        if (!code) {
+            return res.status(400).json({ ok: false, error: "code required" });
+        }
+        try {
+            const classroom = await db.classrooms.findByJoinCode(code);
+            if (!classroom) {
+                return res.status(404).json({ ok: false, error: "Classroom not found" });
+            }
+            const joined = await db.classroomMembers.add(classroom.id, req.user.id, CLASSROOM_ROLES.STUDENT);
+            return res.json({ ok: true, classroom: classroomView(classroom, joined.role) });
+        } catch (e) {
+            console.error("Error joining classroom:", e);
+            return res.status(500).json({ ok: false, error: "Failed to join classroom" });
+        }
+    });
+
+    // Accepts a mailed invitation. It only works for the invited address.
+    router.post("/invitations/accept", async (req, res) => {
+        const { token } = req.body;
+        if (typeof token !== "string" || !token) {
+            return res.status(400).json({ ok: false, error: "token required" });
+        }
+        try {
+            const found = await db.classroomInvitations.findByHash(hashToken(token));
+            if (!found || !sameMail(found.mail, req.user.mail)) {
+                return res.status(404).json({ ok: false, error: "Invitation not found" });
+            }
+            const invitation = await db.classroomInvitations.accept(found.id);
+            const classroom = invitation && (await db.classrooms.findById(invitation.classroom_id));
+            if (!classroom) {
+                return res.status(410).json({ ok: false, error: "Invitation has expired or was already used" });
+            }
+
+            let joined = await db.classroomMembers.add(classroom.id, req.user.id, invitation.role);
+            if (joined.role !== invitation.role && invitation.role === CLASSROOM_ROLES.TEACHER) {
+                joined = await db.classroomMembers.setRole(classroom.id, req.user.id, CLASSROOM_ROLES.TEACHER);
+            }
+            return res.json({ ok: true, classroom: classroomView(classroom, joined.role) });
+        } catch (e) {
+            console.error("Error accepting invitation:", e);
+            return res.status(500).json({ ok: false, error: "Failed to accept invitation" });
+        }
+    });
+
+    router.get("/:id", anyMember, async (req, res) => {
+        try {
+            const { classroom, role } = res.locals;
+            const teachers = await db.classroomMembers.listByClassroom(classroom.id, CLASSROOM_ROLES.TEACHER);
+            const users = await db.users.listByIds(teachers.map((t) => t.user_id));
+            return res.json({
+                ok: true,
+                classroom: {
+                    ...classroomView(classroom, role),
+                    teachers: users.map((u) => ({ id: u.id, name: u.name })),
+                },
+            });
+        } catch (e) {
+            console.error("Error fetching classroom:", e);
+            return res.status(500).json({ ok: false, error: "Failed to fetch classroom" });
+        }
+    });
+
+    router.patch("/:id", teacher, async (req, res) => {
+        const { classroom: patch, errors } = normalizeClassroomInput(req.body, { partial: true });
+        if (errors.length) {
+            return res.status(400).json({ ok: false, error: "Invalid classroom", details: errors });
+        }
+        try {
+            const classroom = await db.classrooms.update(res.locals.classroom.id, patch);
+            return res.json({ ok: true, classroom: classroomView(classroom, res.locals.role) });
+        } catch (e) {
+            console.error("Error updating classroom:", e);
+            return res.status(500).json({ ok: false, error: "Failed to update classroom" });
+        }
+    });
+
+    router.delete("/:id", teacher, async (req, res) => {
+        try {
+            const quizzes = await db.quizzes.listByClassroom(res.locals.classroom.id);
+            if (quizzes.length) {
+                return res.status(409).json({ ok: false, error: "Move or delete the classroom's quizzes first" });
+            }
+            await db.classrooms.remove(res.locals.classroom.id);
+            return res.json({ ok: true });
+        } catch (e) {
+            console.error("Error deleting classroom:", e);
+            return res.status(500).json({ ok: false, error: "Failed to delete classroom" });
+        }
+    });
+
+    // Issues a new join code; the old one stops working straight away.
+    router.post("/:id/code", teacher, async (req, res) => {
+        try {
+            const classroom = await db.classrooms.update(res.locals.classroom.id, { join_code: await freshClassroomCode(db) });
+            return res.json({ ok: true, joinCode: classroom.join_code });
+        } catch (e) {
+            console.error("Error rotating classroom code:", e);
+            return res.status(500).json({ ok: false, error: "Failed to rotate classroom code" });
+        }
+    });
+
+    // Without a code, students can only join through invitations.
+    router.delete("/:id/code", teacher, async (req, res) => {
+        try {
+            await db.classrooms.update(res.locals.classroom.id, { join_code: null });
+            return res.json({ ok: true, joinCode: null });
+        } catch (e) {
+            console.error("Error revoking classroom code:", e);
+            return res.status(500).json({ ok: false, error: "Failed to revoke classroom code" });
+        }
+    });
+
+    router.get("/:id/members", teacher, async (req, res) => {
+        try {
+            const members = await db.classroomMembers.listByClassroom(res.locals.classroom.id);
+            const users = new Map((await db.users.listByIds(members.map((m) => m.user_id))).map((u) => [u.id, u]));
+            return res.json({
+                ok: true,
+                members: members.map((m) => ({
+                    id: m.user_id,
+                    name: users.get(m.user_id)?.name ?? null,
+                    mail: users.get(m.user_id)?.mail ?? null,
+                    role: m.role,
+                    joinedAt: m.crt_tm,
+                })),
+            });
+        } catch (e) {
+            console.error("Error listing members:", e);
+            return res.status(500).json({ ok: false, error: "Failed to list members" });
+        }
+    });
+
+    router.patch("/:id/members/:userId", teacher, async (req, res) => {
+        const { role } = req.body;
+        const userId = Number(req.params.userId);
+        if (!ROLE_NAMES.includes(role)) {
+            return res.status(400).json({ ok: false, error: `role must be one of: ${ROLE_NAMES.join(", ")}` });
+        }
+        try {
+            const classroomId = res.locals.classroom.id;
+            if (role !== CLASSROOM_ROLES.TEACHER && (await isLastTeacher(classroomId, userId))) {
+                return res.status(409).json({ ok: false, error: "A classroom needs at least one teacher" });
+            }
+            const updated = await db.classroomMembers.setRole(classroomId, userId, role);
+            if (!updated) {
+                return res.status(404).json({ ok: false, error: "Member not found" });
+            }
+            return res.json({ ok: true, member: { id: updated.user_id, role: updated.role } });
+        } catch (e) {
+            console.error("Error changing role:", e);
+            return res.status(500).json({ ok: false, error: "Failed to change role" });
+        }
+    });
+
+    // Teachers remove anyone; everyone can remove themselves (leave).
+    router.delete("/:id/members/:userId", anyMember, async (req, res) => {
+        const userId = Number(req.params.userId);
+        if (userId !== req.user.id && res.locals.role !== CLASSROOM_ROLES.TEACHER) {
+            return res.status(403).json({ ok: false, error: "Only teachers can do that" });
+        }
+        try {
+            const classroomId = res.locals.classroom.id;
+            if (await isLastTeacher(classroomId, userId)) {
+                return res.status(409).json({ ok: false, error: "A classroom needs at least one teacher" });
+            }
+            const removed = await db.classroomMembers.remove(classroomId, userId);
+            if (!removed) {
+                return res.status(404).json({ ok: false, error: "Member not found" });
+            }
+            return res.json({ ok: true });
+        } catch (e) {
+            console.error("Error removing member:", e);
+            return res.status(500).json({ ok: false, error: "Failed to remove member" });
+        }
+    });
+
+    router.get("/:id/invitations", teacher, async (req, res) => {
+        try {
+            const invitations = await db.classroomInvitations.listPending(res.locals.classroom.id);
+            return res.json({ ok: true, invitations: invitations.map(invitationView) });
+        } catch (e) {
+            console.error("Error listing invitations:", e);
+            return res.status(500).json({ ok: false, error: "Failed to list invitations" });
+        }
+    });
+
+    router.post("/:id/invitations", teacher, async (req, res) => {
+        const { mail, role = CLASSROOM_ROLES.STUDENT } = req.body;
+        const errors = [];
+        if (typeof mail !== "string" || !/^[^\s@]+@[^\s@]+$/.test(mail.trim())) {
+            errors.push({ path: "mail", message: "mail must be an email address" });
+        }
+        if (!ROLE_NAMES.includes(role)) {
+            errors.push({ path: "role", message: `role must be one of: ${ROLE_NAMES.join(", ")}` });
+        }
+        if (errors.length) {
+            return res.status(400).json({ ok: false, error: "Invalid invitation", details: errors });
+        }
+
+        try {
+            const { classroom } = res.locals;
+            const invitee = await db.users.findByMail(mail.trim());
+            const existingRole = invitee && (await roleIn(db, classroom.id, invitee.id));
+            if (existingRole === role || existingRole === CLASSROOM_ROLES.TEACHER) {
+                return res.status(409).json({ ok: false, error: "Already a member of this classroom" });
+            }
+
+            const token = randomToken();
+            const invitation = await db.classroomInvitations.create({
+                classroomId: classroom.id,
+                mail: mail.trim(),
+                role,
+                tokenHash: hashToken(token),
+                invitedBy: req.user.id,
+                expiresAt: new Date(Date.now() + INVITATION_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+            });
+            const link = `${appUrl}/classrooms/accept?token=${encodeURIComponent(token)}`;
+            const title = classroom.section ? `${classroom.name} (${classroom.section})` : classroom.name;
+            const inviter = await db.users.findById(req.user.id);
+            await mailer.send({
+                to: invitation.mail,
+                ...classroomInvitationMail({ inviter: inviter?.name, classroom: title, role, link }),
+            });
+            return res.status(201).json({ ok: true, invitation: invitationView(invitation) });
+        } catch (e) {
+            console.error("Error sending invitation:", e);
+            return res.status(500).json({ ok: false, error: "Failed to send invitation" });
+        }
+    });
+
+    router.delete("/:id/invitations/:invitationId", teacher, async (req, res) => {
+        try {
+            const revoked = await db.classroomInvitations.revoke(Number(req.params.invitationId), res.locals.classroom.id);
+            if (!revoked) {
+                return res.status(404).json({ ok: false, error: "Invitation not found" });
+            }
+            return res.json({ ok: true });
+        } catch (e) {
+            console.error("Error revoking invitation:", e);
+            return res.status(500).json({ ok: false, error: "Failed to revoke invitation" });
+        }
+    });
+
+    // Students see what they can play; teachers also see their own drafts.
+    router.get("/:id/quizzes", anyMember, async (req, res) => {
+        try {
+            const quizzes = (await db.quizzes.listByClassroom(res.locals.classroom.id))
+                .filter((q) => q.status !== QUIZ_STATUS.DRAFT || q.created_mail === req.user.mail);
+            return res.json({
+                ok: true,
+                quizzes: quizzes.map((q) => ({
+                    id: q.id,
+                    title: q.title,
+                    status: q.status,
+                    closed: q.closed,
+                    opensAt: q.opens_at ? new Date(q.opens_at).toISOString() : null,
+                    closesAt: q.closes_at ? new Date(q.closes_at).toISOString() : null,
+                })),
+            });
+        } catch (e) {
+            console.error("Error listing classroom quizzes:", e);
+            return res.status(500).json({ ok: false, error: "Failed to list quizzes" });
+        }
+    });
+
+    router.get("/:id/results", teacher, async (req, res) => {
+        try {
+            return res.json({ ok: true, ...(await classroomResults(db, res.locals.classroom.id)) });
+        } catch (e) {
+            console.error("Error fetching classroom results:", e);
+            return res.status(500).json({ ok: false, error: "Failed to fetch results" });
+        }
+    });
+
+    // A student's progress on this classroom's quizzes; the cohort is
+    // everyone else who took them.
+    router.get("/:id/students/:userId/progress", teacher, async (req, res) => {
+        const { options, errors } = normalizeProgressQuery(req.query);
+        if (errors.length) {
+            return res.status(400).json({ ok: false, error: "Invalid query", details: errors });
+        }
+        try {
+            const { classroom } = res.locals;
+            const student = await db.classroomMembers.find(classroom.id, Number(req.params.userId));
+            if (student?.role !== CLASSROOM_ROLES.STUDENT) {
+                return res.status(404).json({ ok: false, error: "Student not found" });
+            }
+            const quizzes = await db.quizzes.listByClassroom(classroom.id);
+            const progress = await learnerProgress(db, student.user_id, {
+                ...options,
+                quizIds: new Set(quizzes.map((q) => q.id)),
+            });
+            return res.json({ ok: true, progress });
+        } catch (e) {
+            console.error("Error fetching student progress:", e);
+            return res.status(500).json({ ok: false, error: "Failed to fetch progress" });
+        }
+    });
+
+    return router;
+}
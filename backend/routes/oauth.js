@@ -0,0 +1,146 @@
+import express from "express";
+import passport from "passport";
+import OAuth2Strategy from "passport-oauth2";
+import { LINK_INTENT_PURPOSE, OAUTH_CODE_PURPOSE, OAUTH_CODE_SECONDS } from "../auth/account.js";
+import { resolveOAuthSignIn } from "../auth/identities.js";
+import { domainAllowed } from "../auth/providers.js";
+import { consumeOneTimeToken, issueOneTimeToken } from "../auth/tokens.js";
+
+// Sign-in through the providers in `registry` (see auth/providers.js):
+//   GET /providers            which providers are enabled
+//   GET /:provider            start signing in (or linking, with ?link=)
+//   GET /:provider/callback   where the provider sends the browser back
+// Every outcome redirects to the frontend at `appUrl` with `code`,
+// `linked` or `error` in the query.
+export function createOAuthRouter({ db, registry, appUrl = "" }) {
+    const router = express.Router();
+    const strategies = new Map();
+
+    function backToApp(res, query) {
+        res.redirect(`${appUrl}/?${new URLSearchParams(query)}`);
+    }
+
+    // Decides who signed in; failures come back as { error } so the callback
+    // can tell the frontend why.
+    async function signIn(req, id, accessToken, params) {
+        const config = registry.get(id);
+        const link = req.session?.oauthLink;
+        if (req.session) delete req.session.oauthLink;
+        const linkUserId = link && link.provider === id ? link.userId : null;
+
+        const profile = await registry.profile(id, accessToken, params);
+        if (!profile.subject) return { error: "auth_failed" };
+        if (config.allowedDomains.length && !(profile.emailVerified && domainAllowed(config, profile.email))) {
+            return { error: "domain_not_allowed" };
+        }
+
+        const outcome = await resolveOAuthSignIn(db, { provider: id, ...profile, linkUserId });
+        if (outcome.error || !outcome.user) return { error: outcome.error || "auth_failed" };
+
+        await db.users.touchLogin(outcome.user.id).catch((e) => {
+            console.error("Database error during login update:", e);
+        });
+        return { user: outcome.user, linked: linkUserId != null };
+    }
+
+    // Passport strategy for a provider, set up on first use once its
+    // endpoints are known.
+    function strategyFor(id) {
+        if (!strategies.has(id)) {
+            const pending = (async () => {
+                const config = registry.get(id);
+                const endpoints = await registry.endpoints(id);
+                const name = `oauth-${id}`;
+                passport.use(name, new OAuth2Strategy(
+                    {
+                        authorizationURL: endpoints.authorizationUrl,
+                        tokenURL: endpoints.tokenUrl,
+                        clientID: config.clientId,
+                        clientSecret: config.clientSecret,
+                        callbackURL: config.callbackUrl,
+                        scope: config.scope,
+                        state: true,
+                        pkce: true,
+                        proxy: true,
+                        passReqToCallback: true,
+                        skipUserProfile: true,
+                    },
+                    (req, accessToken, refreshToken, params, profile, done) => {
+                        signIn(req, id, accessToken, params).then((result) => done(null, result), done);
+                    }
+                ));
+                return name;
+            })();
+            pending.catch(() => strategies.delete(id));
+            strategies.set(id, pending);
+        }
+        return strategies.get(id);
+    }
+
+    router.get("/providers", (req, res) => {
+        res.json({ ok: true, providers: registry.list() });
+    });
+
+    router.get("/:provider", async (req, res, next) => {
+        const id = req.params.provider;
+        if (!registry.get(id)) return next();
+
+        try {
+            // Linking: the code from POST /auth/link/:provider says which
+            // account, and only in the browser that asked for it
+            if (req.query.link) {
+                const nonce = req.session.linkNonce;
+                delete req.session.linkNonce;
+                const grant = await consumeOneTimeToken(db, LINK_INTENT_PURPOSE, String(req.query.link));
+                if (!grant || grant.data?.provider !== id || !nonce || grant.data.nonce !== nonce) {
+                    return backToApp(res, { error: "link_expired" });
+                }
+                req.session.oauthLink = { provider: id, userId: grant.user_id };
+            }
+            const name = await strategyFor(id);
+            passport.authenticate(name, { session: false })(req, res, next);
+        } catch (e) {
+            console.error(`Error starting ${id} sign-in:`, e);
+            backToApp(res, { error: "provider_unavailable" });
+        }
+    });
+
+    router.get("/:provider/callback", async (req, res, next) => {
+        const id = req.params.provider;
+        if (!registry.get(id)) return next();
+
+        let name;
+        try {
+            name = await strategyFor(id);
+        } catch (e) {
+            console.error(`Error finishing ${id} sign-in:`, e);
+            return backToApp(res, { error: "provider_unavailable" });
+        }
+
+        passport.authenticate(name, { session: false }, async (err, result) => {
+            if (err) {
+                console.error(`${id} sign-in error:`, err);
+                return backToApp(res, { error: "auth_error" });
+            }
+            // Denied at the provider, or the state didn't match
+            if (!result) return backToApp(res, { error: "auth_failed" });
+            if (result.error) return backToApp(res, { error: result.error });
+            if (result.linked) return backToApp(res, { linked: id });
+
+            try {
+                // Tokens never go in the URL; the frontend trades this code for them
+                const code = await issueOneTimeToken(db, {
+                    userId: result.user.id,
+                    purpose: OAUTH_CODE_PURPOSE,
+                    ttlSeconds: OAUTH_CODE_SECONDS,
+                });
+                backToApp(res, { code, ok: "true" });
+            } catch (e) {
+                console.error(`Error in ${id} callback:`, e);
+                backToApp(res, { error: "callback_failed" });
+            }
+        })(req, res, next);
+    });
+
+    return router;
+}
@@ -0,0 +1,275 @@
+import express from "express";
+import { LlmError } from "../llm/index.js";
+import { tooManyRequests } from "../limits/index.js";
+import { generatePracticeQuestions } from "../quiz/generate.js";
+import {
+    BATCH_SIZE,
+    FOLLOW_UP_COUNT,
+    MAX_ANSWERS,
+    answeredItems,
+    currentItem,
+    normalizePracticeStart,
+    practiceSummary,
+    practiceView,
+    queueQuestions,
+    recentQuestions,
+    recordAnswer,
+} from "../quiz/practice.js";
+import { correctText } from "../quiz/report/index.js";
+import { QuizValidationError } from "../quiz/schema.js";
+
+const MAX_PAGE = 100;
+
+// Solo practice sessions on a topic of the learner's choosing. Every batch
+// of generated questions counts against the daily generation quota.
+export function createPracticeRouter({ db, authenticateToken, llm, limits, generationLimits = [], attempts = 3 }) {
+    const router = express.Router();
+    router.use(authenticateToken);
+
+    async function loadSession(req, res) {
+        const session = await db.practiceSessions.findOwned(Number(req.params.id), req.user.id);
+        if (!session) {
+            res.status(404).json({ ok: false, error: "Practice session not found" });
+            return null;
+        }
+        return session;
+    }
+
+    // More questions in the middle of a session. Failures don't stop the
+    // session, they come back as a `notice` for the learner; a spent quota
+    // also brings back its `usage`.
+    async function moreQuestions(userId, items, request) {
+        const usage = await limits.quota.consume(userId);
+        if (!usage.allowed) return { items, notice: "Daily quiz generation limit reached", usage };
+        try {
+            const { topic, level, count, concept } = request;
+            const generated = await generatePracticeQuestions(llm, {
+                topic,
+                difficulty: level,
+                count,
+                concept,
+                avoid: recentQuestions(items),
+            }, { attempts });
+            if (generated.validity === "invalid") return { items, notice: "No more questions on this topic" };
+            return {
+                items: queueQuestions(items, generated, request),
+                added: generated.questions.length,
+            };
+        } catch (e) {
+            if (!(e instanceof LlmError) && !(e instanceof QuizValidationError)) throw e;
+            console.error("Error generating practice questions:", e.message);
+            return { items, notice: "Couldn't get more questions, try again later" };
+        }
+    }
+
+    router.get("/", async (req, res) => {
+        const limit = req.query.limit != null ? Number(req.query.limit) : 20;
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE) {
+            return res.status(400).json({ ok: false, error: `limit must be between 1 and ${MAX_PAGE}` });
+        }
+        try {
+            const sessions = await db.practiceSessions.listByUser(req.user.id, limit);
+            return res.json({
+                ok: true,
+                sessions: sessions.map((s) => ({
+                    id: s.id,
+                    topic: s.topic,
+                    status: s.status,
+                    level: s.level,
+                    answered: answeredItems(s).length,
+                    accuracy: s.summary?.accuracy ?? null,
+                    createdAt: new Date(s.crt_tm).toISOString(),
+                    finishedAt: s.finished_at ? new Date(s.finished_at).toISOString() : null,
+                })),
+            });
+        } catch (e) {
+            console.error("Error listing practice sessions:", e);
+            return res.status(500).json({ ok: false, error: "Failed to list practice sessions" });
+        }
+    });
+
+    // Body: { topic, level? } with level easy, medium (default) or hard.
+    router.post("/", ...generationLimits, async (req, res) => {
+        const { options, errors } = normalizePracticeStart(req.body);
+        if (errors.length) {
+            return res.status(400).json({ ok: false, error: "Invalid practice session", details: errors });
+        }
+        const usage = await limits.quota.consume(req.user.id);
+        if (!usage.allowed) {
+            return tooManyRequests(res, usage, "Daily quiz generation limit reached", { quota: usage.quota });
+        }
+        try {
+            const generated = await generatePracticeQuestions(llm, {
+                topic: options.topic,
+                difficulty: options.level,
+                count: BATCH_SIZE,
+            }, { attempts });
+            if (generated.validity === "invalid") {
+                return res.status(400).json({ ok: false, error: "Invalid content" });
+            }
+            const session = await db.practiceSessions.create({
+                userId: req.user.id,
+                topic: options.topic,
+                level: options.level,
+                items: queueQuestions([], generated, { topic: options.topic, level: options.level }),
+            });
+            return res.status(201).json({ ok: true, session: practiceView(session) });
+        } catch (e) {
+            console.error("Error starting practice session:", e);
+            if (e instanceof LlmError) {
+                return res.status(502).json({ ok: false, error: "Quiz generator unavailable, try again later" });
+            }
+            if (e instanceof QuizValidationError) {
+                return res.status(422).json({
+                    ok: false,
+                    error: `The generated questions were still invalid after ${e.attempts} attempts`,
+                    details: e.errors,
+                });
+            }
+            return res.status(500).json({ ok: false, error: "Failed to start practice session" });
+        }
+    });
+
+    router.get("/:id", async (req, res) => {
+        try {
+            const session = await loadSession(req, res);
+            if (!session) return;
+            return res.json({ ok: true, session: practiceView(session) });
+        } catch (e) {
+            console.error("Error loading practice session:", e);
+            return res.status(500).json({ ok: false, error: "Failed to load practice session" });
+        }
+    });
+
+    // Body: { questionId, response }. Grades the current question, adjusts
+    // the level and queues follow-ups or a new batch as needed.
+    router.post("/:id/answer", async (req, res) => {
+        try {
+            const session = await loadSession(req, res);
+            if (!session) return;
+            if (session.status !== "active") {
+                return res.status(409).json({ ok: false, error: "Practice session is finished" });
+            }
+            const item = currentItem(session);
+            if (!item) {
+                return res.status(409).json({ ok: false, error: "No question waiting, ask for more with /next" });
+            }
+            if (Number(req.body.questionId) !== item.id) {
+                return res.status(409).json({ ok: false, error: "That is not the current question", currentQuestionId: item.id });
+            }
+
+            const { patch, graded, levelChange, followUpConcept } = recordAnswer(session, item, req.body.response);
+            const done = answeredItems(patch).length >= MAX_ANSWERS;
+            let followUps = 0;
+            let notice = null;
+            if (!done && followUpConcept) {
+                const more = await moreQuestions(req.user.id, patch.items, {
+                    topic: session.topic,
+                    level: patch.level,
+                    count: FOLLOW_UP_COUNT,
+                    concept: followUpConcept,
+                    followUp: true,
+                });
+                patch.items = more.items;
+                followUps = more.added || 0;
+                notice = more.notice || null;
+            }
+            if (!done && !notice && !currentItem(patch)) {
+                const more = await moreQuestions(req.user.id, patch.items, {
+                    topic: session.topic,
+                    level: patch.level,
+                    count: BATCH_SIZE,
+                });
+                patch.items = more.items;
+                notice = more.notice || null;
+            }
+            if (done) {
+                const now = new Date();
+                Object.assign(patch, { status: "finished", finished_at: now.toISOString() });
+                patch.summary = practiceSummary({ ...session, ...patch }, now);
+            }
+
+            const saved = await db.practiceSessions.save(session, patch);
+            if (!saved) {
+                return res.status(409).json({ ok: false, error: "Practice session changed, reload it" });
+            }
+            return res.json({
+                ok: true,
+                result: {
+                    credit: graded.credit,
+                    correct: graded.correct,
+                    concept: item.concept,
+                    correctAnswer: correctText(item.question, item.answer),
+                },
+                levelChange,
+                followUps,
+                ...(notice ? { notice } : {}),
+                session: practiceView(saved),
+            });
+        } catch (e) {
+            console.error("Error grading practice answer:", e);
+            return res.status(500).json({ ok: false, error: "Failed to grade answer" });
+        }
+    });
+
+    // Generates the next batch when the queue ran dry (say the generator
+    // was down when the last answer came in).
+    router.post("/:id/next", async (req, res) => {
+        try {
+            const session = await loadSession(req, res);
+            if (!session) return;
+            if (session.status !== "active") {
+                return res.status(409).json({ ok: false, error: "Practice session is finished" });
+            }
+            if (currentItem(session)) {
+                return res.json({ ok: true, session: practiceView(session) });
+            }
+            const more = await moreQuestions(req.user.id, session.items, {
+                topic: session.topic,
+                level: session.level,
+                count: BATCH_SIZE,
+            });
+            if (more.usage) {
+                return tooManyRequests(res, more.usage, more.notice, { quota: more.usage.quota });
+            }
+            if (more.notice) {
+                return res.status(503).json({ ok: false, error: more.notice });
+            }
+            const saved = await db.practiceSessions.save(session, { items: more.items });
+            if (!saved) {
+                return res.status(409).json({ ok: false, error: "Practice session changed, reload it" });
+            }
+            return res.json({ ok: true, session: practiceView(saved) });
+        } catch (e) {
+            console.error("Error loading more practice questions:", e);
+            return res.status(500).json({ ok: false, error: "Failed to load more questions" });
+        }
+    });
+
+    // Ends the session and returns its summary; finishing twice returns the
+    // same summary.
+    router.post("/:id/finish", async (req, res) => {
+        try {
+            const session = await loadSession(req, res);
+            if (!session) return;
+            if (session.status !== "active") {
+                return res.json({ ok: true, summary: session.summary, session: practiceView(session) });
+            }
+            const now = new Date();
+            const saved = await db.practiceSessions.save(session, {
+                status: "finished",
+                finished_at: now.toISOString(),
+                summary: practiceSummary(session, now),
+            });
+            if (!saved) {
+                return res.status(409).json({ ok: false, error: "Practice session changed, reload it" });
+            }
+            return res.json({ ok: true, summary: saved.summary, session: practiceView(saved) });
+        } catch (e) {
+            console.error("Error finishing practice session:", e);
+            return res.status(500).json({ ok: false, error: "Failed to finish practice session" });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,448 @@
+import express from "express";
+import { canManageQuiz, checkQuizClassroom } from "../classroom/access.js";
+import { QUIZ_STATUS } from "../db/repositories/quizzes.js";
+import { BANK_SOURCES, saveToBank, topicTag } from "../quiz/bank.js";
+import { checkQuestionInput, fromEditorQuestions, mergeQuestionEdit, nextQuestionId, toEditorView } from "../quiz/draft.js";
+import { exportQuiz, FORMAT_NAMES, FORMATS, ImportError, importQuestions } from "../quiz/formats/index.js";
+import { itemAnalysis } from "../quiz/itemAnalysis.js";
+import { publishQuiz } from "../quiz/lifecycle.js";
+import { quizReport, renderReport, REPORT_FORMAT_NAMES, REPORT_FORMATS } from "../quiz/report/index.js";
+import { normalizeSchedule, scheduleColumns, scheduleOf, windowFor } from "../quiz/schedule.js";
+import { normalizeScoring } from "../quiz/scoring.js";
+import { normalizeSettings } from "../quiz/settings.js";
+
+// Authoring API for hosts: build a draft by hand (or start from an AI draft
+// made by /create-quiz), edit it, then publish it to get a joinable code.
+export function createQuizAuthoringRouter({ db, authenticateToken, scheduler }) {
+    const router = express.Router();
+    router.use(authenticateToken);
+
+    // Loads the caller's quiz into res.locals.quiz, or answers 404/409.
+    async function loadDraft(req, res, next) {
+        try {
+            const quiz = await db.quizzes.findOwned(Number(req.params.id), req.user.mail);
+            if (!quiz) {
+                return res.status(404).json({ ok: false, error: "Quiz not found or unauthorized" });
+            }
+            if (req.method !== "GET" && quiz.status !== QUIZ_STATUS.DRAFT) {
+                return res.status(409).json({ ok: false, error: "Quiz is already published" });
+            }
+            res.locals.quiz = quiz;
+            res.locals.editorQuestions = toEditorView(quiz).questions;
+            next();
+        } catch (e) {
+            next(e);
+        }
+    }
+
+    async function saveQuestions(res, editorQuestions) {
+        const updated = await db.quizzes.updateDraft(res.locals.quiz.id, fromEditorQuestions(editorQuestions));
+        if (!updated) {
+            return res.status(409).json({ ok: false, error: "Quiz is already published" });
+        }
+        return res.json({ ok: true, quiz: toEditorView(updated) });
+    }
+
+    router.post("/", async (req, res) => {
+        const { title, questions = [] } = req.body;
+
+        if (typeof title !== "string" || !title.trim()) {
+            return res.status(400).json({ ok: false, error: "title required" });
+        }
+        if (!Array.isArray(questions)) {
+            return res.status(400).json({ ok: false, error: "questions must be an array" });
+        }
+        const { scoring, errors: scoringErrors } = normalizeScoring(req.body.scoring);
+        if (scoringErrors.length) {
+            return res.status(400).json({ ok: false, error: "Invalid scoring", details: scoringErrors });
+        }
+        const { settings, errors: settingsErrors } = normalizeSettings(req.body.settings);
+        if (settingsErrors.length) {
+            return res.status(400).json({ ok: false, error: "Invalid settings", details: settingsErrors });
+        }
+        const { schedule, errors: scheduleErrors } = normalizeSchedule(req.body.schedule);
+        if (scheduleErrors.length) {
+            return res.status(400).json({ ok: false, error: "Invalid schedule", details: scheduleErrors });
+        }
+
+        const { classroomId = null } = req.body;
+        const classroomError = await checkQuizClassroom(db, classroomId, req.user).catch((e) => {
+            console.error("Error checking classroom:", e);
+            return "Failed to check classroom";
+        });
+        if (classroomError) {
+            return res.status(400).json({ ok: false, error: classroomError });
+        }
+
+        const editorQuestions = [];
+        const errors = [];
+        questions.forEach((input, i) => {
+            const checked = checkQuestionInput(input, i + 1);
+            errors.push(...checked.errors.map((e) => ({ ...e, path: `questions[${i}].${e.path}` })));
+            editorQuestions.push(checked.question);
+        });
+        if (errors.length) {
+            return res.status(400).json({ ok: false, error: "Invalid questions", details: errors });
+        }
+
+        try {
+            const quiz = await db.quizzes.create({
+                title: title.trim(),
+                createdMail: req.user.mail,
+                ...fromEditorQuestions(editorQuestions),
+                scoring,
+                settings,
+                schedule,
+                classroomId: classroomId == null ? null : Number(classroomId),
+            });
+            return res.status(201).json({ ok: true, quiz: toEditorView(quiz) });
+        } catch (e) {
+            console.error("Error creating draft:", e);
+            return res.status(500).json({ ok: false, error: "Failed to create quiz" });
+        }
+    });
+
+    // Creates a draft from a GIFT, Moodle XML, QTI 2.1, CSV or JSON file sent
+    // as `content` (base64 for QTI zip packages). Questions that don't fit
+    // are listed per question; with `skipInvalid` the rest are imported
+    // anyway, and `dryRun` only reports what would be imported.
+    router.post("/import", async (req, res) => {
+        const { format, content, dryRun = false, skipInvalid = false, classroomId = null } = req.body || {};
+
+        if (!FORMATS[format]) {
+            return res.status(400).json({ ok: false, error: `format must be one of: ${FORMAT_NAMES.join(", ")}` });
+        }
+        if (typeof content !== "string" || !content.trim()) {
+            return res.status(400).json({ ok: false, error: "content required" });
+        }
+
+        let imported;
+        try {
+            imported = importQuestions(format, content);
+        } catch (e) {
+            if (e instanceof ImportError) {
+                return res.status(400).json({ ok: false, error: e.message });
+            }
+            console.error("Error reading import:", e);
+            return res.status(500).json({ ok: false, error: "Failed to read file" });
+        }
+
+        const title = typeof req.body.title === "string" && req.body.title.trim() ? req.body.title.trim() : imported.title;
+        const summary = { total: imported.total, imported: imported.questions.length, errors: imported.errors };
+        if (dryRun) {
+            return res.json({ ok: true, title, questions: imported.questions, ...summary });
+        }
+        if (!title) {
+            return res.status(400).json({ ok: false, error: "title required (the file doesn't name the quiz)" });
+        }
+        if (!imported.questions.length || (imported.errors.length && skipInvalid !== true)) {
+            return res.status(422).json({ ok: false, error: "Some questions could not be imported", ...summary });
+        }
+
+        try {
+            const classroomError = await checkQuizClassroom(db, classroomId, req.user);
+            if (classroomError) {
+                return res.status(400).json({ ok: false, error: classroomError });
+            }
+            let quiz = await db.quizzes.create({
+                title,
+                createdMail: req.user.mail,
+                ...fromEditorQuestions(imported.questions),
+                classroomId: classroomId == null ? null : Number(classroomId),
+            });
+            try {
+                const refs = await saveToBank(db, req.user.id, imported.questions, {
+                    source: BANK_SOURCES.IMPORTED,
+                    tags: [topicTag(title)],
+                });
+                quiz = await db.quizzes.update(quiz.id, { bank_refs: refs });
+            } catch (e) {
+                console.error("Error saving questions to bank:", e);
+            }
+            return res.status(201).json({ ok: true, quiz: toEditorView(quiz), ...summary });
+        } catch (e) {
+            console.error("Error importing quiz:", e);
+            return res.status(500).json({ ok: false, error: "Failed to import quiz" });
+        }
+    });
+
+    router.get("/:id", loadDraft, (req, res) => {
+        res.json({ ok: true, quiz: toEditorView(res.locals.quiz) });
+    });
+
+    // Downloads the quiz, answers included, in one of the import formats.
+    router.get("/:id/export", loadDraft, (req, res) => {
+        const format = req.query.format || "json";
+        if (!FORMATS[format]) {
+            return res.status(400).json({ ok: false, error: `format must be one of: ${FORMAT_NAMES.join(", ")}` });
+        }
+        try {
+            const file = exportQuiz(format, toEditorView(res.locals.quiz));
+            res.set("Content-Type", file.contentType);
+            res.set("Content-Disposition", `attachment; filename="${file.fileName}"`);
+            return res.send(file.body);
+        } catch (e) {
+            console.error("Error exporting quiz:", e);
+            return res.status(500).json({ ok: false, error: "Failed to export quiz" });
+        }
+    });
+
+    // Results for the host or the classroom's teachers: a gradebook (one row
+    // per participant with their answers) and per-question stats, as JSON,
+    // CSV, XLSX or a printable PDF.
+    router.get("/:id/results", async (req, res) => {
+        const format = req.query.format || "json";
+        if (format !== "json" && !REPORT_FORMATS[format]) {
+            return res.status(400).json({ ok: false, error: `format must be one of: json, ${REPORT_FORMAT_NAMES.join(", ")}` });
+        }
+        try {
+            const quiz = await db.quizzes.findById(Number(req.params.id));
+            if (!quiz || !(await canManageQuiz(db, quiz, req.user))) {
+                return res.status(404).json({ ok: false, error: "Quiz not found or unauthorized" });
+            }
+            if (quiz.status === QUIZ_STATUS.DRAFT) {
+                return res.status(409).json({ ok: false, error: "Quiz has not been published" });
+            }
+            const report = await quizReport(db, quiz);
+            if (format === "json") {
+                return res.json({ ok: true, report });
+            }
+            const file = await renderReport(format, report);
+            res.set("Content-Type", file.contentType);
+            res.set("Content-Disposition", `attachment; filename="${file.fileName}"`);
+            return res.send(file.body);
+        } catch (e) {
+            console.error("Error exporting results:", e);
+            return res.status(500).json({ ok: false, error: "Failed to export results" });
+        }
+    });
+
+    // Item analysis: difficulty, distractors, discrimination and answer
+    // times per question, with flags for questions worth a second look.
+    router.get("/:id/item-analysis", async (req, res) => {
+        try {
+            const quiz = await db.quizzes.findById(Number(req.params.id));
+            if (!quiz || !(await canManageQuiz(db, quiz, req.user))) {
+                return res.status(404).json({ ok: false, error: "Quiz not found or unauthorized" });
+            }
+            if (quiz.status === QUIZ_STATUS.DRAFT) {
+                return res.status(409).json({ ok: false, error: "Quiz has not been published" });
+            }
+            return res.json({ ok: true, analysis: await itemAnalysis(db, quiz) });
+        } catch (e) {
+            console.error("Error analysing quiz:", e);
+            return res.status(500).json({ ok: false, error: "Failed to analyse quiz" });
+        }
+    });
+
+    // Open/close times. Unlike the rest of a quiz, the schedule can change
+    // after publishing until the quiz closes; the open time only until the
+    // quiz has opened.
+    router.put("/:id/schedule", async (req, res) => {
+        try {
+            const quiz = await db.quizzes.findOwned(Number(req.params.id), req.user.mail);
+            if (!quiz) {
+                return res.status(404).json({ ok: false, error: "Quiz not found or unauthorized" });
+            }
+            if (quiz.closed) {
+                return res.status(409).json({ ok: false, error: "Quiz is closed" });
+            }
+
+            if (quiz.status === QUIZ_STATUS.PUBLISHED && req.body?.opensAt !== undefined) {
+                return res.status(409).json({ ok: false, error: "Quiz is already open" });
+            }
+
+            const current = scheduleOf(quiz);
+            const { schedule, errors } = normalizeSchedule(req.body, current);
+            if (errors.length) {
+                return res.status(400).json({ ok: false, error: "Invalid schedule", details: errors });
+            }
+            const patch = scheduleColumns(schedule);
+
+            if (quiz.status === QUIZ_STATUS.PUBLISHED) {
+                // Durations count from when the quiz actually opened.
+                const openedAt = current.opensAt || new Date(quiz.published_tm).toISOString();
+                const window = windowFor({ ...schedule, opensAt: openedAt });
+                if (window.expired) {
+                    return res.status(400).json({ ok: false, error: "Close time has already passed" });
+                }
+                patch.closes_at = window.closesAt;
+            } else if (quiz.status === QUIZ_STATUS.SCHEDULED) {
+                const window = windowFor(schedule);
+                if (window.expired) {
+                    return res.status(400).json({ ok: false, error: "Close time has already passed" });
+                }
+                Object.assign(patch, { opens_at: window.opensAt, closes_at: window.closesAt });
+            }
+
+            const updated = await db.quizzes.update(quiz.id, patch);
+            scheduler?.track(updated);
+            return res.json({ ok: true, quiz: toEditorView(updated) });
+        } catch (e) {
+            console.error("Error scheduling quiz:", e);
+            return res.status(500).json({ ok: false, error: "Failed to update schedule" });
+        }
+    });
+
+    // Moves the quiz into a classroom you teach, or out with `null`. Only
+    // the classroom's members can join it; that holds after publishing too.
+    router.put("/:id/classroom", async (req, res) => {
+        const { classroomId = null } = req.body || {};
+        try {
+            const quiz = await db.quizzes.findOwned(Number(req.params.id), req.user.mail);
+            if (!quiz) {
+                return res.status(404).json({ ok: false, error: "Quiz not found or unauthorized" });
+            }
+            const classroomError = await checkQuizClassroom(db, classroomId, req.user);
+            if (classroomError) {
+                return res.status(400).json({ ok: false, error: classroomError });
+            }
+            const updated = await db.quizzes.update(quiz.id, { classroom_id: classroomId == null ? null : Number(classroomId) });
+            return res.json({ ok: true, quiz: toEditorView(updated) });
+        } catch (e) {
+            console.error("Error moving quiz:", e);
+            return res.status(500).json({ ok: false, error: "Failed to update classroom" });
+        }
+    });
+
+    // Title, scoring policy and settings
+    router.patch("/:id", loadDraft, async (req, res) => {
+        const { title } = req.body;
+        const patch = {};
+        if (title !== undefined) {
+            if (typeof title !== "string" || !title.trim()) {
+                return res.status(400).json({ ok: false, error: "title must be a non-empty string" });
+            }
+            patch.title = title.trim();
+        }
+        if (req.body.scoring !== undefined) {
+            const { scoring, errors } = normalizeScoring(req.body.scoring);
+            if (errors.length) {
+                return res.status(400).json({ ok: false, error: "Invalid scoring", details: errors });
+            }
+            patch.scoring = scoring;
+        }
+        if (req.body.settings !== undefined) {
+            const { settings, errors } = normalizeSettings(req.body.settings, res.locals.quiz.settings);
+            if (errors.length) {
+                return res.status(400).json({ ok: false, error: "Invalid settings", details: errors });
+            }
+            patch.settings = settings;
+        }
+        if (!Object.keys(patch).length) {
+            return res.status(400).json({ ok: false, error: "Nothing to update" });
+        }
+        try {
+            const updated = await db.quizzes.updateDraft(res.locals.quiz.id, patch);
+            if (!updated) {
+                return res.status(409).json({ ok: false, error: "Quiz is already published" });
+            }
+            return res.json({ ok: true, quiz: toEditorView(updated) });
+        } catch (e) {
+            console.error("Error renaming quiz:", e);
+            return res.status(500).json({ ok: false, error: "Failed to update quiz" });
+        }
+    });
+
+    router.post("/:id/questions", loadDraft, async (req, res) => {
+        const editorQuestions = res.locals.editorQuestions;
+        const { question, errors } = checkQuestionInput(req.body, nextQuestionId(editorQuestions));
+        if (errors.length) {
+            return res.status(400).json({ ok: false, error: "Invalid question", details: errors });
+        }
+
+        const position = req.body.position;
+        if (Number.isInteger(position) && position >= 0 && position < editorQuestions.length) {
+            editorQuestions.splice(position, 0, question);
+        } else {
+            editorQuestions.push(question);
+        }
+
+        try {
+            return await saveQuestions(res.status(201), editorQuestions);
+        } catch (e) {
+            console.error("Error adding question:", e);
+            return res.status(500).json({ ok: false, error: "Failed to add question" });
+        }
+    });
+
+    // Must be registered before /:id/questions/:questionId.
+    router.put("/:id/questions/order", loadDraft, async (req, res) => {
+        const { order } = req.body;
+        const editorQuestions = res.locals.editorQuestions;
+        const byId = new Map(editorQuestions.map((q) => [q.id, q]));
+
+        if (!Array.isArray(order) || order.length !== byId.size || new Set(order).size !== order.length
+            || !order.every((id) => byId.has(id))) {
+            return res.status(400).json({
+                ok: false,
+                error: "order must list every question id exactly once",
+            });
+        }
+
+        try {
+            return await saveQuestions(res, order.map((id) => byId.get(id)));
+        } catch (e) {
+            console.error("Error reordering questions:", e);
+            return res.status(500).json({ ok: false, error: "Failed to reorder questions" });
+        }
+    });
+
+    router.patch("/:id/questions/:questionId", loadDraft, async (req, res) => {
+        const editorQuestions = res.locals.editorQuestions;
+        const index = editorQuestions.findIndex((q) => q.id === Number(req.params.questionId));
+        if (index === -1) {
+            return res.status(404).json({ ok: false, error: "Question not found" });
+        }
+
+        const current = editorQuestions[index];
+        const { question, errors } = checkQuestionInput(mergeQuestionEdit(current, req.body), current.id);
+        if (errors.length) {
+            return res.status(400).json({ ok: false, error: "Invalid question", details: errors });
+        }
+        editorQuestions[index] = question;
+
+        try {
+            return await saveQuestions(res, editorQuestions);
+        } catch (e) {
+            console.error("Error editing question:", e);
+            return res.status(500).json({ ok: false, error: "Failed to update question" });
+        }
+    });
+
+    router.delete("/:id/questions/:questionId", loadDraft, async (req, res) => {
+        const editorQuestions = res.locals.editorQuestions;
+        const remaining = editorQuestions.filter((q) => q.id !== Number(req.params.questionId));
+        if (remaining.length === editorQuestions.length) {
+            return res.status(404).json({ ok: false, error: "Question not found" });
+        }
+
+        try {
+            return await saveQuestions(res, remaining);
+        } catch (e) {
+            console.error("Error deleting question:", e);
+            return res.status(500).json({ ok: false, error: "Failed to delete question" });
+        }
+    });
+
+    router.post("/:id/publish", loadDraft, async (req, res) => {
+        try {
+            const { quiz: published, errors } = await publishQuiz(db, res.locals.quiz, req.user.mail, {
+                scheduler,
+                ownerId: req.user.id,
+            });
+            if (errors.length) {
+                return res.status(422).json({ ok: false, error: "Quiz is not ready to publish", details: errors });
+            }
+            if (!published) {
+                return res.status(409).json({ ok: false, error: "Quiz is already published" });
+            }
+            return res.json({ ok: true, quizCode: published.join_code, quiz: toEditorView(published) });
+        } catch (e) {
+            console.error("Error publishing quiz:", e);
+            return res.status(500).json({ ok: false, error: "Failed to publish quiz" });
+        }
+    });
+
+    return router;
+}
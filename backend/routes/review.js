@@ -0,0 +1,104 @@
+import express from "express";
+import {
+    RECALL_QUALITY,
+    cardView,
+    deckStats,
+    endOfDay,
+    gradeReview,
+    isDue,
+    nextSchedule,
+} from "../quiz/review.js";
+
+const MAX_PAGE = 100;
+
+function readLimit(value, fallback) {
+    const limit = value != null ? Number(value) : fallback;
+    return Number.isInteger(limit) && limit >= 1 && limit <= MAX_PAGE ? limit : null;
+}
+
+// Each player's review deck of questions they missed, served a day's worth
+// at a time.
+export function createReviewRouter({ db, authenticateToken }) {
+    const router = express.Router();
+    router.use(authenticateToken);
+
+    router.get("/", async (req, res) => {
+        try {
+            const cards = await db.reviewCards.listByUser(req.user.id);
+            return res.json({ ok: true, stats: deckStats(cards), cards: cards.map((c) => cardView(c)) });
+        } catch (e) {
+            console.error("Error loading review deck:", e);
+            return res.status(500).json({ ok: false, error: "Failed to load review deck" });
+        }
+    });
+
+    // Cards due today (UTC), most overdue first.
+    router.get("/due", async (req, res) => {
+        const limit = readLimit(req.query.limit, 20);
+        if (limit == null) {
+            return res.status(400).json({ ok: false, error: `limit must be between 1 and ${MAX_PAGE}` });
+        }
+        try {
+            const [due, cards] = await Promise.all([
+                db.reviewCards.listDue(req.user.id, endOfDay(), limit),
+                db.reviewCards.listByUser(req.user.id),
+            ]);
+            return res.json({ ok: true, stats: deckStats(cards), cards: due.map((c) => cardView(c)) });
+        } catch (e) {
+            console.error("Error loading due cards:", e);
+            return res.status(500).json({ ok: false, error: "Failed to load due cards" });
+        }
+    });
+
+    // Body: { response, recall? }. `response` is shaped like an answer to
+    // /submit-ans; `recall` (hard, good, easy) says how a correct answer felt.
+    router.post("/:id/answer", async (req, res) => {
+        const recall = req.body.recall ?? "good";
+        if (!Object.hasOwn(RECALL_QUALITY, recall)) {
+            return res.status(400).json({ ok: false, error: `recall must be one of: ${Object.keys(RECALL_QUALITY).join(", ")}` });
+        }
+        try {
+            const card = await db.reviewCards.findOwned(Number(req.params.id), req.user.id);
+            if (!card) {
+                return res.status(404).json({ ok: false, error: "Card not found" });
+            }
+            if (!isDue(card)) {
+                return res.status(409).json({ ok: false, error: "Card is not due yet", dueAt: new Date(card.due_at).toISOString() });
+            }
+            const review = gradeReview(card, req.body.response, recall);
+            const updated = await db.reviewCards.reschedule(card, nextSchedule(card, review.quality));
+            if (!updated) {
+                return res.status(409).json({ ok: false, error: "Card was just reviewed" });
+            }
+            return res.json({
+                ok: true,
+                result: {
+                    credit: review.graded.credit,
+                    correct: review.graded.correct,
+                    quality: review.quality,
+                    response: review.response,
+                    correctAnswer: review.correctAnswer,
+                },
+                card: cardView(updated),
+            });
+        } catch (e) {
+            console.error("Error grading review:", e);
+            return res.status(500).json({ ok: false, error: "Failed to grade review" });
+        }
+    });
+
+    router.delete("/:id", async (req, res) => {
+        try {
+            const card = await db.reviewCards.remove(Number(req.params.id), req.user.id);
+            if (!card) {
+                return res.status(404).json({ ok: false, error: "Card not found" });
+            }
+            return res.json({ ok: true });
+        } catch (e) {
+            console.error("Error removing card:", e);
+            return res.status(500).json({ ok: false, error: "Failed to remove card" });
+        }
+    });
+
+    return router;
+}
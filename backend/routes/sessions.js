@@ -0,0 +1,53 @@
+import express from "express";
+
+// "My sessions": the devices signed in to the caller's account.
+export function createSessionRouter({ db, authenticateToken }) {
+    const router = express.Router();
+    router.use(authenticateToken);
+
+    router.get("/", async (req, res) => {
+        try {
+            const sessions = await db.authSessions.listActive(req.user.id);
+            return res.json({
+                ok: true,
+                sessions: sessions.map((s) => ({
+                    id: s.id,
+                    userAgent: s.user_agent,
+                    ip: s.ip,
+                    createdAt: s.crt_tm,
+                    lastUsedAt: s.last_used_at,
+                    current: s.id === req.user.sid,
+                })),
+            });
+        } catch (e) {
+            console.error("Error listing sessions:", e);
+            return res.status(500).json({ ok: false, error: "Failed to list sessions" });
+        }
+    });
+
+    // Signs out every other device.
+    router.delete("/", async (req, res) => {
+        try {
+            const revoked = await db.authSessions.revokeAllForUser(req.user.id, { except: req.user.sid });
+            return res.json({ ok: true, revoked: revoked.length });
+        } catch (e) {
+            console.error("Error revoking sessions:", e);
+            return res.status(500).json({ ok: false, error: "Failed to sign out sessions" });
+        }
+    });
+
+    router.delete("/:id", async (req, res) => {
+        try {
+            const session = await db.authSessions.revoke(Number(req.params.id), req.user.id);
+            if (!session) {
+                return res.status(404).json({ ok: false, error: "Session not found" });
+            }
+            return res.json({ ok: true });
+        } catch (e) {
+            console.error("Error revoking session:", e);
+            return res.status(500).json({ ok: false, error: "Failed to sign out session" });
+        }
+    });
+
+    return router;
+}
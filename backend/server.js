@@ -3,12 +3,44 @@ import cors from "cors";
 import dotenv from "dotenv";
 import passport from "passport";
 import session from "express-session";
-import { Strategy as GoogleStrategy } from "passport-google-oauth20";
-import { createClient } from "@supabase/supabase-js";
-import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
-import schedile from "node-schedule";
-import cron from "node-cron";
+import { createRepositories, createStore, DRIVER_ENV } from "./db/index.js";
+import { createGenerator, LlmError, missingLlmEnv } from "./llm/index.js";
+import { createMailer, missingMailEnv } from "./mail/index.js";
+import { createLiveHub } from "./live/hub.js";
+import { attachLiveSockets } from "./live/socket.js";
+import { QUIZ_STATUS } from "./db/repositories/quizzes.js";
+import { createQuizAuthoringRouter } from "./routes/quizzes.js";
+import { createQuizAccessRouter } from "./routes/access.js";
+import { createSessionRouter } from "./routes/sessions.js";
+import { AuthError, createSessionService } from "./auth/sessions.js";
+import { consumeOneTimeToken } from "./auth/tokens.js";
+import { OAUTH_CODE_PURPOSE, checkNewPassword, sendVerificationMail } from "./auth/account.js";
+import { createProviderRegistry, missingAuthEnv } from "./auth/providers.js";
+import { createRateLimiter, tooManyRequests } from "./limits/index.js";
+import { createAccountRouter } from "./routes/account.js";
+import { createOAuthRouter } from "./routes/oauth.js";
+import { createClassroomRouter } from "./routes/classrooms.js";
+import { createQuestionBankRouter } from "./routes/bank.js";
+import { createReviewRouter } from "./routes/review.js";
+import { createPracticeRouter } from "./routes/practice.js";
+import { toEditorView } from "./quiz/draft.js";
+import { gradeSubmission } from "./quiz/grading.js";
+import { generateQuiz } from "./quiz/generate.js";
+import { QuizValidationError } from "./quiz/schema.js";
+import { TYPE_NAMES } from "./quiz/types.js";
+import { normalizeScoring, scoreSubmission } from "./quiz/scoring.js";
+import { normalizeSettings, resolveSettings } from "./quiz/settings.js";
+import { checkTiming, deadlineFor, normalizeQuestionTimes } from "./quiz/timing.js";
+import { withRoster } from "./quiz/roster.js";
+import { learnerProgress, normalizeProgressQuery } from "./quiz/progress.js";
+import { findQuizForPlayer, redeemInvite } from "./quiz/access.js";
+import { canManageQuiz, checkQuizClassroom } from "./classroom/access.js";
+import { BANK_SOURCES, saveToBank, topicTag } from "./quiz/bank.js";
+import { finalizeQuiz, publishQuiz } from "./quiz/lifecycle.js";
+import { normalizeSchedule, scheduleOf } from "./quiz/schedule.js";
+import { createQuizScheduler } from "./quiz/scheduler.js";
+import { attemptsLeft, recordAttempt, submissionResponse, syncLeaderboard } from "./quiz/attempts.js";
 
 
 dotenv.config();
@@ -17,14 +49,25 @@ const requiredEnv = [
     "PORT",
     "SESSION_SECRET",
     "JWT_SECRET",
-    "GOOGLE_CLIENT_ID",
-    "GOOGLE_CLIENT_SECRET",
-    "GOOGLE_CALLBACK_URL",
-    "SUPABASE_URL",
-    "SUPABASE_SERVICE_ROLE_KEY",
-    "OPENROUTER_API_KEY"
 ];
 
+// supabase (default), postgres or memory - see db/index.js
+const dbDriver = process.env.DB_DRIVER || "supabase";
+if (!DRIVER_ENV[dbDriver]) {
+    console.error(`Unknown DB_DRIVER: ${dbDriver}`);
+    process.exit(1);
+}
+requiredEnv.push(...DRIVER_ENV[dbDriver]);
+
+// LLM_PROVIDER: openrouter (default), openai or fixture - see llm/index.js
+requiredEnv.push(...missingLlmEnv());
+
+// MAIL_TRANSPORT: console (default), file or smtp - see mail/index.js
+requiredEnv.push(...missingMailEnv());
+
+// AUTH_PROVIDERS: outside sign-in providers - see auth/providers.js
+requiredEnv.push(...missingAuthEnv());
+
 for (const k of requiredEnv) {
     if (!process.env[k]) {
         console.error(`Missing env var: ${k}`);
@@ -34,16 +77,19 @@ for (const k of requiredEnv) {
 
 const app = express();
 app.set("trust proxy", 1);
+// Imported files (QTI packages arrive base64-encoded) are bigger than the rest
+app.use("/quizzes/import", express.json({ limit: "5mb" }));
 app.use(express.json());
 
+// The frontend plus any origins in CORS_ORIGINS (comma-separated)
 app.use(cors({
   origin: [
     "http://localhost:5173",
     "http://localhost:3000",
     "http://localhost:3939",
-    "https://qzizzlearn.vercel.app",
-    "https://qzizz-backend.onrender.com",
-    /\.vercel\.app$/,
+    ...[process.env.FRONTEND_URL, ...(process.env.CORS_ORIGINS || "").split(",")]
+      .map((o) => (o || "").trim().replace(/\/$/, ""))
+      .filter(Boolean),
   ],
   credentials: true,
 }));
@@ -66,168 +112,81 @@ app.use(
 );
 
 app.use(passport.initialize());
-app.use(passport.session());
-
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
 
-function issueJwt(payload) {
-    return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: "1h" });
-}
-
-// Hourly cleanup job - removes quizzes older than 1 hour
-cron.schedule('0 * * * *', async () => {
-    console.log('Running hourly quiz cleanup...');
-
-    try {
-        const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+const db = createRepositories(createStore(dbDriver));
+const llm = createGenerator();
+const quizGenerationAttempts = Number(process.env.QUIZ_GENERATION_ATTEMPTS) || 3;
+const inviteSecret = process.env.INVITE_SECRET || process.env.JWT_SECRET;
+const mailer = createMailer();
+const appUrl = (process.env.FRONTEND_URL || "").replace(/\/$/, "");
+const authProviders = createProviderRegistry();
+
+// RATE_LIMIT_STORE: memory (default) or database - see limits/index.js
+const limits = createRateLimiter({ db });
+const byIp = (req) => req.ip;
+const generationLimits = [
+    limits.limit("generate_ip", byIp),
+    limits.limit("generate_user", (req) => req.user.id),
+];
 
-        const { data, error } = await supabase
-            .from("activeQuizes")
-            .update({ closed: true })
-            .lt("crt_tm", oneHourAgo)
-            .select();
+// Short-lived access tokens plus rotating refresh tokens, one session per device
+const sessions = createSessionService({
+    db,
+    secret: process.env.JWT_SECRET,
+    accessTtl: process.env.ACCESS_TOKEN_TTL || "15m",
+    refreshDays: Number(process.env.REFRESH_TOKEN_DAYS) || 30,
+});
 
-        if (error) {
-            console.error("Error updating quizzes:", error);
-        }
+function clientInfo(req) {
+    return { userAgent: req.get("user-agent"), ip: req.ip };
+}
 
-    } catch (e) {
-        console.error('❌ Error in quiz cleanup job:', e);
-    }
-}, {
-    scheduled: true,
-    timezone: "Asia/Kolkata"
+// Opens and closes quizzes at the times their hosts set
+const scheduler = createQuizScheduler({ db });
+scheduler.start().catch((e) => {
+    console.error("Failed to load quiz schedules:", e);
 });
 
 
-function authenticateToken(req, res, next) {
+function verifyToken(token) {
+    return sessions.verify(token);
+}
+
+// Signed-out sessions are rejected even while their access token is unexpired
+async function authenticateToken(req, res, next) {
     const authHeader = req.headers.authorization || "";
     const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
     if (!token) return res.status(401).json({ error: "Missing token" });
 
     try {
-        const claims = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = claims;
-        next();
+        req.user = await verifyToken(token);
     } catch (e) {
+        if (!(e instanceof AuthError)) console.error("Token check failed:", e);
         return res.status(403).json({ error: "Invalid or expired token" });
     }
+    next();
 }
 
-// Configure Google OAuth Strategy
-passport.use(
-    new GoogleStrategy(
-        {
-            clientID: process.env.GOOGLE_CLIENT_ID,
-            clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-            callbackURL: process.env.GOOGLE_CALLBACK_URL,
-            proxy: true, // Added for correct callback handling behind proxy
-        },
-        async (accessToken, refreshToken, profile, done) => {
-            try {
-                console.log("Google profile received:", profile); // Debug log
-
-                const email =
-                    profile.emails && profile.emails.length ? profile.emails[0].value : null;
-                const name = profile.displayName || "";
-
-                if (!email) {
-                    console.error("No email in Google profile"); // Debug log
-                    return done(new Error("No email returned by Google profile"));
-                }
-
-                const { data: existing, error: selErr } = await supabase
-                    .from("userinfo")
-                    .select("*")
-                    .eq("mail", email)
-                    .maybeSingle();
-
-                if (selErr) {
-                    console.error("Database error during user lookup:", selErr);
-                    return done(selErr);
-                }
-
-                let dbUser = existing;
-
-                // If user doesn't exist, create new user
-                if (!existing) {
-                    const { data: inserted, error: insErr } = await supabase
-                        .from("userinfo")
-                        .insert([
-                            {
-                                mail: email,
-                                name: name,
-                                pass: "google-auth",
-                                accr_tm: new Date().toISOString(),
-                                lstlogin_tm: new Date().toISOString(),
-                            },
-                        ])
-                        .select()
-                        .single();
-
-                    if (insErr) {
-                        console.error("Database error during user creation:", insErr);
-                        return done(insErr);
-                    }
-                    dbUser = inserted;
-                } else {
-                    const { error: updateErr } = await supabase
-                        .from("userinfo")
-                        .update({ lstlogin_tm: new Date().toISOString() })
-                        .eq("mail", email);
-
-                    if (updateErr) {
-                        console.error("Database error during login update:", updateErr);
-                    }
-                }
-
-                return done(null, {
-                    appUserId: dbUser.id,
-                    appUserMail: dbUser.mail,
-                    name: dbUser.name,
-                });
-            } catch (e) {
-                console.error("Detailed Google OAuth error:", e); // Enhanced logging
-                return done(e);
-            }
-        }
-    )
-);
-
-passport.serializeUser((user, done) => {
-    done(null, user);
-});
-
-passport.deserializeUser((obj, done) => {
-    done(null, obj);
-});
-
 // Routes
 app.get("/", (req, res) => {
     res.json({ ok: true, message: "Auth server running" });
 });
 
 // Local signup
-app.post("/signup", async (req, res) => {
+app.post("/signup", limits.limit("signup_ip", byIp), async (req, res) => {
     try {
         const { mail, pass } = req.body;
         const name = mail.split("@")[0];
         if (!mail || !pass) {
             return res.status(400).json({ error: "mail and pass required" });
         }
-
-        // Check if user already exists
-        const { data: existing, error: selErr } = await supabase
-            .from("userinfo")
-            .select("*")
-            .eq("mail", mail)
-            .maybeSingle();
-
-        if (selErr) {
-            console.error("Database error during signup lookup:", selErr);
-            return res.status(500).json({ error: "Database error" });
+        const problem = checkNewPassword(pass);
+        if (problem) {
+            return res.status(400).json({ ok: false, error: problem });
         }
 
+        // Check if user already exists
+        const existing = await db.users.findByMail(mail);
         if (existing) {
             return res.status(409).json({ error: "User already exists" });
         }
@@ -236,30 +195,19 @@ app.post("/signup", async (req, res) => {
         const hashed = await bcrypt.hash(pass, 12);
 
         // Create new user
-        const { data: inserted, error: insErr } = await supabase
-            .from("userinfo")
-            .insert([
-                {
-                    mail,
-                    name: name || "",
-                    pass: hashed,
-                    accr_tm: new Date().toISOString(),
-                    lstlogin_tm: new Date().toISOString(),
-                },
-            ])
-            .select()
-            .single();
+        const inserted = await db.users.create({ mail, name, pass: hashed });
 
-        if (insErr) {
-            console.error("Database error during signup:", insErr);
-            return res.status(500).json({ error: "Failed to create user" });
-        }
+        // Signing up doesn't wait for the mail; /auth/resend-verification
+        // can send it again
+        sendVerificationMail({ db, mailer, appUrl }, inserted).catch((mailErr) => {
+            console.error("Failed to send verification mail:", mailErr);
+        });
 
-        const token = issueJwt({ id: inserted.id, mail: inserted.mail });
+        const tokens = await sessions.issue(inserted, clientInfo(req));
         return res.json({
             ok: true,
-            token,
-            user: { id: inserted.id, mail: inserted.mail, name: inserted.name }
+            ...tokens,
+            user: { id: inserted.id, mail: inserted.mail, name: inserted.name, emailVerified: false }
         });
     } catch (e) {
         console.error("Signup error:", e);
@@ -268,51 +216,40 @@ app.post("/signup", async (req, res) => {
 });
 
 // Local login
-app.post("/login", async (req, res) => {
+app.post("/login", limits.limit("login_ip", byIp), async (req, res) => {
     try {
         const { mail, pass } = req.body;
         if (!mail || !pass) {
             return res.status(400).json({ error: "mail and pass required" });
         }
 
-        // Find user
-        const { data: user, error: selErr } = await supabase
-            .from("userinfo")
-            .select("*")
-            .eq("mail", mail)
-            .maybeSingle();
-
-        if (selErr) {
-            console.error("Database error during login:", selErr);
-            return res.status(500).json({ error: "Database error" });
+        // Locked after repeated failures, even for the right password
+        const locked = await limits.lockout.check(mail);
+        if (locked) {
+            return tooManyRequests(res, locked, "Too many failed sign-in attempts, try again later");
         }
 
-        if (!user || !user.pass) {
-            return res.status(401).json({ error: "Invalid credentials" });
-        }
+        // Find user
+        const user = await db.users.findByMail(mail);
 
         // Verify password
-        const isValidPassword = await bcrypt.compare(pass, user.pass);
+        const isValidPassword = Boolean(user && user.pass) && await bcrypt.compare(pass, user.pass);
         if (!isValidPassword) {
+            await limits.lockout.fail(mail);
             return res.status(401).json({ error: "Invalid credentials" });
         }
+        await limits.lockout.succeed(mail);
 
-        // Update last login time
-        const { error: updateErr } = await supabase
-            .from("userinfo")
-            .update({ lstlogin_tm: new Date().toISOString() })
-            .eq("id", user.id);
-
-        if (updateErr) {
+        // Update last login time - don't fail login for this error
+        await db.users.touchLogin(user.id).catch((updateErr) => {
             console.error("Error updating last login:", updateErr);
-            // Don't fail login for this error
-        }
+        });
 
-        const token = issueJwt({ id: user.id, mail: user.mail });
+        const tokens = await sessions.issue(user, clientInfo(req));
         return res.json({
             ok: true,
-            token,
-            user: { id: user.id, mail: user.mail, name: user.name }
+            ...tokens,
+            user: { id: user.id, mail: user.mail, name: user.name, emailVerified: Boolean(user.email_verified_at) }
         });
     } catch (e) {
         console.error("Login error:", e);
@@ -320,65 +257,35 @@ app.post("/login", async (req, res) => {
     }
 });
 
-// Google OAuth routes
-app.get(
-    "/auth/google",
-    passport.authenticate("google", {
-        scope: ["profile", "email"],
-        session: true
-    })
-);
-
-app.get(
-  "/auth/google/callback",
-  (req, res, next) => {
-    console.log("=== OAUTH CALLBACK DEBUG ===");
-    console.log("Query params:", req.query);
-    console.log("Session before auth:", req.session);
-    console.log("Headers:", JSON.stringify(req.headers, null, 2));
-    console.log("Environment check:", {
-      NODE_ENV: process.env.NODE_ENV,
-      CALLBACK_URL: process.env.GOOGLE_CALLBACK_URL
-    });
-    next();
-  },
-  (req, res, next) => {
-    passport.authenticate("google", {
-      failureRedirect: "/auth/failure",
-      session: true,
-    })(req, res, (err) => {
-      if (err) {
-        console.error("Passport authenticate error:", err);
-        return res.redirect("https://qzizzlearn.vercel.app/?error=auth_error");
-      }
-      next();
-    });
-  },
-  (req, res) => {
+// Swaps the one-time code from the OAuth redirect for tokens
+app.post("/auth/exchange", async (req, res) => {
     try {
-      console.log("=== AUTH SUCCESS ===");
-      console.log("User:", req.user);
-      console.log("Session after auth:", req.session);
-      
-      const user = req.user;
-      if (!user || !user.appUserId || !user.appUserMail) {
-        console.error("User identity not resolved:", user);
-        return res.redirect("https://qzizzlearn.vercel.app/?error=auth_failed");
-      }
-
-      const token = issueJwt({ id: user.appUserId, mail: user.appUserMail });
-      res.redirect(`https://qzizzlearn.vercel.app/?token=${token}&ok=true`);
+        const grant = await consumeOneTimeToken(db, OAUTH_CODE_PURPOSE, req.body.code);
+        const user = grant && await db.users.findById(grant.user_id);
+        if (!user) {
+            return res.status(400).json({ ok: false, error: "Invalid or expired code" });
+        }
+        const tokens = await sessions.issue(user, clientInfo(req));
+        return res.json({ ok: true, ...tokens, user: { id: user.id, mail: user.mail, name: user.name } });
     } catch (e) {
-      console.error("Error in Google callback:", e);
-      res.redirect("https://qzizzlearn.vercel.app/?error=callback_failed");
+        console.error("Code exchange error:", e);
+        return res.status(500).json({ ok: false, error: "Sign-in failed" });
     }
-  }
-);
-
+});
 
-// Auth failure route
-app.get("/auth/failure", (req, res) => {
-    res.redirect("https://qzizz-backend.onrender.com/?error=google_auth_failed");
+// New access token and refresh token for a refresh token; each refresh
+// token works once
+app.post("/auth/refresh", async (req, res) => {
+    try {
+        const tokens = await sessions.refresh(req.body.refreshToken);
+        return res.json({ ok: true, ...tokens });
+    } catch (e) {
+        if (e instanceof AuthError) {
+            return res.status(401).json({ ok: false, error: e.message });
+        }
+        console.error("Refresh error:", e);
+        return res.status(500).json({ ok: false, error: "Refresh failed" });
+    }
 });
 
 // Protected route
@@ -386,8 +293,21 @@ app.get("/protected", authenticateToken, (req, res) => {
     res.json({ message: "This is protected", user: req.user });
 });
 
-// Logout
-app.post("/logout", (req, res) => {
+// Logout: signs out the session behind the access token (or refresh token),
+// then clears the OAuth cookie session
+app.post("/logout", async (req, res) => {
+    const authHeader = req.headers.authorization || "";
+    try {
+        const claims = authHeader.startsWith("Bearer ")
+            ? await verifyToken(authHeader.slice(7)).catch(() => null)
+            : null;
+        if (claims) await sessions.revoke(claims.sid, claims.id);
+        else if (req.body?.refreshToken) await sessions.signOut(req.body.refreshToken);
+    } catch (e) {
+        console.error("Session revoke error:", e);
+        return res.status(500).json({ error: "Logout failed" });
+    }
+
     req.logout((err) => {
         if (err) {
             console.error("Logout error:", err);
@@ -403,61 +323,64 @@ app.post("/logout", (req, res) => {
     });
 });
 
-app.post("/create-quiz", authenticateToken, async (req, res) => {
-    const { title, questions } = req.body;
+// Generates a draft with the LLM. Hosts review it through /quizzes/:id and
+// publish it from there; pass `publish: true` to skip the review.
+app.post("/create-quiz", authenticateToken, ...generationLimits, async (req, res) => {
+    const { title, questions, publish, types, classroomId = null } = req.body;
 
-    let messages = [
-        {
-            role: "system",
-            content: "You are a quiz creator. Respond with only valid JSON."
-        },
-        {
-            role: "user",
-            content: `Create a ${questions} question quiz about "${title}". 
-
-Respond with this exact JSON format:
-{
-  "validity": "valid",
-  "title": "${title}",
-  "questions": [
-    {
-      "id": 1,
-      "question": "Question text?",
-      "options": {"A": "Option 1", "B": "Option 2", "C": "Option 3", "D": "Option 4"}
+    if (typeof title !== "string" || !title.trim()) {
+        return res.status(400).json({ ok: false, error: "title required" });
     }
-  ],
-  "answers": [
-    {"id": 1, "correct_option": "A"}
-  ]
-}
-
-If inappropriate content, set validity to "invalid".`
-        }
-    ];
 
-    try {
-        const response = await fetch("https://openrouter.ai/api/v1/chat/completions", {
-            method: "POST",
-            headers: {
-                "Content-Type": "application/json",
-                "Authorization": `Bearer ${process.env.OPENROUTER_API_KEY}`,
-            },
-            body: JSON.stringify({
-                model: "mistralai/mistral-7b-instruct",
-                messages: messages,
-            }),
-        });
+    const { scoring, errors: scoringErrors } = normalizeScoring(req.body.scoring);
+    if (scoringErrors.length) {
+        return res.status(400).json({ ok: false, error: "Invalid scoring", details: scoringErrors });
+    }
+    const { settings, errors: settingsErrors } = normalizeSettings(req.body.settings);
+    if (settingsErrors.length) {
+        return res.status(400).json({ ok: false, error: "Invalid settings", details: settingsErrors });
+    }
+    const { schedule, errors: scheduleErrors } = normalizeSchedule(req.body.schedule);
+    if (scheduleErrors.length) {
+        return res.status(400).json({ ok: false, error: "Invalid schedule", details: scheduleErrors });
+    }
 
-        const responseData = await response.json();
-        const content = responseData.choices[0].message.content;
+    // Optional mix of question types, e.g. { "single": 3, "numeric": 2 }
+    let mix;
+    if (types != null) {
+        const entries = typeof types === "object" && !Array.isArray(types) ? Object.entries(types) : [];
+        const bad = !entries.length || entries.some(([t, n]) => !TYPE_NAMES.includes(t) || !Number.isInteger(n) || n < 1);
+        if (bad) {
+            return res.status(400).json({
+                ok: false,
+                error: `types must map question types (${TYPE_NAMES.join(", ")}) to counts`
+            });
+        }
+        mix = Object.fromEntries(entries);
+    }
 
-        // Clean and parse JSON
-        let cleanContent = content.replace(/``````/g, '').trim();
+    const count = questions != null ? Number(questions) : Object.values(mix || {}).reduce((a, b) => a + b, 0);
+    if (mix && Object.values(mix).reduce((a, b) => a + b, 0) !== count) {
+        return res.status(400).json({ ok: false, error: "types must add up to questions" });
+    }
+    if (!Number.isInteger(count) || count < 1 || count > 50) {
+        return res.status(400).json({ ok: false, error: "questions must be a whole number between 1 and 50" });
+    }
+    const classroomError = await checkQuizClassroom(db, classroomId, req.user);
+    if (classroomError) {
+        return res.status(400).json({ ok: false, error: classroomError });
+    }
 
-        // Additional cleaning for common AI response issues
-        cleanContent = cleanContent.replace(/^[^{]*/, '').replace(/[^}]*$/, '');
+    // Every generation costs money, whatever comes of it
+    const usage = await limits.quota.consume(req.user.id);
+    if (!usage.allowed) {
+        return tooManyRequests(res, usage, "Daily quiz generation limit reached", { quota: usage.quota });
+    }
 
-        const quizData = JSON.parse(cleanContent);
+    try {
+        const quizData = await generateQuiz(llm, { title: title.trim(), count, mix }, {
+            attempts: quizGenerationAttempts,
+        });
 
         // Check validity
         if (quizData.validity === "invalid") {
@@ -468,31 +391,41 @@ If inappropriate content, set validity to "invalid".`
         }
 
         try {
-            const { data, error } = await supabase
-                .from("activeQuizes")
-                .insert({
-                    title: quizData.title,
-                    created_mail: req.user.mail,
-                    questions: quizData.questions,
-                    answers: quizData.answers,
-                    joined_ppl: [],
-                    completed_ppl: [],
-                    closed: false,
-                    crt_tm: new Date().toISOString()
-                })
-                .select()
-                .single();
-
-            if (error) {
-                console.error("Supabase insert error:", error);
-                return res.status(500).json({
-                    ok: false,
-                    error: "Database insert failed"
+            let data = await db.quizzes.create({
+                title: quizData.title,
+                createdMail: req.user.mail,
+                questions: quizData.questions,
+                answers: quizData.answers,
+                scoring,
+                settings,
+                schedule,
+                classroomId: classroomId == null ? null : Number(classroomId),
+            });
+            // Generated questions land in the host's bank, tagged with the topic
+            try {
+                const refs = await saveToBank(db, req.user.id, toEditorView(data).questions, {
+                    source: BANK_SOURCES.GENERATED,
+                    tags: [topicTag(data.title)],
                 });
+                data = await db.quizzes.update(data.id, { bank_refs: refs });
+            } catch (e) {
+                console.error("Error saving questions to bank:", e);
+            }
+            // Publishing goes through the same checks as POST /quizzes/:id/publish;
+            // if they fail the quiz stays a draft for the host to fix
+            let publishErrors = [];
+            if (publish === true) {
+                const published = await publishQuiz(db, data, req.user.mail, { scheduler, ownerId: req.user.id });
+                data = published.quiz || data;
+                publishErrors = published.errors;
             }
             return res.status(201).json({
                 ok: true,
-                quizCode: data.id
+                quizId: data.id,
+                status: data.status,
+                ...(data.status !== QUIZ_STATUS.DRAFT ? { quizCode: data.join_code } : {}),
+                ...(publishErrors.length ? { publishErrors } : {}),
+                quiz: toEditorView(data)
             });
 
         } catch (dbError) {
@@ -505,6 +438,19 @@ If inappropriate content, set validity to "invalid".`
 
     } catch (error) {
         console.error("Error:", error);
+        if (error instanceof LlmError) {
+            return res.status(502).json({
+                ok: false,
+                error: "Quiz generator unavailable, try again later"
+            });
+        }
+        if (error instanceof QuizValidationError) {
+            return res.status(422).json({
+                ok: false,
+                error: `The generated quiz was still invalid after ${error.attempts} attempts`,
+                details: error.errors
+            });
+        }
         return res.status(500).json({
             ok: false,
             error: "Quiz creation failed"
@@ -520,70 +466,23 @@ app.post("/close-quiz", authenticateToken, async (req, res) => {
     }
 
     try {
-        // First, close the quiz
-        const { data, error } = await supabase
-            .from("activeQuizes")
-            .update({ closed: true })
-            .eq("id", parseInt(quizCode))
-            .eq("created_mail", req.user.mail)
-            .select();
-
-        if (error) {
-            console.error("Database update error:", error);
-            return res.status(500).json({ ok: false, error: "Failed to close quiz" });
-        }
-
-        if (!data || data.length === 0) {
+        // The host or a teacher of the quiz's classroom
+        const quiz = await db.quizzes.findById(parseInt(quizCode));
+        if (!quiz || !(await canManageQuiz(db, quiz, req.user))) {
             return res.status(404).json({ ok: false, error: "Quiz not found or unauthorized" });
         }
 
-        // Now fetch the quiz data to update positions
-        const { data: qzdata, error: qzerror } = await supabase // Fixed: qzdata, qzerror instead of destructuring incorrectly
-            .from("activeQuizes")
-            .select("*")
-            .eq("id", parseInt(quizCode))
-            .single();
-
-        if (qzerror) {
-            console.error("Error fetching quiz data:", qzerror);
-            return res.status(500).json({ ok: false, error: "Failed to fetch quiz data for ranking" });
-        }
-
-        if (qzdata && qzdata.completed_ppl) {
-            const temp = qzdata.completed_ppl;
-
-            // Check if temp is an array and has elements
-            if (Array.isArray(temp) && temp.length > 0) {
-                // Sort by score (highest first) and assign positions
-                let sorted = [...temp]
-                    .sort((a, b) => b.score - a.score)
-                    .map((player, index) => ({
-                        ...player,
-                        position: index + 1,
-                    }));
-
-                // Update the quiz with sorted positions
-                const { data: updateData, error: updateError } = await supabase // Fixed: updata -> update, proper destructuring
-                    .from("activeQuizes")
-                    .update({ completed_ppl: sorted })
-                    .eq("id", parseInt(quizCode))
-                    .select();
-
-                if (updateError) {
-                    console.error("Error updating positions:", updateError);
-                    return res.status(500).json({
-                        ok: false,
-                        error: "Quiz closed but failed to update positions"
-                    });
-                }
-
-            }
+        // Same finalization as a scheduled close
+        const closed = await finalizeQuiz(db, quiz.id, { mail: quiz.created_mail, scheduler });
+        if (!closed) {
+            return res.status(409).json({ ok: false, error: "Quiz is already closed" });
         }
+        const { standings } = closed;
 
         return res.json({
             ok: true,
             message: "Quiz closed successfully",
-            ranked: qzdata?.completed_ppl?.length > 0
+            ranked: standings.length > 0
         });
 
     } catch (e) {
@@ -593,56 +492,35 @@ app.post("/close-quiz", authenticateToken, async (req, res) => {
 });
 
 
+// Join with a join code or an invite link token. The returned quizId works
+// for /quiz and /submit-ans from then on.
 app.post("/join-quiz", authenticateToken, async (req, res) => {
-    const { quizCode } = req.body;
+    const { quizCode, invite } = req.body;
 
-    if (!quizCode) {
-        return res.status(400).json({ ok: false, error: "quizCode required" });
+    if (!quizCode && !invite) {
+        return res.status(400).json({ ok: false, error: "quizCode or invite required" });
     }
 
     try {
-        // Fix: Select both 'id' and 'joined_ppl' columns
-        const { data: quiz, error } = await supabase
-            .from('activeQuizes')
-            .select('id, joined_ppl')  // Add joined_ppl here
-            .eq('id', quizCode)
-            .eq('closed', false) // Ensure quiz is not closed
-            .maybeSingle();
-
-        if (error) {
-            throw error;
+        let quiz;
+        if (invite) {
+            const redeemed = await redeemInvite(db, inviteSecret, invite, req.user);
+            if (redeemed.error) {
+                return res.status(redeemed.status).json({ ok: false, error: redeemed.error });
+            }
+            quiz = redeemed.quiz;
+        } else {
+            quiz = await findQuizForPlayer(db, quizCode, req.user);
         }
 
-        if (!quiz) {
+        if (!quiz || quiz.status === QUIZ_STATUS.DRAFT || quiz.closed) {
             return res.status(404).json({ ok: false, error: "Quiz not found" });
         }
 
-        // Handle joined_ppl safely
-        let joinedPpl = [];
-        if (quiz.joined_ppl) {
-            joinedPpl = Array.isArray(quiz.joined_ppl) ? [...quiz.joined_ppl] : [];
-        }
-
-        // Only update if user is not already in the list
-        // Only update if user is not already in the list
-        if (!joinedPpl.includes(req.user.id)) {
-            joinedPpl.push(req.user.id);
+        // One row per player; joining twice is a no-op
+        await db.participants.join(quiz.id, req.user.id);
 
-            const { data, error: updErr } = await supabase
-                .from("activeQuizes")
-                .update({ joined_ppl: joinedPpl })  // ✅ Fixed syntax
-                .eq("id", quizCode)
-                .select();
-
-            if (updErr) {
-                console.error("Database update error:", updErr);
-                return res.status(500).json({ ok: false, error: "Failed to join quiz" });
-            }
-
-        }
-
-
-        return res.json({ ok: true });
+        return res.json({ ok: true, quizId: quiz.id, status: quiz.status });
 
     } catch (error) {
         console.error("Error in join-quiz:", error);
@@ -656,18 +534,33 @@ app.post("/quiz", authenticateToken, async (req, res) => {
         return res.status(400).json({ ok: false, error: "quizCode required" });
     }
     try {
-        const { data: quiz, error } = await supabase
-            .from("activeQuizes")
-            .select("*")
-            .eq("id", quizCode)
-            .maybeSingle();
+        const quiz = await findQuizForPlayer(db, quizCode, req.user);
 
-        if (error) {
-            throw error;
+        // Drafts stay private to their author
+        if (!quiz || (quiz.status === QUIZ_STATUS.DRAFT && quiz.created_mail !== req.user.mail)) {
+            return res.status(404).json({ ok: false, error: "Quiz not found" });
+        }
+        if (quiz.status === QUIZ_STATUS.SCHEDULED && quiz.created_mail !== req.user.mail) {
+            return res.status(403).json({ ok: false, error: "Quiz has not opened yet", opensAt: scheduleOf(quiz).opensAt });
         }
 
-        if (!quiz) {
-            return res.status(404).json({ ok: false, error: "Quiz not found" });
+        // Serving the questions starts the player's clock; it starts over only
+        // once an attempt is finished and the quiz allows another
+        const settings = resolveSettings(quiz.settings);
+        let timing = {};
+        if (quiz.created_mail !== req.user.mail && quiz.status === QUIZ_STATUS.PUBLISHED && !quiz.closed) {
+            let participant = await db.participants.start(quiz.id, req.user.id);
+            const used = (await db.results.listForQuizUser(quiz.id, req.user.id)).length;
+            const remaining = attemptsLeft(settings, used);
+            if (participant.finished_at && remaining !== 0) {
+                participant = await db.participants.restart(quiz.id, req.user.id);
+            }
+            timing = {
+                attemptsUsed: used,
+                attemptsRemaining: remaining,
+                startedAt: participant.started_at,
+                deadline: deadlineFor(settings, quiz.questions.length, participant.started_at),
+            };
         }
 
         return res.json({
@@ -675,7 +568,11 @@ app.post("/quiz", authenticateToken, async (req, res) => {
             quiz: {
                 id: quiz.id,
                 title: quiz.title,
-                questions: quiz.questions
+                questions: quiz.questions,
+                timeLimit: settings.timeLimit,
+                questionTimeLimit: settings.questionTimeLimit,
+                closesAt: scheduleOf(quiz).closesAt,
+                ...timing
             }
         });
 
@@ -686,146 +583,114 @@ app.post("/quiz", authenticateToken, async (req, res) => {
 });
 
 app.post("/submit-ans", authenticateToken, async (req, res) => {
-    const { quizCode, answers, startTime, endTime } = req.body;
+    const { quizCode, answers } = req.body;
 
     if (!quizCode || !answers) {
         return res.status(400).json({ ok: false, error: "quizCode and answers required" });
     }
 
     try {
-        const { data: quiz, error } = await supabase
-            .from("activeQuizes")
-            .select("*")
-            .eq("id", quizCode)
-            .eq("closed", false) // Ensure quiz is not closed
-            .maybeSingle();
-
-        if (error) {
-            throw error;
-        }
+        const quiz = await findQuizForPlayer(db, quizCode, req.user);
 
-        if (!quiz) {
+        if (!quiz || quiz.status !== QUIZ_STATUS.PUBLISHED || quiz.closed) {
             return res.status(404).json({ ok: false, error: "Quiz not found" });
         }
 
-
-        // Calculate time taken (in seconds)
-        let timeTaken = 0;
-        if (startTime && endTime) {
-            timeTaken = Math.floor((new Date(endTime) - new Date(startTime)) / 1000);
+        // Time taken comes from when /quiz served the questions, never
+        // from the client
+        const participant = await db.participants.find(quiz.id, req.user.id);
+        if (!participant?.started_at) {
+            return res.status(409).json({ ok: false, error: "Open the quiz before submitting answers" });
         }
 
-        // Create answer key - handle both possible structures
-        const answerKey = {};
+        const remaining = async () =>
+            attemptsLeft(quiz.settings, (await db.results.listForQuizUser(quiz.id, req.user.id)).length);
 
-        if (Array.isArray(quiz.answers)) {
-            // If quiz.answers is array like [{"id": 1, "correct_option": "A"}, ...]
-            for (const ans of quiz.answers) {
-                answerKey[ans.id] = ans.correct_option;
+        // Retries with the same key get the original result back, even
+        // after the deadline has passed
+        const submissionKey = req.body.submissionKey || req.get("Idempotency-Key");
+        if (submissionKey) {
+            const previous = await db.results.findByKey(quiz.id, req.user.id, String(submissionKey));
+            if (previous) {
+                return res.json(submissionResponse(previous, { replayed: true, attemptsRemaining: await remaining() }));
             }
-        } else if (typeof quiz.answers === 'object') {
-            // If quiz.answers is object like {"1": "A", "2": "B", ...}
-            Object.entries(quiz.answers).forEach(([id, option]) => {
-                answerKey[parseInt(id)] = option;
-            });
         }
 
-
-        // Convert user answers object to iterable format
-        const answersArray = Object.entries(answers).map(([questionId, answerData]) => ({
-            id: parseInt(questionId),
-            selected_option: answerData.option
-        }));
-
-
-        // Calculate correct answers
-        let correctAnswers = 0;
-        for (const userAns of answersArray) {
-            if (answerKey[userAns.id] && answerKey[userAns.id] === userAns.selected_option) {
-                correctAnswers++;
-            }
+        if (participant.finished_at) {
+            const error = (await remaining()) === 0
+                ? "No attempts left"
+                : "Open the quiz again to start a new attempt";
+            return res.status(409).json({ ok: false, error });
         }
 
-        const totalQuestions = Object.keys(answerKey).length;
-        const percentage = Math.round((correctAnswers / totalQuestions) * 100);
-
-        const simplePoints = correctAnswers * 10;
+        const timing = checkTiming(quiz.settings, {
+            startedAt: participant.started_at,
+            questionCount: quiz.questions.length,
+        });
+        if (timing.rejected) {
+            return res.status(403).json({
+                ok: false,
+                error: "Time limit exceeded",
+                secondsLate: timing.secondsLate
+            });
+        }
+        const timeTaken = timing.timeTaken;
 
-        const timeBonus = timeTaken > 0 ? Math.max(0, 300 - timeTaken) : 0; // Max 5 min bonus
-        const timeBonusPoints = simplePoints + Math.floor(timeBonus / 10);
+        // Grade each question by its type; partial credit makes score fractional
+        const grading = gradeSubmission(quiz, answers);
+        const correctAnswers = grading.score;
+        const totalQuestions = grading.total;
 
-        const percentagePoints = percentage + (timeTaken > 0 ? Math.max(0, (600 - timeTaken) / 10) : 0);
+        // Points under the quiz's scoring policy (flat, speed bonus, ...)
+        const breakdown = scoreSubmission(quiz.scoring, {
+            results: grading.results,
+            timeTaken,
+            latePenalty: timing.penalty,
+        });
 
-        const { data, error: insErr } = await supabase
-            .from("quizResults")
-            .insert([
-                {
-                    quiz_id: quizCode,
+        let attempt;
+        try {
+            attempt = await recordAttempt(db, {
+                quiz,
+                userId: req.user.id,
+                submissionKey: submissionKey && String(submissionKey),
+                row: {
                     quiz_title: quiz.title,
                     user_mail: req.user.mail,
-                    user_id: req.user.id,
                     score: correctAnswers,
                     total_questions: totalQuestions,
-                    points: simplePoints,
+                    points: breakdown.total,
                     time_taken: timeTaken,
+                    seconds_late: timing.secondsLate,
                     given_answer: answers,
-                    submitted_at: new Date().toISOString()
-                }
-            ])
-            .select()
-            .single();
-
-        if (insErr) {
+                    question_times: normalizeQuestionTimes(req.body.questionTimes, quiz.questions, timeTaken),
+                    breakdown,
+                },
+            });
+        } catch (insErr) {
             console.error("Database insert error:", insErr);
             return res.status(500).json({ ok: false, error: "Failed to record results" });
         }
 
-        // First, get the current completed_ppl array
-        const { data: quizz, error: fetchErr } = await supabase
-            .from("activeQuizes")
-            .select("completed_ppl")
-            .eq("id", quizCode)
-            .maybeSingle();
-
-        if (fetchErr) {
-            console.error("Error fetching quiz:", fetchErr);
-            return res.status(500).json({ ok: false, error: "Database error" });
+        if (attempt.limitReached) {
+            return res.status(409).json({ ok: false, error: "No attempts left" });
+        }
+        if (attempt.conflict) {
+            return res.status(409).json({ ok: false, error: "Another submission for this attempt is in progress" });
+        }
+        if (attempt.replayed) {
+            return res.json(submissionResponse(attempt.result, { replayed: true, attemptsRemaining: await remaining() }));
         }
 
-        let completedPpl = Array.isArray(quizz.completed_ppl) ? quizz.completed_ppl : [];
-
-        // Check if user already exists in completed list
-        const userExists = completedPpl.some(user => user.id === req.user.id);
-
-        if (!userExists) {
-            completedPpl.push({
-                id: req.user.id,
-                name: req.user.mail, // Fixed: req.use.mail -> req.user.mail
-                score: correctAnswers,
-                position: 0
-            });
-
-            const { data: updateData, error: updErr } = await supabase
-                .from("activeQuizes")
-                .update({ completed_ppl: completedPpl })
-                .eq("id", quizCode)
-                .select();
-
-            if (updErr) {
-                console.error("Update error:", updErr);
-                return res.status(500).json({ ok: false, error: "Failed to update completed users" });
-            }
-
+        try {
+            await db.participants.finish(quiz.id, req.user.id);
+            await syncLeaderboard(db, quiz, { userId: req.user.id, name: req.user.mail });
+        } catch (updErr) {
+            console.error("Update error:", updErr);
+            return res.status(500).json({ ok: false, error: "Failed to update completed users" });
         }
 
-        return res.json({
-            ok: true,
-            score: correctAnswers,
-            total: totalQuestions,
-            percentage: percentage,
-            points: simplePoints,
-            timeTaken: timeTaken,
-        });
+        return res.json(submissionResponse(attempt.result, { attemptsRemaining: await remaining() }));
 
     } catch (e) {
         console.error("Error submitting answers:", e);
@@ -835,44 +700,35 @@ app.post("/submit-ans", authenticateToken, async (req, res) => {
 
 app.get("/profile", authenticateToken, async (req, res) => {
     try {
-        const { data: user, error } = await supabase
-            .from("userinfo")
-            .select("id, mail, name, accr_tm, lstlogin_tm")
-            .eq("id", req.user.id)
-            .maybeSingle();
+        const dbUser = await db.users.findById(req.user.id);
 
-        if (error) {
-            throw error;
-        }
-
-        if (!user) {
+        if (!dbUser) {
             return res.status(404).json({ ok: false, error: "User not found" });
         }
 
+        const { id, mail, name, accr_tm, lstlogin_tm, email_verified_at } = dbUser;
+        const user = { id, mail, name, accr_tm, lstlogin_tm, emailVerified: Boolean(email_verified_at) };
+
         // Get quiz results
-        const { data: results, error: resErr } = await supabase
-            .from("quizResults")
-            .select("*")
-            .eq("user_id", req.user.id)
-            .order("submitted_at", { ascending: false });
-        if (resErr) {
+        const results = await db.results.listByUser(req.user.id).catch((resErr) => {
             console.error("Error fetching quiz results:", resErr);
-        }
+        });
 
         // Get created quizzes
-        const { data: createdQuizzes, error: cqErr } = await supabase
-            .from("activeQuizes")
-            .select("*")
-            .eq("created_mail", req.user.mail)
-            .order("crt_tm", { ascending: false });
-        if (cqErr) {
-            console.error("Error fetching created quizzes:", cqErr);
-        }
+        const createdQuizzes = await db.quizzes.listByCreator(req.user.mail)
+            .then((quizzes) => Promise.all(quizzes.map((quiz) => withRoster(db, quiz))))
+            .catch((cqErr) => {
+                console.error("Error fetching created quizzes:", cqErr);
+            });
 
         // Attach data to user object to match frontend expectations
         user.joinedQuizes = results || [];        // Note: frontend uses "joinedQuizes"
         user.createdQuizes = createdQuizzes || []; // Note: frontend uses "createdQuizes"
         user.quizResults = results || [];
+        user.generationQuota = await limits.quota.peek(req.user.id).catch((qErr) => {
+            console.error("Error reading generation quota:", qErr);
+            return null;
+        });
 
         return res.json({ ok: true, user });
 
@@ -882,19 +738,28 @@ app.get("/profile", authenticateToken, async (req, res) => {
     }
 });
 
+app.get("/profile/progress", authenticateToken, async (req, res) => {
+    const { options, errors } = normalizeProgressQuery(req.query);
+    if (errors.length) {
+        return res.status(400).json({ ok: false, error: "Invalid query", details: errors });
+    }
+    try {
+        return res.json({ ok: true, progress: await learnerProgress(db, req.user.id, options) });
+    } catch (e) {
+        console.error("Error fetching progress:", e);
+        return res.status(500).json({ ok: false, error: "Failed to fetch progress" });
+    }
+});
+
 
 app.post("/qzinfo", authenticateToken, async (req, res) => {
     const { quizCode } = req.body;
 
     try {
-        const { data, error } = await supabase
-            .from("activeQuizes")
-            .select("*")
-            .eq("id", quizCode)
-            .eq("created_mail", req.user.mail)
-            .single();
-
-        if (error || !data) {
+        const quiz = await db.quizzes.findById(quizCode);
+        const data = quiz && (await canManageQuiz(db, quiz, req.user)) ? await withRoster(db, quiz) : null;
+
+        if (!data) {
             return res.status(500).json({ error: "Failed to get data" });
         }
 
@@ -909,18 +774,8 @@ app.post("/analysis", authenticateToken, async (req, res) => {
     const { quizCode, qid } = req.body;
 
     try {
-        // Fetch quiz data - Add detailed logging
-        const { data: qzdata, error: quizError } = await supabase
-            .from("activeQuizes")
-            .select("*")
-            .eq("id", quizCode)
-            .single();
-
-
-        if (quizError) {
-            console.error("Quiz fetch error:", quizError);
-            return res.status(500).json({ error: `Failed to fetch quiz data: ${quizError.message}`, ok: false });
-        }
+        // Fetch quiz data
+        const qzdata = await db.quizzes.findById(quizCode);
 
         if (!qzdata) {
 
@@ -932,17 +787,8 @@ app.post("/analysis", authenticateToken, async (req, res) => {
             return res.status(401).json({ error: "Quiz is currently running, wait for completion", ok: false });
         }
 
-        // Fetch result data - Add detailed logging
-        const { data: resdata, error: resultError } = await supabase
-            .from("quizResults")
-            .select("*")
-            .eq("id", qid)
-            .single();
-
-        if (resultError) {
-            console.error("Result fetch error:", resultError);
-            return res.status(500).json({ error: `Failed to fetch result data: ${resultError.message}`, ok: false });
-        }
+        // Fetch result data
+        const resdata = await db.results.findById(qid);
 
         if (!resdata) {
             return res.status(404).json({ error: "Result not found", ok: false });
@@ -982,9 +828,17 @@ app.post("/analysis", authenticateToken, async (req, res) => {
             created_time: qzdata.crt_tm
         };
 
+        // Per-question verdicts, so typed questions don't need to be
+        // re-graded by the client
+        const { results: grading } = gradeSubmission(
+            { questions: parsedQuestions, answers: parsedAnswers },
+            resdata.given_answer || {}
+        );
+
         return res.status(200).json({
             quizInfo,
             resdata,
+            grading,
             ok: true
         });
 
@@ -996,6 +850,35 @@ app.post("/analysis", authenticateToken, async (req, res) => {
 
 
 
+app.use("/sessions", createSessionRouter({ db, authenticateToken }));
+app.use("/auth", createAccountRouter({
+    db,
+    mailer,
+    appUrl,
+    authenticateToken,
+    providers: authProviders.ids(),
+    mailLimit: limits.limit("mail_ip", byIp),
+}));
+app.use("/auth", createOAuthRouter({ db, registry: authProviders, appUrl }));
+app.use("/classrooms", createClassroomRouter({ db, authenticateToken, mailer, appUrl }));
+app.use("/bank", createQuestionBankRouter({ db, authenticateToken }));
+app.use("/review", createReviewRouter({ db, authenticateToken }));
+app.use("/practice", createPracticeRouter({
+    db,
+    authenticateToken,
+    llm,
+    limits,
+    generationLimits,
+    attempts: quizGenerationAttempts,
+}));
+app.use("/quizzes", createQuizAuthoringRouter({ db, authenticateToken, scheduler }));
+app.use("/quizzes", createQuizAccessRouter({
+    db,
+    authenticateToken,
+    inviteSecret,
+    inviteBaseUrl: appUrl,
+}));
+
 // Error handling middleware
 app.use((err, req, res, next) => {
     console.error("Unhandled error:", err);
@@ -1004,7 +887,10 @@ app.use((err, req, res, next) => {
 
 // Start server
 const port = Number(process.env.PORT) || 3939;
-app.listen(port, () => {
+const server = app.listen(port, () => {
     console.log(`Server is running`);
 });
 
+// Live, host-paced sessions over WebSockets on /live
+attachLiveSockets(server, { hub: createLiveHub({ db, scheduler }), verifyToken });
+